@@ -1,14 +1,35 @@
 /**
  * AssetLoader - Chargement et gestion des assets
- * Prévu pour images et sons futurs
+ * Données JSON (cartes), et prévu pour images et sons futurs
  */
 export class AssetLoader {
     constructor() {
         this.images = new Map();
         this.sounds = new Map();
+        this.data = new Map();
         this.loaded = false;
     }
 
+    /**
+     * Charge un fichier JSON
+     */
+    async loadJSON(name, src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`Failed to load JSON: ${src} (${response.status})`);
+        }
+        const json = await response.json();
+        this.data.set(name, json);
+        return json;
+    }
+
+    /**
+     * Récupère des données JSON chargées
+     */
+    getJSON(name) {
+        return this.data.get(name);
+    }
+
     /**
      * Charge une image
      */
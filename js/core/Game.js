@@ -1,34 +1,119 @@
 /**
  * Game - Classe principale du jeu avec multijoueur réseau
  */
-import { InputManager } from './InputManager.js';
+import { InputManager, Action } from './InputManager.js';
+import { TouchControls } from './TouchControls.js';
 import { AssetLoader } from './AssetLoader.js';
-import { Player, PlayerColors } from '../entities/Player.js';
-import { Item, ItemType } from '../entities/Item.js';
-import { GameMap } from '../world/GameMap.js';
-import { ZoneType } from '../world/Zone.js';
-import { CustomerManager } from '../systems/CustomerManager.js';
-import { LevelManager, LevelState, Difficulty, DifficultyConfig } from '../systems/LevelManager.js';
+import { Random } from './Random.js';
+import { SpectatorCamera } from './SpectatorCamera.js';
+import { GameSimulation, Interaction, IntentRefusal } from './GameSimulation.js';
+import { PlayerColors } from '../entities/Player.js';
+import { LevelState, Difficulty, DifficultyConfig } from '../systems/LevelManager.js';
 import { ScoreManager } from '../systems/ScoreManager.js';
-import { NetworkManager, NetworkRole, NetworkState } from '../systems/NetworkManager.js';
+import { CampaignManager } from '../systems/CampaignManager.js';
+import { EconomyManager, UpgradeType, UpgradeConfig } from '../systems/EconomyManager.js';
+import {
+    NetworkManager, NetworkRole, NetworkState, SESSION_CODE_CHARS, SESSION_CODE_LENGTH, MAX_NETWORK_PLAYERS,
+    HOST_PLAYER_INDEX
+} from '../systems/NetworkManager.js';
+import { VoteTopic, MAX_NAME_LENGTH, MAX_CHAT_LENGTH } from '../systems/Lobby.js';
+import { ReplayRecorder } from '../systems/ReplayRecorder.js';
+import { ReplayPlayer } from '../systems/ReplayPlayer.js';
+import {
+    BindingsManager, ControlProfileConfig, RebindableActions, ActionNames, CoopKeyboards
+} from '../systems/BindingsManager.js';
 
 // États du menu
 const MenuState = {
     MAIN: 'main',
     SOLO_MENU: 'soloMenu',
+    CAMPAIGN: 'campaign',
     HIGH_SCORES: 'highScores',
     MULTI_MENU: 'multiMenu',
+    COOP_LOBBY: 'coopLobby',
     LOBBY_HOST: 'lobbyHost',
-    LOBBY_JOIN: 'lobbyJoin'
+    LOBBY_JOIN: 'lobbyJoin',
+    SHOP: 'shop',
+    CONTROLS: 'controls'
 };
 
+// Pas de simulation fixe (60 pas/seconde) et rattrapage maximum par image
+const FIXED_TIMESTEP = 1 / 60;
+const MAX_STEPS_PER_FRAME = 5;
+
+// Saut dans le temps d'un replay (Q/D)
+const REPLAY_SKIP_SECONDS = 5;
+
 // Mode de jeu
 const GameMode = {
     SOLO: 'solo',
     MULTI_HOST: 'multiHost',
-    MULTI_CLIENT: 'multiClient'
+    MULTI_CLIENT: 'multiClient',
+    SPECTATOR: 'spectator',
+    LOCAL_COOP: 'localCoop'
+};
+
+// Message affiché quand l'host refuse une action du joueur local
+const IntentRefusalMessages = {
+    [IntentRefusal.TOO_FAR]: 'Trop loin !',
+    [IntentRefusal.INVALID]: 'Action impossible ici'
+};
+
+// Joueurs en co-op local et manettes proposées dans le lobby
+const MAX_COOP_PLAYERS = 4;
+const MAX_GAMEPADS = 4;
+
+// Clavier à l'écran du code de session (touches par ligne)
+const JOIN_KEYBOARD_COLUMNS = 8;
+
+// Réglages du salon réseau, dans l'ordre affiché (l'host a en plus le lancement)
+const LobbyOption = {
+    NAME: 'name',
+    COLOR: 'color',
+    DIFFICULTY: 'difficulty',
+    MAP: 'map',
+    READY: 'ready',
+    CHAT: 'chat',
+    START: 'start'
+};
+
+const LobbyOptionLabels = {
+    [LobbyOption.NAME]: 'Pseudo',
+    [LobbyOption.COLOR]: 'Couleur',
+    [LobbyOption.DIFFICULTY]: 'Vote difficulté',
+    [LobbyOption.MAP]: 'Vote carte',
+    [LobbyOption.READY]: 'Prêt',
+    [LobbyOption.CHAT]: 'Chat',
+    [LobbyOption.START]: 'LANCER'
 };
 
+// Messages rapides du chat (écran tactile, sans clavier)
+const QUICK_CHAT_MESSAGES = ['Prêt !', 'On y va ?', 'Attends-moi', 'GG !'];
+
+// Messages du chat affichés dans le salon
+const CHAT_LINES = 4;
+
+// Options du menu pause, dans l'ordre affiché
+const PauseOption = {
+    RESUME: 'resume',
+    RESTART: 'restart',
+    SETTINGS: 'settings',
+    QUIT: 'quit'
+};
+
+const PauseOptionLabels = {
+    [PauseOption.RESUME]: 'REPRENDRE',
+    [PauseOption.RESTART]: 'RECOMMENCER',
+    [PauseOption.SETTINGS]: 'RÉGLAGES',
+    [PauseOption.QUIT]: 'QUITTER'
+};
+
+const PAUSE_OPTIONS = Object.values(PauseOption);
+
+// Retard d'affichage des joueurs et clients distants (ms): assez pour avoir toujours
+// un état reçu après le moment affiché et interpoler (un état envoyé toutes les 66 ms)
+const DEFAULT_INTERPOLATION_DELAY = 100;
+
 export class Game {
     constructor(canvas) {
         this.canvas = canvas;
@@ -42,33 +127,50 @@ export class Game {
 
         // État
         this.lastTime = 0;
+        this.accumulator = 0;
         this.gameMode = GameMode.SOLO;
 
+        // Graine de la partie: tirée à chaque partie, ou imposée (?seed=...)
+        this.fixedSeed = null;
+
         // Systèmes core
         this.inputManager = new InputManager();
+        this.bindingsManager = new BindingsManager();
+        this.inputManager.setKeyBindings(this.bindingsManager.getBindings());
+        this.touchControls = new TouchControls(canvas, this.width, this.height);
+        this.inputManager.touchControls = this.touchControls;
         this.assetLoader = new AssetLoader();
         this.scoreManager = new ScoreManager();
+        this.campaignManager = new CampaignManager();
+        this.economyManager = new EconomyManager();
         this.networkManager = new NetworkManager();
 
-        // Monde
-        this.gameMap = new GameMap(this.width, this.height);
+        // Simulation sans affichage (niveau, clients, joueurs, score)
+        // La carte est chargée depuis maps/ au démarrage
+        this.simulation = new GameSimulation(this.width, this.height);
+        this.mapIndex = null;
+
+        // Cartes non chargées: message d'erreur à la place du menu, aucune partie ne peut démarrer
+        this.loadError = null;
 
-        // Joueurs
+        // Raccourcis vers la simulation affichée (celle d'un replay pendant sa lecture)
+        this.useSimulation(this.simulation);
+
+        // Joueurs (les joueurs distants sont ceux des autres écrans en réseau)
         this.localPlayer = null;
-        this.remotePlayer = null;
+        this.remotePlayers = [];
 
         // Alias pour compatibilité
         this.player = null;
 
-        // Systèmes
-        this.customerManager = new CustomerManager(this.gameMap);
-        this.levelManager = new LevelManager();
+        // Spectateur réseau: caméra libre ou qui suit un joueur
+        this.spectatorCamera = new SpectatorCamera(this.width, this.height);
+        this.joinAsSpectator = false;
 
-        // Sync customers lost
-        this.customerManager.onCustomerAngry = () => {
-            this.levelManager.addLostCustomer();
-            this.showFeedback('Client perdu !', '#f44336');
-        };
+        // Événements de la simulation
+        this.simulation.onFeedback = (message, color, playerIndex) => this.handleSimulationFeedback(message, color, playerIndex);
+        this.simulation.onOrderCompleted = (result, playerIndex) => this.handleOrderCompleted(result, playerIndex);
+        this.simulation.onGameOver = (state) => this.handleGameOver(state);
 
         // Menu
         this.menuState = MenuState.MAIN;
@@ -79,11 +181,39 @@ export class Game {
         // High scores view
         this.highScoresDifficulty = 0;
 
+        // Replays: enregistrement de la partie solo en cours et lecture d'un high score
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.replayVerified = false;
+        this.inputManager.onEvent = (event) => {
+            // En pause, E et F servent au menu: ils ne doivent pas agir dans le replay
+            const menuPress = event.type === 'down' && (event.action === Action.INTERACT || event.action === Action.DROP);
+            if (this.recorder && !(menuPress && this.levelManager.isPaused())) this.recorder.recordEvent(event);
+        };
+
+        // Contrôles: action en attente d'une nouvelle touche
+        this.rebindingAction = null;
+
+        // Co-op local: sources d'entrées proposées dans le lobby et celles des joueurs inscrits
+        this.coopCandidates = [];
+        this.coopSources = [];
+        this.inputManager.onPlayerAction = (source, action) => this.handleCoopAction(source, action);
+
+        // Zones touchables de l'écran affiché (recalculées à chaque rendu)
+        this.hitAreas = [];
+
         // Lobby
         this.joinCodeInput = '';
         this.lobbyError = null;
         this.inputDelay = false; // Prevent E key from being captured immediately
 
+        // Salon réseau: pseudo ou message en cours de saisie ({ option, text }, null sinon)
+        this.lobbyTyping = null;
+
+        // Menu pause: réglages ouverts (écran des contrôles) et joueur réseau qui a mis en pause
+        this.pauseSettings = false;
+        this.pausedBy = null;
+
         // Feedback visuel
         this.feedbackMessage = null;
         this.feedbackTimer = 0;
@@ -92,82 +222,253 @@ export class Game {
         this.lastGameScore = 0;
         this.lastGameRank = -1;
 
+        // Campagne: jour en cours et résultat du dernier jour joué
+        this.currentDay = null;
+        this.lastCampaignResult = null;
+
+        // Économie: argent gagné pendant la partie et boutique entre les services
+        this.roundEarnings = 0;
+        this.shopReturnState = MenuState.MAIN;
+        this.upgradeTypes = Object.values(UpgradeType);
+
         // Network sync timer
         this.networkSyncTimer = 0;
         this.networkSyncInterval = 1 / 15; // 15 updates/sec
 
+        // Retard d'affichage des joueurs et clients distants (ms, réglable: ?interp=150)
+        this.interpolationDelay = DEFAULT_INTERPOLATION_DELAY;
+
+        // Overlay des mesures réseau (F3 ou ?netstats)
+        this.showNetworkStats = false;
+
+        // Vrai pendant que le client rejoue ses actions prédites sur l'état reçu (sans feedback)
+        this.reconciling = false;
+
         this.setupInputHandlers();
+        this.setupGamepadHandlers();
         this.setupNetworkHandlers();
     }
 
+    /**
+     * Affiche une simulation (celle de la partie ou celle d'un replay)
+     */
+    useSimulation(simulation) {
+        this.activeSimulation = simulation;
+        this.random = simulation.random;
+        this.gameMap = simulation.gameMap;
+        this.customerManager = simulation.customerManager;
+        this.levelManager = simulation.levelManager;
+    }
+
+    /**
+     * Signale le branchement / débranchement d'une manette
+     */
+    setupGamepadHandlers() {
+        this.inputManager.onGamepadConnected = () => {
+            this.showFeedback('🎮 Manette connectée', '#4caf50');
+        };
+
+        this.inputManager.onGamepadDisconnected = () => {
+            this.showFeedback('🎮 Manette déconnectée', '#f44336');
+        };
+    }
+
     /**
      * Configure les handlers réseau
      */
     setupNetworkHandlers() {
-        this.networkManager.onPlayerJoined = () => {
-            this.showFeedback('Joueur 2 connecté !', '#4caf50');
+        this.networkManager.onPlayerJoined = (playerIndex) => {
+            this.showFeedback(`Joueur ${playerIndex} connecté !`, PlayerColors[playerIndex].body);
+        };
+
+        // Spectateur arrivé en cours de partie: l'host lui envoie l'état complet
+        this.networkManager.onSpectatorJoined = (peerId) => {
+            this.showFeedback('👁 Un spectateur regarde', '#9e9e9e');
+            if (this.gameMode === GameMode.MULTI_HOST && this.levelManager.state !== LevelState.MENU) {
+                this.networkManager.sendSpectatorResume(peerId, this.getResumeData());
+            }
+        };
+
+        // Un joueur part (ou n'est pas revenu à temps): la partie continue sans lui,
+        // sauf si l'host se retrouve seul (sans joueur ni spectateur)
+        this.networkManager.onPlayerLeft = (playerIndex) => {
+            this.showFeedback(`Joueur ${playerIndex} a quitté la partie`, '#f44336');
+            if (this.isNetworkGame() && this.levelManager.state !== LevelState.MENU) {
+                this.removeNetworkPlayer(playerIndex);
+            }
+            if (this.gameMode === GameMode.MULTI_HOST && this.levelManager.isActive() &&
+                this.networkManager.getPlayerCount() <= 1 && this.networkManager.getSpectatorCount() === 0) {
+                this.returnToMenu();
+                this.showFeedback('Session terminée: plus aucun joueur', '#f44336');
+            }
+        };
+
+        // Connexion coupée en partie: pause jusqu'au retour du joueur (voir isWaitingForPlayers)
+        this.networkManager.onPlayerDisconnected = (playerIndex) => {
+            this.showFeedback(`Joueur ${playerIndex} déconnecté...`, '#ff9800');
+        };
+        this.networkManager.onConnectionLost = () => {
+            this.showFeedback('Connexion perdue...', '#ff9800');
+        };
+
+        // Retour d'un joueur: l'host lui envoie l'état complet de la partie
+        this.networkManager.onPlayerReconnected = (playerIndex) => {
+            this.showFeedback(`Joueur ${playerIndex} reconnecté !`, '#4caf50');
+            if (this.gameMode === GameMode.MULTI_HOST && this.levelManager.state !== LevelState.MENU) {
+                this.networkManager.sendResume(playerIndex, this.getResumeData());
+            }
         };
+        this.networkManager.onResume = (data) => this.resumeFromHost(data);
 
-        this.networkManager.onPlayerLeft = () => {
-            this.showFeedback('Joueur 2 déconnecté', '#f44336');
+        // Pause commune, demandée par n'importe quel joueur
+        this.networkManager.onPause = (paused, playerIndex) => this.setPaused(paused, playerIndex);
+
+        // L'host part: la session est terminée pour tout le monde
+        this.networkManager.onHostLeft = () => {
+            this.returnToMenu();
+            this.showFeedback('L\'hôte a quitté la partie', '#f44336');
+        };
+
+        // Exclu par l'host en cours de session (messages invalides, version différente)
+        this.networkManager.onRefused = (message) => {
             this.returnToMenu();
+            this.menuState = MenuState.LOBBY_JOIN;
+            this.lobbyError = message;
         };
 
         this.networkManager.onGameStart = (data) => {
             // Client reçoit le signal de démarrage
-            this.startMultiplayerGame(data.difficulty);
+            this.startMultiplayerGame(data.difficulty, data.players, data.map);
         };
 
         this.networkManager.onGameData = (data) => {
             // Client reçoit l'état du jeu depuis l'host
             this.handleGameStateFromHost(data);
         };
+
+        // Host: les actions des clients sont validées et appliquées ici
+        this.networkManager.onIntent = (playerIndex, intent) => this.handleIntent(playerIndex, intent);
+
+        // Client: résultat de ses actions, renvoyé par l'host
+        this.networkManager.onIntentAck = (ack) => {
+            if (!ack.accepted && IntentRefusalMessages[ack.reason]) {
+                this.showFeedback(IntentRefusalMessages[ack.reason], '#9e9e9e');
+            }
+        };
+        // Déjà affiché si l'action a été prédite localement
+        this.networkManager.onFeedback = (message, color) => {
+            if (message !== this.feedbackMessage || this.feedbackTimer <= 0) {
+                this.showFeedback(message, color);
+            }
+        };
+        this.networkManager.onOrderCompleted = (result) => this.handleOrderCompleted(result);
+    }
+
+    /**
+     * Retire de la partie un joueur réseau parti
+     */
+    removeNetworkPlayer(playerIndex) {
+        this.simulation.removePlayer(playerIndex);
+        this.remotePlayers = this.remotePlayers.filter(player => player.playerIndex !== playerIndex);
     }
 
     /**
-     * Réinitialise les joueurs
+     * Reprend la partie avec l'état complet envoyé par l'host (client revenu après une coupure)
+     * Après un rechargement de la page, ou pour un spectateur arrivé en cours de partie,
+     * la partie est d'abord recréée
      */
-    resetPlayers() {
-        const startY = this.gameMap.counterZone.y - 100;
+    resumeFromHost(data) {
+        if (this.levelManager.state === LevelState.MENU) {
+            this.gameMode = this.networkManager.spectator ? GameMode.SPECTATOR : GameMode.MULTI_CLIENT;
+            this.startMultiplayerGame(data.difficulty, data.players, data.map);
+        } else {
+            this.networkManager.clearSnapshots();
+            for (const player of [...this.simulation.players]) {
+                if (!data.players.includes(player.playerIndex)) {
+                    this.removeNetworkPlayer(player.playerIndex);
+                }
+            }
+        }
+
+        this.handleGameStateFromHost(data.state);
+        for (const player of this.simulation.players) {
+            player.updateFromNetwork(data.state.positions[player.playerIndex]);
+        }
+        this.setPaused(!!data.paused);
+        this.showFeedback('Partie reprise !', '#4caf50');
+    }
 
-        if (this.gameMode === GameMode.SOLO) {
-            this.localPlayer = new Player(this.width / 2 - 20, startY, 1);
-            this.remotePlayer = null;
-        } else if (this.gameMode === GameMode.MULTI_HOST) {
-            this.localPlayer = new Player(this.width / 2 - 60, startY, 1);
-            this.remotePlayer = new Player(this.width / 2 + 20, startY, 2);
-            this.remotePlayer.isRemote = true;
-        } else if (this.gameMode === GameMode.MULTI_CLIENT) {
-            this.localPlayer = new Player(this.width / 2 + 20, startY, 2);
-            this.remotePlayer = new Player(this.width / 2 - 60, startY, 1);
-            this.remotePlayer.isRemote = true;
+    /**
+     * Récupère les joueurs créés par la simulation (local et distants)
+     * Un spectateur n'a pas de joueur local: son index réseau est null
+     */
+    setupPlayers() {
+        const localIndex = this.isNetworkGame() ? this.networkManager.playerIndex : 1;
+        this.localPlayer = this.simulation.getPlayer(localIndex);
+        this.remotePlayers = [];
+
+        if (this.isNetworkGame()) {
+            this.remotePlayers = this.simulation.players.filter(player => player !== this.localPlayer);
+            this.remotePlayers.forEach(player => { player.isRemote = true; });
         }
 
         this.player = this.localPlayer; // Alias
     }
 
+    /**
+     * Vérifie si la partie se joue en réseau
+     */
+    isNetworkGame() {
+        return this.gameMode === GameMode.MULTI_HOST || this.followsHost();
+    }
+
+    /**
+     * Vérifie si la partie affichée est celle de l'host (client ou spectateur réseau)
+     */
+    followsHost() {
+        return this.gameMode === GameMode.MULTI_CLIENT || this.gameMode === GameMode.SPECTATOR;
+    }
+
+    /**
+     * Retourne les joueurs contrôlés sur cet écran (tous les joueurs en co-op local)
+     */
+    getLocalPlayers() {
+        if (this.gameMode === GameMode.LOCAL_COOP && !this.replayPlayer) {
+            return this.simulation.players;
+        }
+        return this.localPlayer ? [this.localPlayer] : [];
+    }
+
     /**
      * Configure les handlers d'input
      */
     setupInputHandlers() {
-        // Touche E pour interaction
-        this.inputManager.onKeyDown('e', () => this.handleInteraction());
+        // Interaction (E / A)
+        this.inputManager.onAction(Action.INTERACT, () => this.handleInteraction());
+
+        // Navigation menu (ZQSD, croix ou stick)
+        this.inputManager.onAction(Action.MOVE_UP, () => this.handleMenuNavigation(-1));
+        this.inputManager.onAction(Action.MOVE_DOWN, () => this.handleMenuNavigation(1));
+        this.inputManager.onAction(Action.MOVE_LEFT, () => this.handleMenuHorizontal(-1));
+        this.inputManager.onAction(Action.MOVE_RIGHT, () => this.handleMenuHorizontal(1));
 
-        // Navigation menu
-        this.inputManager.onKeyDown('z', () => this.handleMenuNavigation(-1));
-        this.inputManager.onKeyDown('s', () => this.handleMenuNavigation(1));
-        this.inputManager.onKeyDown('q', () => this.handleMenuHorizontal(-1));
-        this.inputManager.onKeyDown('d', () => this.handleMenuHorizontal(1));
+        // Echap / Start pour retour menu
+        this.inputManager.onAction(Action.PAUSE, () => this.handleEscape());
 
-        // Echap pour retour menu
-        this.inputManager.onKeyDown('escape', () => this.handleEscape());
+        // Jeter un objet (F / B)
+        this.inputManager.onAction(Action.DROP, () => this.handleDropItem());
 
-        // Touche F pour jeter un objet
-        this.inputManager.onKeyDown('f', () => this.handleDropItem());
+        // Fenêtre quittée: pause automatique
+        this.inputManager.onFocusLost = () => this.handleFocusLost();
+
+        // F3: overlay réseau (RTT, gigue, débits)
+        this.inputManager.onKeyDown('f3', () => {
+            this.showNetworkStats = !this.showNetworkStats;
+        });
 
         // Backspace pour effacer le code
         this.inputManager.onKeyDown('backspace', () => {
-            if (this.menuState === MenuState.LOBBY_JOIN) {
+            if (this.menuState === MenuState.LOBBY_JOIN && !this.isInNetworkLobby()) {
                 this.joinCodeInput = this.joinCodeInput.slice(0, -1);
             }
         });
@@ -177,9 +478,26 @@ export class Game {
      * Gère l'échappement
      */
     handleEscape() {
-        if (this.levelManager.state !== LevelState.MENU) {
+        if (this.replayPlayer) {
+            this.stopReplay();
+        } else if (this.levelManager.isPaused()) {
+            // Réglages: retour au menu pause; menu pause: reprise
+            if (this.pauseSettings) {
+                this.closePauseSettings();
+                this.selectedOption = PAUSE_OPTIONS.indexOf(PauseOption.SETTINGS);
+            } else {
+                this.resumeGame();
+            }
+        } else if (this.canPause()) {
+            this.pauseGame();
+        } else if (this.levelManager.state !== LevelState.MENU) {
             this.returnToMenu();
+        } else if (this.menuState === MenuState.SHOP) {
+            this.leaveShop();
         } else if (this.menuState !== MenuState.MAIN) {
+            this.inputManager.cancelCapture();
+            this.rebindingAction = null;
+            this.leaveCoop();
             this.networkManager.disconnect();
             this.menuState = MenuState.MAIN;
             this.selectedOption = 0;
@@ -188,45 +506,221 @@ export class Game {
         }
     }
 
+    /**
+     * Vérifie si le joueur local peut mettre en pause (partie en cours, ni spectateur ni joueur attendu)
+     */
+    canPause() {
+        return this.levelManager.isPlaying() &&
+            this.gameMode !== GameMode.SPECTATOR &&
+            !this.networkManager.isWaitingForPlayers();
+    }
+
+    /**
+     * Met la partie en pause (en réseau: pour tous, demandée à l'host)
+     */
+    pauseGame() {
+        if (this.isNetworkGame()) {
+            this.networkManager.requestPause(true);
+        } else {
+            this.setPaused(true);
+        }
+    }
+
+    /**
+     * Reprend la partie en pause (en réseau: pour tous)
+     */
+    resumeGame() {
+        if (this.isNetworkGame()) {
+            this.networkManager.requestPause(false);
+        } else {
+            this.setPaused(false);
+        }
+    }
+
+    /**
+     * Applique la pause ou la reprise (playerIndex: joueur réseau qui l'a demandée)
+     */
+    setPaused(paused, playerIndex = null) {
+        if (paused) {
+            if (!this.levelManager.pause()) return;
+            this.pausedBy = playerIndex;
+            this.pauseSettings = false;
+            this.selectedOption = 0;
+        } else {
+            if (!this.levelManager.resume()) return;
+            this.closePauseSettings();
+            if (playerIndex !== null && playerIndex !== this.networkManager.playerIndex) {
+                this.showFeedback(`Joueur ${playerIndex} a repris la partie`, '#4caf50');
+            }
+        }
+    }
+
+    /**
+     * Fenêtre quittée en pleine partie: pause automatique
+     */
+    handleFocusLost() {
+        if (this.canPause() && !this.replayPlayer) {
+            this.pauseGame();
+        }
+    }
+
+    /**
+     * Valide l'option choisie du menu pause (ou des réglages ouverts depuis la pause)
+     */
+    handlePauseInteraction() {
+        if (this.pauseSettings) {
+            this.activateControlsOption();
+            return;
+        }
+
+        switch (PAUSE_OPTIONS[this.selectedOption]) {
+            case PauseOption.RESUME:
+                this.resumeGame();
+                break;
+            case PauseOption.RESTART:
+                this.restartGame();
+                break;
+            case PauseOption.SETTINGS:
+                this.pauseSettings = true;
+                this.selectedOption = 0;
+                break;
+            case PauseOption.QUIT:
+                this.returnToMenu();
+                break;
+        }
+    }
+
+    /**
+     * Ferme les réglages de la pause (touche en attente de réassignation comprise)
+     */
+    closePauseSettings() {
+        this.inputManager.cancelCapture();
+        this.rebindingAction = null;
+        this.pauseSettings = false;
+    }
+
+    /**
+     * Vérifie si le joueur local peut recommencer la partie (en réseau, seul l'host le peut)
+     */
+    canRestart() {
+        return this.gameMode !== GameMode.MULTI_CLIENT && this.gameMode !== GameMode.SPECTATOR;
+    }
+
+    /**
+     * Recommence la partie en cours avec les mêmes réglages (en réseau: pour tous)
+     */
+    restartGame() {
+        if (!this.canRestart()) {
+            this.showFeedback('Seul l\'hôte peut recommencer', '#ff9800');
+            return;
+        }
+
+        const difficulty = this.levelManager.difficulty;
+        this.closePauseSettings();
+
+        if (this.gameMode === GameMode.MULTI_HOST) {
+            const map = this.currentMapId;
+            this.networkManager.restartGame(difficulty, map);
+            this.startMultiplayerGame(difficulty, this.networkManager.playerIndices, map);
+        } else if (this.gameMode === GameMode.LOCAL_COOP) {
+            this.startLocalCoopGame();
+        } else if (this.currentDay) {
+            this.startCampaignDay(this.currentDay);
+        } else {
+            this.startSoloGame(difficulty);
+        }
+    }
+
     /**
      * Retourne au menu
      */
     returnToMenu() {
+        this.recorder = null;
+        this.stopLobbyTyping();
         this.levelManager.returnToMenu();
         this.customerManager.reset();
         if (this.localPlayer) this.localPlayer.clearInventory();
         this.networkManager.disconnect();
-        this.menuState = MenuState.MAIN;
-        this.selectedOption = 0;
+        this.leaveCoop();
         this.gameMode = GameMode.SOLO;
+
+        // Une partie de campagne revient à la sélection des jours
+        if (this.currentDay) {
+            this.menuState = MenuState.CAMPAIGN;
+            this.selectedOption = this.getLastUnlockedDayIndex();
+            this.currentDay = null;
+        } else {
+            this.menuState = MenuState.MAIN;
+            this.selectedOption = 0;
+        }
+    }
+
+    /**
+     * Retourne l'index du dernier jour de campagne débloqué
+     */
+    getLastUnlockedDayIndex() {
+        const unlocked = this.campaignManager.getProgress().unlockedDays;
+        return Math.min(unlocked, this.campaignManager.days.length) - 1;
     }
 
     /**
      * Navigation verticale dans le menu
      */
     handleMenuNavigation(direction) {
+        // Replay: Z plus vite, S plus lent
+        if (this.replayPlayer) {
+            this.replayPlayer.changeSpeed(-direction);
+            return;
+        }
+
+        // Menu pause, ou réglages ouverts depuis la pause (profil + une ligne par action)
+        if (this.levelManager.isPaused()) {
+            const count = this.pauseSettings ? RebindableActions.length + 1 : PAUSE_OPTIONS.length;
+            this.selectedOption = (this.selectedOption + direction + count) % count;
+            return;
+        }
+
         if (this.levelManager.state !== LevelState.MENU) return;
 
         if (this.menuState === MenuState.MAIN) {
-            // 3 options: Solo, Multi, High Scores
+            // 5 options: Solo, Campagne, Multi, High Scores, Contrôles
             this.selectedOption += direction;
-            if (this.selectedOption < 0) this.selectedOption = 2;
-            if (this.selectedOption > 2) this.selectedOption = 0;
+            if (this.selectedOption < 0) this.selectedOption = 4;
+            if (this.selectedOption > 4) this.selectedOption = 0;
+        } else if (this.menuState === MenuState.CONTROLS) {
+            // Profil + une ligne par action réassignable
+            const optionCount = RebindableActions.length + 1;
+            this.selectedOption = (this.selectedOption + direction + optionCount) % optionCount;
+        } else if (this.menuState === MenuState.CAMPAIGN) {
+            // Un choix par jour de campagne
+            const dayCount = this.campaignManager.days.length;
+            this.selectedOption = (this.selectedOption + direction + dayCount) % dayCount;
+        } else if (this.menuState === MenuState.HIGH_SCORES) {
+            // Un choix par score de l'onglet
+            const count = this.getHighScoreEntries().length;
+            if (count > 0) {
+                this.selectedOption = (this.selectedOption + direction + count) % count;
+            }
+        } else if (this.menuState === MenuState.SHOP) {
+            // Une option par amélioration + Continuer
+            const optionCount = this.upgradeTypes.length + 1;
+            this.selectedOption = (this.selectedOption + direction + optionCount) % optionCount;
         } else if (this.menuState === MenuState.SOLO_MENU) {
             // 3 difficultés
             this.selectedOption += direction;
             if (this.selectedOption < 0) this.selectedOption = 2;
             if (this.selectedOption > 2) this.selectedOption = 0;
         } else if (this.menuState === MenuState.MULTI_MENU) {
-            // 2 options: Créer, Rejoindre
+            // 4 options: Créer, Rejoindre, Co-op local, Regarder
             this.selectedOption += direction;
-            if (this.selectedOption < 0) this.selectedOption = 1;
-            if (this.selectedOption > 1) this.selectedOption = 0;
-        } else if (this.menuState === MenuState.LOBBY_HOST) {
-            // Navigation difficulté
-            this.selectedDifficulty += direction;
-            if (this.selectedDifficulty < 0) this.selectedDifficulty = 2;
-            if (this.selectedDifficulty > 2) this.selectedDifficulty = 0;
+            if (this.selectedOption < 0) this.selectedOption = 3;
+            if (this.selectedOption > 3) this.selectedOption = 0;
+        } else if (this.isInNetworkLobby()) {
+            // Un choix par réglage du salon (aucun pour un spectateur)
+            const count = this.getLobbyOptions().length;
+            if (count > 0) {
+                this.selectedOption = (this.selectedOption + direction + count) % count;
+            }
         }
     }
 
@@ -234,10 +728,32 @@ export class Game {
      * Navigation horizontale
      */
     handleMenuHorizontal(direction) {
-        if (this.menuState === MenuState.HIGH_SCORES) {
+        // Replay: Q recule, D avance
+        if (this.replayPlayer) {
+            this.replayPlayer.skip(direction * REPLAY_SKIP_SECONDS);
+            return;
+        }
+
+        if (this.levelManager.isPaused()) {
+            if (this.pauseSettings && this.selectedOption === 0) {
+                this.changeControlProfile(direction);
+            }
+            return;
+        }
+
+        if (this.menuState === MenuState.HIGH_SCORES && this.levelManager.state === LevelState.MENU) {
             this.highScoresDifficulty += direction;
             if (this.highScoresDifficulty < 0) this.highScoresDifficulty = 2;
             if (this.highScoresDifficulty > 2) this.highScoresDifficulty = 0;
+            this.selectedOption = 0;
+        } else if (this.menuState === MenuState.CONTROLS && this.selectedOption === 0) {
+            this.changeControlProfile(direction);
+        } else if (this.menuState === MenuState.COOP_LOBBY && this.levelManager.state === LevelState.MENU) {
+            // Difficulté de la partie
+            this.selectedDifficulty = (this.selectedDifficulty + direction + 3) % 3;
+        } else if (this.isInNetworkLobby() && this.levelManager.state === LevelState.MENU) {
+            // Couleur ou votes du joueur local
+            this.changeLobbyOption(direction);
         }
     }
 
@@ -245,44 +761,48 @@ export class Game {
      * Gère l'interaction (E)
      */
     handleInteraction() {
+        // Replay: pause / lecture
+        if (this.replayPlayer) {
+            this.replayPlayer.togglePause();
+            return;
+        }
+
         // Menu principal
         if (this.levelManager.state === LevelState.MENU) {
             this.handleMenuInteraction();
             return;
         }
 
-        // Écran de fin -> Retour menu
+        if (this.levelManager.isPaused()) {
+            this.handlePauseInteraction();
+            return;
+        }
+
+        // Écran de fin -> Boutique en solo, retour menu sinon
         if (this.levelManager.state === LevelState.WON ||
             this.levelManager.state === LevelState.LOST) {
+            const solo = this.gameMode === GameMode.SOLO;
             this.returnToMenu();
+            if (solo) this.openShop();
             return;
         }
 
-        // En jeu
-        if (this.levelManager.state !== LevelState.PLAYING) return;
-        if (!this.localPlayer) return;
-
-        const playerZone = this.gameMap.getPlayerZone(this.localPlayer);
-
-        // Si près du comptoir avec des items, essayer de servir
-        if (this.localPlayer.isHoldingItem() && this.customerManager.isPlayerNearCounter(this.localPlayer)) {
-            this.tryServeCustomers(this.localPlayer);
+        // Spectateur: change de caméra (vue libre, puis chaque joueur)
+        if (this.gameMode === GameMode.SPECTATOR) {
+            this.spectatorCamera.cycle(this.simulation.players.map(player => player.playerIndex));
             return;
         }
 
-        // Sinon, essayer de prendre un item
-        if (playerZone && !this.localPlayer.isInventoryFull()) {
-            if (playerZone.type === ZoneType.KEBAB_STATION) {
-                const kebab = new Item(ItemType.KEBAB);
-                this.localPlayer.pickUp(kebab);
-                this.showFeedback('Kebab pris !', '#8d4a2c');
-            } else if (playerZone.type === ZoneType.DRINK_STATION) {
-                const drink = new Item(ItemType.DRINK);
-                this.localPlayer.pickUp(drink);
-                this.showFeedback('Boisson prise !', '#1565c0');
-            }
-        } else if (this.localPlayer.isInventoryFull()) {
-            this.showFeedback('Inventaire plein !', '#ff9800');
+        // En jeu: servir, préparer ou prendre un item (en co-op, chaque joueur passe par sa source)
+        // Un client réseau demande l'action à l'host, qui fait foi
+        if (!this.localPlayer || this.gameMode === GameMode.LOCAL_COOP) return;
+        if (this.networkManager.isWaitingForPlayers()) return;
+
+        if (this.gameMode === GameMode.MULTI_CLIENT) {
+            this.sendIntent(this.simulation.getInteraction(this.localPlayer.playerIndex));
+        } else {
+            this.simulation.interact(this.localPlayer.playerIndex);
+            this.requestNetworkSync();
         }
     }
 
@@ -290,203 +810,841 @@ export class Game {
      * Gère les interactions menu
      */
     handleMenuInteraction() {
+        if (this.loadError) return;
+
         if (this.menuState === MenuState.MAIN) {
             if (this.selectedOption === 0) {
                 // Solo - aller au menu de sélection de difficulté
                 this.menuState = MenuState.SOLO_MENU;
                 this.selectedOption = 1; // Moyen par défaut
             } else if (this.selectedOption === 1) {
+                // Campagne - sélection du jour
+                this.menuState = MenuState.CAMPAIGN;
+                this.selectedOption = this.getLastUnlockedDayIndex();
+            } else if (this.selectedOption === 2) {
                 // Multijoueur
                 this.menuState = MenuState.MULTI_MENU;
                 this.selectedOption = 0;
-            } else if (this.selectedOption === 2) {
+            } else if (this.selectedOption === 3) {
                 // High Scores
                 this.menuState = MenuState.HIGH_SCORES;
                 this.highScoresDifficulty = 0;
+                this.selectedOption = 0;
+            } else if (this.selectedOption === 4) {
+                // Contrôles
+                this.menuState = MenuState.CONTROLS;
+                this.selectedOption = 0;
             }
         } else if (this.menuState === MenuState.SOLO_MENU) {
             // Lancer la partie avec la difficulté sélectionnée
             this.gameMode = GameMode.SOLO;
             this.startSoloGame(this.difficulties[this.selectedOption]);
+        } else if (this.menuState === MenuState.CAMPAIGN) {
+            // Lancer le jour sélectionné s'il est débloqué
+            if (this.campaignManager.isUnlocked(this.selectedOption)) {
+                this.startCampaignDay(this.campaignManager.days[this.selectedOption]);
+            }
         } else if (this.menuState === MenuState.MULTI_MENU) {
             if (this.selectedOption === 0) {
                 // Créer partie
                 this.hostGame();
-            } else if (this.selectedOption === 1) {
-                // Rejoindre
+            } else if (this.selectedOption === 1 || this.selectedOption === 3) {
+                // Rejoindre, comme joueur ou comme spectateur
                 this.menuState = MenuState.LOBBY_JOIN;
+                this.joinAsSpectator = this.selectedOption === 3;
                 this.joinCodeInput = '';
                 this.lobbyError = null;
+            } else if (this.selectedOption === 2) {
+                // Co-op local
+                this.openCoopLobby();
             }
         } else if (this.menuState === MenuState.HIGH_SCORES) {
-            this.menuState = MenuState.MAIN;
-        } else if (this.menuState === MenuState.LOBBY_HOST) {
-            // Lancer la partie si joueur 2 connecté
-            if (this.networkManager.state === NetworkState.CONNECTED) {
-                const difficulty = this.difficulties[this.selectedDifficulty];
-                this.networkManager.startGame(difficulty);
-                this.startMultiplayerGame(difficulty);
-            }
+            this.watchReplay();
+        } else if (this.menuState === MenuState.SHOP) {
+            this.handleShopInteraction();
+        } else if (this.menuState === MenuState.CONTROLS) {
+            this.activateControlsOption();
+        } else if (this.isInNetworkLobby()) {
+            this.activateLobbyOption();
         } else if (this.menuState === MenuState.LOBBY_JOIN) {
             // Tenter de rejoindre
-            if (this.joinCodeInput.length === 6) {
+            if (this.joinCodeInput.length === SESSION_CODE_LENGTH) {
                 this.joinGame(this.joinCodeInput);
             }
         }
     }
 
     /**
-     * Héberge une partie
+     * Vérifie si l'écran affiché est le salon d'une session réseau (host ou client connecté)
      */
-    async hostGame() {
-        this.menuState = MenuState.LOBBY_HOST;
-        this.lobbyError = null;
-        this.gameMode = GameMode.MULTI_HOST;
-
-        try {
-            await this.networkManager.hostGame();
-        } catch (err) {
-            this.lobbyError = 'Erreur de connexion';
-            console.error(err);
+    isInNetworkLobby() {
+        const state = this.networkManager.state;
+        if (this.menuState === MenuState.LOBBY_HOST) {
+            return state === NetworkState.WAITING || state === NetworkState.CONNECTED;
         }
+        return this.menuState === MenuState.LOBBY_JOIN && state === NetworkState.CONNECTED;
     }
 
     /**
-     * Rejoint une partie
+     * Réglages du salon proposés au joueur local
      */
-    async joinGame(code) {
-        this.lobbyError = null;
-        this.gameMode = GameMode.MULTI_CLIENT;
+    getLobbyOptions() {
+        if (this.networkManager.spectator) return [];
 
-        try {
-            await this.networkManager.joinGame(code);
-            // En attente du signal de démarrage de l'host
-        } catch (err) {
-            this.lobbyError = 'Code invalide ou partie non trouvée';
-            this.gameMode = GameMode.SOLO;
-            console.error(err);
-        }
+        const options = [
+            LobbyOption.NAME, LobbyOption.COLOR, LobbyOption.DIFFICULTY,
+            LobbyOption.MAP, LobbyOption.READY, LobbyOption.CHAT
+        ];
+        return this.networkManager.isHost() ? [...options, LobbyOption.START] : options;
     }
 
     /**
-     * Démarre une partie solo
+     * Joueur local dans le salon (null pour un spectateur)
      */
-    startSoloGame(difficulty) {
-        this.gameMode = GameMode.SOLO;
-        this.resetPlayers();
-        this.customerManager.reset();
-        this.levelManager.startLevel(difficulty);
-
-        const config = DifficultyConfig[difficulty];
-        this.customerManager.configure(config.maxCustomers, config.customerSpawnDelay, config.customerPatience);
+    getOwnLobbyPlayer() {
+        return this.networkManager.lobby.getPlayer(this.networkManager.playerIndex);
     }
 
     /**
-     * Démarre une partie multijoueur
+     * Identifiants des cartes proposées au vote
      */
-    startMultiplayerGame(difficulty) {
-        this.resetPlayers();
-        this.customerManager.reset();
-        this.levelManager.startLevel(difficulty);
-        this.levelManager.setMultiplayer(true);
-
-        const config = DifficultyConfig[difficulty];
-        // Plus de clients et spawn plus rapide en multi
-        this.customerManager.configure(
-            config.maxCustomers + 1,
-            Math.floor(config.customerSpawnDelay * 0.8),
-            config.customerPatience
-        );
+    getMapIds() {
+        return this.mapIndex ? this.mapIndex.maps.map(entry => entry.id) : [];
     }
 
     /**
-     * Jette le dernier item
+     * Nom affiché d'une carte
      */
-    handleDropItem() {
-        if (this.levelManager.state !== LevelState.PLAYING || !this.localPlayer) return;
-
-        const droppedItem = this.localPlayer.dropItem();
-        if (droppedItem) {
-            this.showFeedback('Item jeté !', '#795548');
-        }
+    getMapName(mapId) {
+        const data = this.assetLoader.getJSON(`map:${mapId}`);
+        return data ? data.name : mapId;
     }
 
     /**
-     * Essaie de servir les clients
+     * Choix suivant d'un vote: le choix par défaut au premier vote, puis dans la direction donnée
      */
-    tryServeCustomers(player) {
-        let totalPoints = 0;
-        let itemsDelivered = 0;
-        let ordersCompleted = 0;
-
-        for (let i = player.inventory.length - 1; i >= 0; i--) {
-            const item = player.inventory[i];
-            const result = this.customerManager.tryServeCustomer(player, item);
-
-            if (result.success && result.correct) {
-                player.inventory.splice(i, 1);
-                itemsDelivered++;
+    nextVoteChoice(choices, current, fallback, direction) {
+        const index = choices.indexOf(current);
+        if (index === -1) return fallback;
+        return choices[(index + direction + choices.length) % choices.length];
+    }
 
-                if (result.completed) {
-                    totalPoints += result.orderSize * 2;
-                    ordersCompleted++;
-                } else {
-                    totalPoints += 1;
-                }
-            }
+    /**
+     * Change la couleur ou un vote du joueur local (Q/D sur le réglage sélectionné)
+     */
+    changeLobbyOption(direction) {
+        const own = this.getOwnLobbyPlayer();
+        if (!own) return;
+
+        const option = this.getLobbyOptions()[this.selectedOption];
+        if (option === LobbyOption.COLOR) {
+            const color = this.networkManager.lobby.nextFreeColor(this.networkManager.playerIndex, direction);
+            this.networkManager.updateLobby({ color });
+        } else if (option === LobbyOption.DIFFICULTY) {
+            const difficulty = this.nextVoteChoice(this.difficulties, own.vote[VoteTopic.DIFFICULTY], Difficulty.MEDIUM, direction);
+            this.networkManager.updateLobby({ vote: { [VoteTopic.DIFFICULTY]: difficulty } });
+        } else if (option === LobbyOption.MAP) {
+            const map = this.nextVoteChoice(this.getMapIds(), own.vote[VoteTopic.MAP], this.mapIndex.default, direction);
+            this.networkManager.updateLobby({ vote: { [VoteTopic.MAP]: map } });
         }
+    }
 
-        if (itemsDelivered > 0) {
-            this.levelManager.addScore(totalPoints);
-            if (ordersCompleted > 0) {
-                this.showFeedback(`+${totalPoints} pts ! ${ordersCompleted} commande(s) !`, '#4caf50');
-            } else {
-                this.showFeedback(`+${totalPoints} pt(s)`, '#4caf50');
-            }
-        } else if (player.isHoldingItem()) {
-            this.showFeedback('Personne ne veut ça !', '#f44336');
+    /**
+     * Valide le réglage sélectionné du salon (E)
+     */
+    activateLobbyOption() {
+        const own = this.getOwnLobbyPlayer();
+        if (!own) return;
+
+        const option = this.getLobbyOptions()[this.selectedOption];
+        if (option === LobbyOption.NAME || option === LobbyOption.CHAT) {
+            this.startLobbyTyping(option);
+        } else if (option === LobbyOption.READY) {
+            this.networkManager.updateLobby({ ready: !own.ready });
+        } else if (option === LobbyOption.START) {
+            this.startNetworkGame();
+        } else {
+            this.changeLobbyOption(1);
         }
     }
 
     /**
-     * Affiche un message de feedback
+     * Vérifie si l'host peut lancer la partie: au moins un autre joueur, et tous prêts
      */
-    showFeedback(message, color) {
+    canStartNetworkGame() {
+        return this.networkManager.state === NetworkState.CONNECTED &&
+            this.networkManager.getPlayerCount() > 1 &&
+            this.networkManager.lobby.isEveryoneReady();
+    }
+
+    /**
+     * Lance la partie réseau (host) avec la difficulté et la carte les plus votées
+     */
+    startNetworkGame() {
+        if (!this.canStartNetworkGame()) {
+            this.showFeedback('Tous les joueurs doivent être prêts', '#ff9800');
+            return;
+        }
+
+        const lobby = this.networkManager.lobby;
+        const difficulty = lobby.getVoteResult(VoteTopic.DIFFICULTY, this.difficulties, Difficulty.MEDIUM);
+        const map = lobby.getVoteResult(VoteTopic.MAP, this.getMapIds(), this.mapIndex.default);
+        this.networkManager.startGame(difficulty, map);
+        this.startMultiplayerGame(difficulty, this.networkManager.playerIndices, map);
+    }
+
+    /**
+     * Commence la saisie du pseudo ou d'un message: les touches vont au texte jusqu'à Entrée / Échap
+     */
+    startLobbyTyping(option) {
+        const own = this.getOwnLobbyPlayer();
+        this.lobbyTyping = { option, text: option === LobbyOption.NAME && own ? own.name : '' };
+        this.inputManager.captureText((key) => this.handleLobbyTyping(key));
+    }
+
+    /**
+     * Touche pressée pendant une saisie du salon
+     */
+    handleLobbyTyping(key) {
+        const typing = this.lobbyTyping;
+        if (!typing) return;
+
+        if (key === 'Enter') {
+            this.stopLobbyTyping();
+            if (typing.option === LobbyOption.NAME) {
+                this.networkManager.updateLobby({ name: typing.text });
+            } else {
+                this.networkManager.sendChat(typing.text);
+            }
+        } else if (key === 'Escape') {
+            this.stopLobbyTyping();
+        } else if (key === 'Backspace') {
+            typing.text = typing.text.slice(0, -1);
+        } else if (key.length === 1) {
+            const maxLength = typing.option === LobbyOption.NAME ? MAX_NAME_LENGTH : MAX_CHAT_LENGTH;
+            if (typing.text.length < maxLength) {
+                typing.text += key;
+            }
+        }
+    }
+
+    /**
+     * Termine la saisie en cours (sans l'envoyer)
+     */
+    stopLobbyTyping() {
+        if (this.lobbyTyping) {
+            this.lobbyTyping = null;
+            this.inputManager.stopTextCapture();
+        }
+    }
+
+    /**
+     * Ajoute une zone touchable à l'écran en cours de rendu
+     */
+    addHitArea(x, y, width, height, callback) {
+        this.hitAreas.push({ x, y, width, height, callback });
+    }
+
+    /**
+     * Applique les taps en attente aux zones du dernier rendu (la dernière dessinée est au-dessus)
+     */
+    handleTaps() {
+        for (const tap of this.touchControls.takeTaps()) {
+            const area = [...this.hitAreas].reverse().find(hit =>
+                tap.x >= hit.x && tap.x <= hit.x + hit.width &&
+                tap.y >= hit.y && tap.y <= hit.y + hit.height
+            );
+            if (area) area.callback();
+        }
+    }
+
+    /**
+     * Tap sur une option de menu: la choisit et la valide
+     * (confirm: il faut toucher une seconde fois l'option déjà choisie)
+     */
+    tapOption(index, confirm = false) {
+        if (confirm && this.selectedOption !== index) {
+            this.selectedOption = index;
+            return;
+        }
+
+        this.selectedOption = index;
+        if (this.levelManager.isPaused()) {
+            this.handlePauseInteraction();
+        } else {
+            this.handleMenuInteraction();
+        }
+    }
+
+    /**
+     * Ouvre la boutique (on revient ensuite à l'écran de menu courant)
+     */
+    openShop() {
+        this.shopReturnState = this.menuState;
+        this.shopReturnOption = this.selectedOption;
+        this.menuState = MenuState.SHOP;
+        this.selectedOption = 0;
+    }
+
+    /**
+     * Quitte la boutique
+     */
+    leaveShop() {
+        this.menuState = this.shopReturnState;
+        this.selectedOption = this.shopReturnOption;
+    }
+
+    /**
+     * Achète l'amélioration sélectionnée ou quitte la boutique
+     */
+    handleShopInteraction() {
+        if (this.selectedOption >= this.upgradeTypes.length) {
+            this.leaveShop();
+            return;
+        }
+
+        const upgradeType = this.upgradeTypes[this.selectedOption];
+        if (this.economyManager.isMaxed(upgradeType)) {
+            this.showFeedback('Déjà au maximum !', '#9e9e9e');
+        } else if (this.economyManager.buyUpgrade(upgradeType)) {
+            this.showFeedback(`${UpgradeConfig[upgradeType].name} acheté !`, '#4caf50');
+        } else {
+            this.showFeedback('Pas assez d\'argent !', '#f44336');
+        }
+    }
+
+    /**
+     * Ouvre le lobby du co-op local: chaque joueur rejoint avec son clavier ou sa manette
+     */
+    openCoopLobby() {
+        this.menuState = MenuState.COOP_LOBBY;
+        this.coopSources = [];
+        this.coopCandidates = [
+            ...CoopKeyboards.map(keyboard => this.inputManager.createSource(keyboard.bindings, null, keyboard.name)),
+            ...Array.from({ length: MAX_GAMEPADS }, (_, index) =>
+                this.inputManager.createSource({}, index, `Manette ${index + 1}`))
+        ];
+        this.inputManager.setPlayerSources(this.coopCandidates);
+    }
+
+    /**
+     * Quitte le co-op local (plus de sources par joueur)
+     */
+    leaveCoop() {
+        this.coopCandidates = [];
+        this.coopSources = [];
+        this.inputManager.setPlayerSources([]);
+    }
+
+    /**
+     * Action d'un joueur du co-op local (lobby ou partie)
+     */
+    handleCoopAction(source, action) {
+        if (this.menuState === MenuState.COOP_LOBBY && this.levelManager.state === LevelState.MENU) {
+            const joined = this.coopSources.includes(source);
+
+            if (action === Action.INTERACT && !joined && this.coopSources.length < MAX_COOP_PLAYERS) {
+                // Rejoindre
+                this.coopSources.push(source);
+                this.showFeedback(`Joueur ${this.coopSources.length} prêt !`, PlayerColors[this.coopSources.length].body);
+            } else if (action === Action.INTERACT && source === this.coopSources[0] && this.coopSources.length >= 2) {
+                // Le joueur 1 lance la partie
+                this.startLocalCoopGame();
+            } else if (action === Action.DROP && joined) {
+                // Quitter
+                this.coopSources.splice(this.coopSources.indexOf(source), 1);
+            }
+            return;
+        }
+
+        if (this.gameMode !== GameMode.LOCAL_COOP || this.levelManager.state !== LevelState.PLAYING) return;
+
+        const playerIndex = this.coopSources.indexOf(source) + 1;
+        if (playerIndex === 0) return;
+
+        if (action === Action.INTERACT) {
+            this.simulation.interact(playerIndex);
+        } else if (action === Action.DROP) {
+            this.simulation.dropItem(playerIndex);
+        }
+    }
+
+    /**
+     * Lance la partie en co-op local avec les joueurs inscrits
+     */
+    startLocalCoopGame() {
+        this.gameMode = GameMode.LOCAL_COOP;
+        this.inputManager.setPlayerSources(this.coopSources);
+        const playerIndices = this.coopSources.map((source, index) => index + 1);
+        this.startMultiplayerGame(this.difficulties[this.selectedDifficulty], playerIndices);
+    }
+
+    /**
+     * Valide la ligne choisie de l'écran des contrôles: profil suivant, ou réassignation d'une action
+     */
+    activateControlsOption() {
+        if (this.selectedOption === 0) {
+            this.changeControlProfile(1);
+        } else {
+            this.startRebinding(RebindableActions[this.selectedOption - 1]);
+        }
+    }
+
+    /**
+     * Passe au profil de contrôles suivant / précédent
+     */
+    changeControlProfile(direction) {
+        const profiles = this.bindingsManager.profiles;
+        const index = profiles.indexOf(this.bindingsManager.getActiveProfile());
+        const profile = profiles[(index + direction + profiles.length) % profiles.length];
+
+        this.bindingsManager.setActiveProfile(profile);
+        this.inputManager.setKeyBindings(this.bindingsManager.getBindings());
+    }
+
+    /**
+     * Attend la prochaine touche pour l'assigner à une action (Échap annule)
+     */
+    startRebinding(action) {
+        this.rebindingAction = action;
+        this.inputManager.captureNextKey(({ key, code }) => {
+            this.rebindingAction = null;
+            if (key === 'escape') return;
+
+            this.inputManager.setKeyBindings(this.bindingsManager.rebind(action, key, code));
+            this.showFeedback(`${ActionNames[action]}: ${this.bindingsManager.getActionLabel(action)}`, '#4caf50');
+        });
+    }
+
+    /**
+     * Retourne les scores de l'onglet affiché
+     */
+    getHighScoreEntries() {
+        const difficulty = this.difficulties[this.highScoresDifficulty];
+        return this.scoreManager.getHighScores()[difficulty] || [];
+    }
+
+    /**
+     * Lance le replay du score sélectionné (vérifié par re-simulation)
+     */
+    watchReplay() {
+        const difficulty = this.difficulties[this.highScoresDifficulty];
+        const entry = this.getHighScoreEntries()[this.selectedOption];
+        if (!entry) return;
+
+        const replay = this.scoreManager.getReplay(entry);
+        const mapData = replay && this.assetLoader.getJSON(`map:${replay.mapId}`);
+        if (!mapData || !ReplayPlayer.isCompatible(replay)) {
+            this.showFeedback('Pas de replay pour ce score', '#9e9e9e');
+            return;
+        }
+
+        this.replayVerified = ReplayPlayer.verify(replay, mapData, difficulty, entry);
+        this.replayPlayer = new ReplayPlayer(replay, mapData);
+        this.replayPlayer.simulation.onFeedback = (message, color) => this.showFeedback(message, color);
+
+        this.useSimulation(this.replayPlayer.simulation);
+        this.localPlayer = this.replayPlayer.getPlayer();
+        this.remotePlayers = [];
+        this.player = this.localPlayer;
+        this.feedbackTimer = 0;
+    }
+
+    /**
+     * Quitte le replay et revient aux high scores
+     */
+    stopReplay() {
+        this.replayPlayer = null;
+        this.useSimulation(this.simulation);
+        this.localPlayer = null;
+        this.player = null;
+        this.feedbackTimer = 0;
+    }
+
+    /**
+     * Héberge une partie
+     */
+    async hostGame() {
+        this.menuState = MenuState.LOBBY_HOST;
+        this.selectedOption = this.getLobbyOptions().indexOf(LobbyOption.READY);
+        this.lobbyError = null;
+        this.gameMode = GameMode.MULTI_HOST;
+
+        try {
+            await this.networkManager.hostGame();
+        } catch (err) {
+            this.lobbyError = 'Erreur de connexion';
+            console.error(err);
+        }
+    }
+
+    /**
+     * Rejoint une partie (comme joueur, ou comme spectateur selon joinAsSpectator)
+     */
+    async joinGame(code) {
+        const spectator = this.joinAsSpectator;
+        this.lobbyError = null;
+        this.gameMode = spectator ? GameMode.SPECTATOR : GameMode.MULTI_CLIENT;
+
+        try {
+            await this.networkManager.joinGame(code, { spectator });
+            this.selectedOption = Math.max(0, this.getLobbyOptions().indexOf(LobbyOption.READY));
+            // En attente du signal de démarrage de l'host
+        } catch (err) {
+            this.lobbyError = err.type === 'refused' ? err.message : 'Code invalide ou partie non trouvée';
+            this.gameMode = GameMode.SOLO;
+            console.error(err);
+        }
+    }
+
+    /**
+     * Ajoute un caractère au code de session saisi
+     */
+    typeJoinCode(char) {
+        if (this.joinCodeInput.length < SESSION_CODE_LENGTH) {
+            this.joinCodeInput += char;
+        }
+    }
+
+    /**
+     * Graine de la prochaine partie (imposée ou tirée au hasard)
+     */
+    nextSeed() {
+        return this.fixedSeed !== null ? this.fixedSeed : Random.randomSeed();
+    }
+
+    /**
+     * Démarre une partie solo
+     */
+    startSoloGame(difficulty) {
+        this.gameMode = GameMode.SOLO;
+        this.currentDay = null;
+        this.loadMap(this.mapIndex.default, this.economyManager.getOwnedUpgrades());
+        this.startSimulation({ difficulty });
+
+        // Enregistre la partie pour l'attacher au high score
+        this.recorder = new ReplayRecorder({
+            seed: this.random.seed,
+            difficulty,
+            mapId: this.currentMapId,
+            upgrades: this.economyManager.getData().upgrades,
+            timestep: FIXED_TIMESTEP
+        }, this.inputManager.actions, this.inputManager.axis);
+    }
+
+    /**
+     * Démarre un jour de campagne (carte, durée et clients propres au jour)
+     */
+    startCampaignDay(day) {
+        this.gameMode = GameMode.SOLO;
+        this.currentDay = day;
+        this.loadMap(day.map, this.economyManager.getOwnedUpgrades());
+        this.startSimulation({ day });
+    }
+
+    /**
+     * Démarre une partie multijoueur (réseau ou co-op local) avec les joueurs d'index donnés
+     */
+    startMultiplayerGame(difficulty, playerIndices, mapId = this.mapIndex.default) {
+        this.currentDay = null;
+        this.recorder = null;
+        this.stopLobbyTyping();
+        this.loadMap(mapId);
+
+        // Le client (ou le spectateur) affiche les clients envoyés par l'host
+        this.simulation.authoritative = !this.followsHost();
+        this.networkManager.clearSnapshots();
+        this.spectatorCamera.reset();
+        this.simulation.start({
+            difficulty,
+            seed: this.nextSeed(),
+            playerIndices,
+            multiplayer: true
+        });
+        this.setupPlayers();
+        this.applyLobbyProfiles();
+        this.roundEarnings = 0;
+    }
+
+    /**
+     * Pseudo et couleur choisis dans le salon réseau par chaque joueur
+     */
+    applyLobbyProfiles() {
+        for (const player of this.simulation.players) {
+            const profile = this.networkManager.lobby.getPlayer(player.playerIndex);
+            if (profile) {
+                player.name = profile.name;
+                player.colors = PlayerColors[profile.color] || player.colors;
+            }
+        }
+    }
+
+    /**
+     * Lance une partie solo avec les améliorations achetées (joueur et patience des clients)
+     */
+    startSimulation(options) {
+        this.recorder = null;
+        const patienceMultiplier = this.economyManager.getPatienceMultiplier();
+
+        this.simulation.authoritative = true;
+        this.simulation.start({ ...options, seed: this.nextSeed(), patienceMultiplier });
+        this.setupPlayers();
+        this.economyManager.applyUpgrades(this.localPlayer);
+        this.roundEarnings = 0;
+    }
+
+    /**
+     * Jette le dernier item
+     */
+    handleDropItem() {
+        if (this.levelManager.isPaused()) return;
+        if (this.gameMode === GameMode.SPECTATOR) {
+            this.spectatorCamera.toggleZoom();
+            return;
+        }
+        if (!this.localPlayer || this.replayPlayer || this.gameMode === GameMode.LOCAL_COOP) return;
+        if (this.networkManager.isWaitingForPlayers()) return;
+
+        if (this.gameMode === GameMode.MULTI_CLIENT) {
+            this.sendIntent(Interaction.DROP);
+        } else {
+            this.simulation.dropItem(this.localPlayer.playerIndex);
+            this.requestNetworkSync();
+        }
+    }
+
+    /**
+     * Envoie une action du joueur local à l'host (client réseau), avec sa position
+     * L'action est aussi prédite: son résultat s'affiche sans attendre la réponse de l'host
+     */
+    sendIntent(type) {
+        if (!type || this.levelManager.state !== LevelState.PLAYING) return;
+
+        const intent = {
+            type,
+            position: { x: this.localPlayer.x, y: this.localPlayer.y }
+        };
+        this.networkManager.sendIntent(intent);
+        this.predictIntent(intent);
+    }
+
+    /**
+     * Applique localement une action du joueur local, depuis la position où il l'a faite (client)
+     * Servir n'est pas prédit: les clients et le score viennent de l'host
+     */
+    predictIntent(intent) {
+        if (intent.type === Interaction.SERVE) return;
+
+        const player = this.localPlayer;
+        const { x, y } = player;
+        player.x = intent.position.x;
+        player.y = intent.position.y;
+
+        if (intent.type === Interaction.DROP) {
+            this.simulation.dropItem(player.playerIndex);
+        } else {
+            this.simulation.interact(player.playerIndex);
+        }
+
+        player.x = x;
+        player.y = y;
+    }
+
+    /**
+     * Valide et applique l'action d'un client (host), puis lui répond et envoie le nouvel état
+     */
+    handleIntent(playerIndex, intent) {
+        if (this.gameMode !== GameMode.MULTI_HOST) return;
+
+        const result = this.simulation.applyIntent(playerIndex, intent);
+        this.networkManager.acknowledgeIntent(playerIndex, intent.id, result);
+        this.requestNetworkSync();
+    }
+
+    /**
+     * Envoie l'état du jeu dès le prochain pas (host), pour que tous voient le résultat d'une action
+     */
+    requestNetworkSync() {
+        if (this.gameMode === GameMode.MULTI_HOST) {
+            this.networkSyncTimer = this.networkSyncInterval;
+        }
+    }
+
+    /**
+     * Message de la simulation: affiché ici, ou renvoyé au client réseau concerné (host)
+     */
+    handleSimulationFeedback(message, color, playerIndex) {
+        if (this.reconciling) return;
+
+        if (this.isRemotePlayer(playerIndex)) {
+            this.networkManager.sendFeedback(playerIndex, message, color);
+        } else {
+            this.showFeedback(message, color);
+        }
+    }
+
+    /**
+     * Vérifie si un joueur est joué sur un autre écran
+     */
+    isRemotePlayer(playerIndex) {
+        return this.remotePlayers.some(player => player.playerIndex === playerIndex);
+    }
+
+    /**
+     * Encaisse une commande complétée (prix + pourboire selon la patience restante)
+     * Celle d'un client réseau lui est envoyée (host): chacun encaisse ses commandes
+     */
+    handleOrderCompleted(result, playerIndex = null) {
+        if (this.isRemotePlayer(playerIndex)) {
+            const { orderSize, patienceRatio, tipMultiplier } = result;
+            this.networkManager.sendOrderCompleted(playerIndex, { orderSize, patienceRatio, tipMultiplier });
+            return;
+        }
+
+        const earnings = this.economyManager.getOrderEarnings(
+            result.orderSize, result.patienceRatio, result.tipMultiplier
+        );
+        this.economyManager.earn(earnings.price + earnings.tip);
+        this.roundEarnings += earnings.price + earnings.tip;
+    }
+
+    /**
+     * Fin de partie: enregistre le score ou le résultat du jour de campagne
+     */
+    handleGameOver(state) {
+        this.lastGameScore = this.levelManager.score;
+
+        if (this.currentDay) {
+            // Campagne: étoiles et déblocage du jour suivant
+            this.lastCampaignResult = this.campaignManager.completeDay(
+                this.currentDay,
+                this.levelManager.score,
+                state === LevelState.WON
+            );
+        } else {
+            this.lastGameRank = this.scoreManager.saveScore(
+                this.levelManager.difficulty,
+                this.levelManager.score,
+                this.customerManager.customersServed,
+                this.levelManager.timeRemaining,
+                this.recorder ? this.recorder.finish() : null
+            );
+        }
+        this.recorder = null;
+    }
+
+    /**
+     * Affiche un message de feedback
+     */
+    showFeedback(message, color) {
         this.feedbackMessage = message;
         this.feedbackColor = color;
         this.feedbackTimer = 1.5;
     }
 
+    /**
+     * Charge l'index des cartes et toutes les cartes qu'il référence
+     */
+    async loadMaps() {
+        this.mapIndex = await this.assetLoader.loadJSON('maps', 'maps/index.json');
+
+        await Promise.all(this.mapIndex.maps.map(
+            entry => this.assetLoader.loadJSON(`map:${entry.id}`, entry.file)
+        ));
+
+        this.loadMap(this.mapIndex.default);
+    }
+
+    /**
+     * Active une carte déjà chargée (les améliorations débloquent des stations)
+     */
+    loadMap(mapId, upgrades = []) {
+        const data = this.assetLoader.getJSON(`map:${mapId}`);
+        if (!data) {
+            console.error('Carte inconnue:', mapId);
+            return;
+        }
+
+        this.simulation.loadMap(data, upgrades);
+        this.currentMapId = mapId;
+    }
+
     /**
      * Initialise et lance le jeu
      */
     async start() {
+        try {
+            await this.loadMaps();
+        } catch (e) {
+            console.error('Erreur chargement des cartes:', e);
+            this.mapIndex = null;
+            this.loadError = e.message;
+        }
+
         // Configure la saisie de texte pour le code
         window.addEventListener('keydown', (e) => {
-            if (this.menuState === MenuState.LOBBY_JOIN && !this.inputDelay) {
+            if (this.menuState === MenuState.LOBBY_JOIN && !this.inputDelay && !this.isInNetworkLobby()) {
                 // Ignore E key (used for menu interaction)
                 if (e.key.toLowerCase() === 'e') return;
 
                 if (e.key.length === 1 && e.key.match(/[a-zA-Z0-9]/)) {
-                    if (this.joinCodeInput.length < 6) {
-                        this.joinCodeInput += e.key.toUpperCase();
-                    }
+                    this.typeJoinCode(e.key.toUpperCase());
                 }
             }
         });
 
+        // Le canvas s'adapte à l'écran (résolution logique inchangée)
+        window.addEventListener('resize', () => this.resize());
+        window.addEventListener('orientationchange', () => this.resize());
+        this.resize();
+
         requestAnimationFrame((time) => this.gameLoop(time));
     }
 
+    /**
+     * Met le canvas à l'échelle de la fenêtre (sans dépasser sa taille réelle)
+     * Le jeu reste dessiné en 600x500, seul l'affichage change
+     */
+    resize() {
+        this.canvas.style.width = '';
+        this.canvas.style.height = '';
+
+        // Place prise autour du canvas (titre, aide, marges, bordure)
+        const container = this.canvas.parentElement;
+        const extraWidth = container.offsetWidth - this.canvas.clientWidth;
+        const extraHeight = container.offsetHeight - this.canvas.clientHeight;
+
+        const scale = Math.min(
+            1,
+            (window.innerWidth - extraWidth) / this.width,
+            (window.innerHeight - extraHeight) / this.height
+        );
+        const border = this.canvas.offsetWidth - this.canvas.clientWidth;
+
+        this.canvas.style.width = `${Math.floor(this.width * scale) + border}px`;
+        this.canvas.style.height = `${Math.floor(this.height * scale) + border}px`;
+    }
+
     /**
      * Boucle de jeu principale
      */
     gameLoop(currentTime) {
         const deltaTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
-        const clampedDelta = Math.min(deltaTime, 0.1);
+        this.accumulator += Math.min(deltaTime, 0.1);
+
+        // Pas fixes: la simulation ne dépend pas de la fréquence d'affichage
+        let steps = 0;
+        while (this.accumulator >= FIXED_TIMESTEP && steps < MAX_STEPS_PER_FRAME) {
+            this.inputManager.processEvents();
+            this.update(FIXED_TIMESTEP);
+            this.accumulator -= FIXED_TIMESTEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_FRAME) {
+            this.accumulator = 0;
+        }
 
-        this.update(clampedDelta);
         this.render();
 
         requestAnimationFrame((time) => this.gameLoop(time));
@@ -496,45 +1654,93 @@ export class Game {
      * Met à jour la logique du jeu
      */
     update(deltaTime) {
-        const previousState = this.levelManager.state;
+        // Taps sur les menus et le replay
+        this.handleTaps();
 
-        this.levelManager.update(deltaTime);
+        // Saisie du salon interrompue (partie lancée, session perdue)
+        if (this.lobbyTyping && !this.isInNetworkLobby()) {
+            this.stopLobbyTyping();
+        }
 
-        // Détecte fin de partie
-        if (previousState === LevelState.PLAYING &&
-            (this.levelManager.state === LevelState.WON || this.levelManager.state === LevelState.LOST)) {
-            this.lastGameScore = this.levelManager.score;
-            this.lastGameRank = this.scoreManager.saveScore(
-                this.levelManager.difficulty,
-                this.levelManager.score,
-                this.customerManager.customersServed,
-                this.levelManager.timeRemaining
-            );
+        // Réglages de la pause fermés par une reprise ou une relance venue d'un autre joueur
+        if (this.pauseSettings && !this.levelManager.isPaused()) {
+            this.closePauseSettings();
         }
 
+        // Lecture d'un replay: la partie rejouée remplace les entrées du joueur
+        if (this.replayPlayer) {
+            this.replayPlayer.update();
+        } else {
+            this.updateGame(deltaTime);
+        }
+
+        // Commandes tactiles: joystick et boutons en jeu, taps ailleurs
+        this.touchControls.setGameMode(this.levelManager.state === LevelState.PLAYING && !this.replayPlayer);
+
+        if (this.feedbackTimer > 0) {
+            this.feedbackTimer -= deltaTime;
+        }
+    }
+
+    /**
+     * Avance la partie en cours d'un pas
+     */
+    updateGame(deltaTime) {
+        // Pause: chrono, clients et joueurs figés
+        if (this.levelManager.isPaused()) return;
+
+        // Réseau: partie en pause tant qu'un joueur coupé peut revenir
+        if (this.levelManager.state === LevelState.PLAYING && this.networkManager.isWaitingForPlayers()) return;
+
         if (this.levelManager.state === LevelState.PLAYING) {
-            // Update joueur local
-            if (this.localPlayer) {
-                this.localPlayer.update(deltaTime, this.inputManager, this.gameMap);
+            // Joueurs (et clients, pour un client réseau) distants: affichés avec un léger retard,
+            // entre les deux états reçus qui encadrent ce moment
+            if (this.networkManager.isConnected()) {
+                this.interpolateRemoteEntities();
             }
 
-            // Update joueur distant depuis réseau
-            if (this.remotePlayer && this.networkManager.isConnected()) {
-                const remoteData = this.networkManager.getRemotePlayerData();
-                this.remotePlayer.updateFromNetwork(remoteData);
+            if (this.gameMode === GameMode.SPECTATOR) {
+                this.spectatorCamera.update(deltaTime, this.inputManager.getMovementIntent(), this.simulation.players);
             }
+        }
 
-            // Host gère les clients
-            if (this.gameMode === GameMode.SOLO || this.gameMode === GameMode.MULTI_HOST) {
-                this.customerManager.update(deltaTime);
-            }
+        // Déplacement des joueurs locaux selon leurs touches / manettes
+        const intents = {};
+        if (this.gameMode === GameMode.LOCAL_COOP) {
+            this.coopSources.forEach((source, index) => {
+                intents[index + 1] = this.inputManager.getMovementIntent(source);
+            });
+        } else if (this.localPlayer) {
+            intents[this.localPlayer.playerIndex] = this.inputManager.getMovementIntent();
+        }
+        this.simulation.step(deltaTime, intents);
+
+        if (this.recorder) {
+            this.recorder.nextFrame();
+        }
 
+        if (this.levelManager.state === LevelState.PLAYING) {
             // Sync réseau
             this.updateNetworkSync(deltaTime);
         }
+    }
 
-        if (this.feedbackTimer > 0) {
-            this.feedbackTimer -= deltaTime;
+    /**
+     * Place les joueurs et clients distants entre deux états reçus, interpolationDelay ms dans le passé
+     */
+    interpolateRemoteEntities() {
+        for (const player of this.remotePlayers) {
+            const sample = this.networkManager.sampleRemotePlayer(player.playerIndex, this.interpolationDelay);
+            if (sample) {
+                player.updateFromNetwork(sample.from, sample.to, sample.alpha);
+            }
+        }
+
+        if (this.followsHost()) {
+            const sample = this.networkManager.sampleGameState(this.interpolationDelay);
+            if (sample) {
+                this.customerManager.interpolateFromNetwork(sample.from.customers, sample.to.customers, sample.alpha);
+            }
         }
     }
 
@@ -555,30 +1761,76 @@ export class Game {
 
             // Host envoie l'état complet du jeu
             if (this.gameMode === GameMode.MULTI_HOST) {
-                this.networkManager.sendGameState({
-                    score: this.levelManager.score,
-                    timeRemaining: this.levelManager.timeRemaining,
-                    customersLost: this.levelManager.customersLost,
-                    customers: this.customerManager.getCustomersData()
-                });
+                this.networkManager.sendGameState(this.getGameStateData());
             }
         }
     }
 
+    /**
+     * État du jeu envoyé aux clients (host)
+     */
+    getGameStateData() {
+        return {
+            score: this.levelManager.score,
+            timeRemaining: this.levelManager.timeRemaining,
+            customersLost: this.levelManager.customersLost,
+            customersServed: this.customerManager.customersServed,
+            customers: this.customerManager.getCustomersData(),
+            inventories: Object.fromEntries(
+                this.simulation.players.map(player => [player.playerIndex, player.getInventoryData()])
+            ),
+            stations: this.gameMap.getStationsData()
+        };
+    }
+
+    /**
+     * État complet envoyé à un joueur revenu (host): partie, joueurs et positions
+     */
+    getResumeData() {
+        return {
+            difficulty: this.levelManager.difficulty,
+            map: this.currentMapId,
+            players: this.networkManager.playerIndices,
+            paused: this.levelManager.isPaused(),
+            state: {
+                ...this.getGameStateData(),
+                positions: Object.fromEntries(
+                    this.simulation.players.map(player => [player.playerIndex, player.getNetworkData()])
+                )
+            }
+        };
+    }
+
     /**
      * Reçoit l'état du jeu depuis l'host (client)
      */
     handleGameStateFromHost(data) {
-        if (this.gameMode !== GameMode.MULTI_CLIENT) return;
+        if (!this.followsHost()) return;
 
         this.levelManager.score = data.score;
         this.levelManager.timeRemaining = data.timeRemaining;
         this.levelManager.customersLost = data.customersLost;
+        this.customerManager.customersServed = data.customersServed;
 
         // Sync customers
         if (data.customers) {
             this.customerManager.updateFromNetwork(data.customers);
         }
+
+        // Inventaires (le sien compris) et stations: c'est l'host qui applique les actions
+        for (const player of this.simulation.players) {
+            const inventory = data.inventories && data.inventories[player.playerIndex];
+            if (inventory) player.updateInventoryFromNetwork(inventory);
+        }
+        this.gameMap.updateStationsFromNetwork(data.stations);
+
+        // Réconciliation: les actions du joueur local pas encore traitées par l'host
+        // sont rejouées sur l'état reçu (une action refusée disparaît avec son accusé de réception)
+        this.reconciling = true;
+        for (const intent of this.networkManager.pendingIntents.values()) {
+            this.predictIntent(intent);
+        }
+        this.reconciling = false;
     }
 
     /**
@@ -586,13 +1838,38 @@ export class Game {
      */
     render() {
         this.ctx.clearRect(0, 0, this.width, this.height);
+        this.hitAreas = [];
+
+        if (this.replayPlayer) {
+            this.renderGame();
+            this.renderReplayControls();
+            this.renderBackButton(58); // Sous le HUD
+            return;
+        }
 
         switch (this.levelManager.state) {
             case LevelState.MENU:
+                if (this.loadError) {
+                    this.renderLoadError();
+                    break;
+                }
                 this.renderMenuState();
+                if (this.menuState !== MenuState.MAIN) {
+                    this.renderBackButton();
+                }
                 break;
             case LevelState.PLAYING:
                 this.renderGame();
+                if (this.touchControls.active) {
+                    this.touchControls.render(this.ctx);
+                }
+                if (this.networkManager.isWaitingForPlayers()) {
+                    this.renderReconnectOverlay();
+                }
+                break;
+            case LevelState.PAUSED:
+                this.renderGame();
+                this.renderPauseMenu();
                 break;
             case LevelState.WON:
                 this.renderGame();
@@ -603,6 +1880,10 @@ export class Game {
                 this.renderEndScreen(false);
                 break;
         }
+
+        if (this.showNetworkStats) {
+            this.renderNetworkStats();
+        }
     }
 
     /**
@@ -616,9 +1897,15 @@ export class Game {
             case MenuState.SOLO_MENU:
                 this.renderSoloMenu();
                 break;
+            case MenuState.CAMPAIGN:
+                this.renderCampaignMenu();
+                break;
             case MenuState.MULTI_MENU:
                 this.renderMultiMenu();
                 break;
+            case MenuState.COOP_LOBBY:
+                this.renderCoopLobby();
+                break;
             case MenuState.LOBBY_HOST:
                 this.renderLobbyHost();
                 break;
@@ -628,9 +1915,39 @@ export class Game {
             case MenuState.HIGH_SCORES:
                 this.renderHighScores();
                 break;
+            case MenuState.SHOP:
+                this.renderShop();
+                break;
+            case MenuState.CONTROLS:
+                this.renderControls();
+                break;
         }
     }
 
+    /**
+     * Écran d'erreur à la place du menu: cartes non chargées
+     */
+    renderLoadError() {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#f44336';
+        this.ctx.font = '14px "Press Start 2P", monospace';
+        this.ctx.fillText('CHARGEMENT IMPOSSIBLE', this.width / 2, 180);
+
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '10px "Press Start 2P", monospace';
+        this.ctx.fillText('Les cartes du jeu (maps/) manquent', this.width / 2, 230);
+        this.ctx.fillText('ou sont invalides', this.width / 2, 250);
+
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.fillText(this.loadError.slice(0, 60), this.width / 2, 290);
+        this.ctx.fillText('Recharge la page pour réessayer', this.width / 2, 340);
+    }
+
     /**
      * Rendu du menu principal
      */
@@ -650,15 +1967,17 @@ export class Game {
         this.ctx.fillText('CUITE GAME', this.width / 2, 90);
         this.ctx.shadowBlur = 0;
 
-        // Options (3 choix)
+        // Options (5 choix)
         const options = [
             { label: '🎮 SOLO', color: '#4caf50' },
+            { label: '📅 CAMPAGNE', color: '#ff9800' },
             { label: '👥 MULTIJOUEUR', color: '#2196f3' },
-            { label: '🏆 HIGH SCORES', color: '#9c27b0' }
+            { label: '🏆 HIGH SCORES', color: '#9c27b0' },
+            { label: '⌨ CONTRÔLES', color: '#607d8b' }
         ];
 
-        const startY = 200;
-        const spacing = 70;
+        const startY = 160;
+        const spacing = 58;
 
         options.forEach((opt, index) => {
             const y = startY + index * spacing;
@@ -668,6 +1987,7 @@ export class Game {
             this.ctx.beginPath();
             this.ctx.roundRect(this.width / 2 - 140, y - 22, 280, 44, 10);
             this.ctx.fill();
+            this.addHitArea(this.width / 2 - 140, y - 22, 280, 44, () => this.tapOption(index));
 
             this.ctx.fillStyle = isSelected ? '#fff' : '#888';
             this.ctx.font = '12px "Press Start 2P", monospace';
@@ -716,6 +2036,7 @@ export class Game {
             this.ctx.beginPath();
             this.ctx.roundRect(this.width / 2 - 140, y - 28, 280, 56, 10);
             this.ctx.fill();
+            this.addHitArea(this.width / 2 - 140, y - 28, 280, 56, () => this.tapOption(index));
 
             // Nom de la difficulté
             this.ctx.fillStyle = isSelected ? '#fff' : '#888';
@@ -740,6 +2061,62 @@ export class Game {
         this.ctx.fillText('Z/S naviguer - E lancer - ESC retour', this.width / 2, 460);
     }
 
+    /**
+     * Rendu de la sélection des jours de campagne
+     */
+    renderCampaignMenu() {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.fillStyle = '#ff9800';
+        this.ctx.font = '16px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('📅 CAMPAGNE', this.width / 2, 45);
+
+        const startY = 100;
+        const spacing = 56;
+
+        this.campaignManager.days.forEach((day, index) => {
+            const y = startY + index * spacing;
+            const isSelected = index === this.selectedOption;
+            const unlocked = this.campaignManager.isUnlocked(index);
+            const stars = this.campaignManager.getStars(day.id);
+            const mapData = this.assetLoader.getJSON(`map:${day.map}`);
+
+            // Fond
+            this.ctx.fillStyle = isSelected && unlocked ? day.color :
+                isSelected ? 'rgba(255,255,255,0.25)' : 'rgba(255,255,255,0.08)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(60, y - 22, this.width - 120, 44, 8);
+            this.ctx.fill();
+            this.addHitArea(60, y - 22, this.width - 120, 44, () => this.tapOption(index));
+
+            // Nom du jour
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = unlocked ? (isSelected ? '#fff' : '#ccc') : '#555';
+            this.ctx.font = '9px "Press Start 2P", monospace';
+            this.ctx.fillText(unlocked ? day.name : `🔒 ${day.name}`, 80, y - 6);
+
+            // Restaurant et durée
+            this.ctx.font = '7px "Press Start 2P", monospace';
+            this.ctx.fillStyle = unlocked ? '#aaa' : '#444';
+            const restaurant = mapData ? mapData.name : day.map;
+            this.ctx.fillText(`🏪 ${restaurant} - ${day.duration}s`, 80, y + 10);
+
+            // Étoiles
+            this.ctx.textAlign = 'right';
+            this.ctx.font = '12px "Press Start 2P", monospace';
+            this.ctx.fillStyle = '#ffd700';
+            this.ctx.fillText('★'.repeat(stars) + '☆'.repeat(3 - stars), this.width - 80, y);
+        });
+
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.fillText('Z/S naviguer - E jouer - ESC retour', this.width / 2, 460);
+    }
+
     /**
      * Rendu du menu multijoueur
      */
@@ -755,11 +2132,13 @@ export class Game {
 
         const options = [
             { label: '🏠 CRÉER PARTIE', desc: 'Héberge une session' },
-            { label: '🔗 REJOINDRE', desc: 'Entre un code' }
+            { label: '🔗 REJOINDRE', desc: 'Entre un code' },
+            { label: '🎮 CO-OP LOCAL', desc: '2 à 4 joueurs sur cet écran' },
+            { label: '👁 REGARDER', desc: 'Spectateur avec un code' }
         ];
 
-        const startY = 200;
-        const spacing = 80;
+        const startY = 160;
+        const spacing = 70;
 
         options.forEach((opt, index) => {
             const y = startY + index * spacing;
@@ -769,6 +2148,7 @@ export class Game {
             this.ctx.beginPath();
             this.ctx.roundRect(this.width / 2 - 140, y - 25, 280, 50, 10);
             this.ctx.fill();
+            this.addHitArea(this.width / 2 - 140, y - 25, 280, 50, () => this.tapOption(index));
 
             this.ctx.fillStyle = isSelected ? '#fff' : '#888';
             this.ctx.font = '11px "Press Start 2P", monospace';
@@ -784,10 +2164,76 @@ export class Game {
         this.ctx.fillText('ESC retour', this.width / 2, 460);
     }
 
+    /**
+     * Rendu du lobby du co-op local (joueurs inscrits et difficulté)
+     */
+    renderCoopLobby() {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.fillStyle = '#2196f3';
+        this.ctx.font = '16px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('🎮 CO-OP LOCAL', this.width / 2, 50);
+
+        this.ctx.fillStyle = '#888';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.fillText('Interagir (E, Entrée ou A) pour rejoindre', this.width / 2, 85);
+
+        // Emplacements des joueurs
+        for (let i = 0; i < MAX_COOP_PLAYERS; i++) {
+            const y = 130 + i * 55;
+            const source = this.coopSources[i];
+            const colors = PlayerColors[i + 1];
+
+            this.ctx.fillStyle = source ? colors.body : 'rgba(255,255,255,0.05)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(this.width / 2 - 180, y - 20, 360, 40, 8);
+            this.ctx.fill();
+
+            this.ctx.fillStyle = source ? '#fff' : '#555';
+            this.ctx.font = '10px "Press Start 2P", monospace';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`J${i + 1}`, this.width / 2 - 165, y);
+
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(source ? source.name : 'En attente...', this.width / 2 + 165, y);
+        }
+
+        // Difficulté
+        const config = DifficultyConfig[this.difficulties[this.selectedDifficulty]];
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = config.color;
+        this.ctx.font = '10px "Press Start 2P", monospace';
+        this.ctx.fillText(`◀ ${config.name} ▶`, this.width / 2, 365);
+        this.addHitArea(this.width / 2 - 120, 345, 120, 40, () => this.handleMenuHorizontal(-1));
+        this.addHitArea(this.width / 2, 345, 120, 40, () => this.handleMenuHorizontal(1));
+
+        this.ctx.fillStyle = this.coopSources.length >= 2 ? '#4caf50' : '#666';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.fillText(
+            this.coopSources.length >= 2 ? 'J1: Interagir pour lancer' : 'Il faut au moins 2 joueurs',
+            this.width / 2, 400
+        );
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.fillText('Q/D difficulté - Jeter pour quitter - ESC retour', this.width / 2, 460);
+
+        if (this.feedbackTimer > 0) {
+            this.renderFeedback();
+        }
+    }
+
     /**
      * Rendu du lobby host
      */
     renderLobbyHost() {
+        if (this.isInNetworkLobby()) {
+            this.renderNetworkLobby('🏠 PARTIE CRÉÉE', '#4caf50');
+            return;
+        }
+
         this.ctx.fillStyle = '#1a1a2e';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
@@ -796,56 +2242,261 @@ export class Game {
         this.ctx.textAlign = 'center';
         this.ctx.fillText('🏠 PARTIE CRÉÉE', this.width / 2, 60);
 
-        // Code de session
+        // Session en cours de création
         this.ctx.fillStyle = '#fff';
         this.ctx.font = '12px "Press Start 2P", monospace';
         this.ctx.fillText('Code de session:', this.width / 2, 120);
 
-        // Grand affichage du code
         this.ctx.fillStyle = '#ffd700';
         this.ctx.font = '32px "Press Start 2P", monospace';
         this.ctx.fillText(this.networkManager.sessionCode || '...', this.width / 2, 170);
 
-        // Statut
-        this.ctx.font = '10px "Press Start 2P", monospace';
-        if (this.networkManager.state === NetworkState.WAITING) {
-            this.ctx.fillStyle = '#ff9800';
-            this.ctx.fillText('⏳ En attente du joueur 2...', this.width / 2, 230);
-        } else if (this.networkManager.state === NetworkState.CONNECTED) {
-            this.ctx.fillStyle = '#4caf50';
-            this.ctx.fillText('✓ Joueur 2 connecté !', this.width / 2, 230);
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        if (this.lobbyError) {
+            this.ctx.fillStyle = '#f44336';
+            this.ctx.fillText(this.lobbyError, this.width / 2, 250);
+        }
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.fillText('ESC annuler', this.width / 2, 460);
+    }
+
+    /**
+     * Salon réseau (host, clients et spectateurs): joueurs et leurs votes, réglages du joueur local, chat
+     */
+    renderNetworkLobby(title, titleColor) {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = titleColor;
+        this.ctx.font = '14px "Press Start 2P", monospace';
+        this.ctx.fillText(title, this.width / 2, 26);
+
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = '12px "Press Start 2P", monospace';
+        this.ctx.fillText(`Code: ${this.networkManager.sessionCode}`, this.width / 2, 54);
+
+        this.renderLobbyPlayers(84);
+        this.renderLobbyOptions(196);
+        this.renderLobbyChat(366);
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        const help = this.touchControls.active ? 'Touche un réglage' : 'Z/S choisir | Q/D changer | E valider';
+        this.ctx.fillText(`${help} | ESC quitter`, this.width / 2, 490);
+
+        if (this.feedbackTimer > 0) {
+            this.renderFeedback();
+        }
+    }
 
-            // Sélection difficulté
+    /**
+     * Joueurs du salon: couleur, pseudo, votes et prêt
+     */
+    renderLobbyPlayers(startY) {
+        const lobby = this.networkManager.lobby;
+        const rowHeight = 20;
+
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.textBaseline = 'middle';
+
+        for (let index = 1; index <= MAX_NETWORK_PLAYERS; index++) {
+            const y = startY + (index - 1) * rowHeight;
+            const player = lobby.getPlayer(index);
+
+            this.ctx.textAlign = 'left';
+            if (!player) {
+                this.ctx.fillStyle = '#555';
+                this.ctx.fillText(`J${index} ...`, 70, y);
+                continue;
+            }
+
+            const colors = PlayerColors[player.color] || PlayerColors[index];
+            this.ctx.fillStyle = colors.body;
+            this.ctx.beginPath();
+            this.ctx.arc(56, y, 6, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            const tags = (index === HOST_PLAYER_INDEX ? ' ★' : '') + (index === this.networkManager.playerIndex ? ' (toi)' : '');
             this.ctx.fillStyle = '#fff';
-            this.ctx.font = '10px "Press Start 2P", monospace';
-            this.ctx.fillText('Difficulté (Z/S):', this.width / 2, 280);
+            this.ctx.fillText(`${player.name}${tags}`, 70, y);
+
+            const difficulty = player.vote[VoteTopic.DIFFICULTY];
+            const map = player.vote[VoteTopic.MAP];
+            this.ctx.fillStyle = '#888';
+            this.ctx.fillText(
+                `${DifficultyConfig[difficulty] ? DifficultyConfig[difficulty].name : '-'} / ${map ? this.getMapName(map) : '-'}`,
+                300, y
+            );
 
-            const config = DifficultyConfig[this.difficulties[this.selectedDifficulty]];
-            this.ctx.fillStyle = config.color;
-            this.ctx.font = '12px "Press Start 2P", monospace';
-            this.ctx.fillText(config.name, this.width / 2, 310);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillStyle = player.ready ? '#4caf50' : '#666';
+            this.ctx.fillText(player.ready ? '✓ PRÊT' : '...', 550, y);
+        }
 
-            this.ctx.fillStyle = '#4caf50';
+        // Spectateurs (connus de l'host seulement)
+        const spectators = this.networkManager.getSpectatorCount();
+        if (spectators > 0) {
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = '#9e9e9e';
+            this.ctx.fillText(`👁 ${spectators} spectateur(s)`, 70, startY + MAX_NETWORK_PLAYERS * rowHeight);
+        }
+    }
+
+    /**
+     * Réglages du joueur local, avec le résultat des votes
+     */
+    renderLobbyOptions(startY) {
+        const options = this.getLobbyOptions();
+        const spacing = 24;
+
+        if (options.length === 0) {
+            this.ctx.fillStyle = '#9e9e9e';
             this.ctx.font = '10px "Press Start 2P", monospace';
-            this.ctx.fillText('Appuie sur E pour lancer !', this.width / 2, 370);
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('👁 Spectateur: en attente de l\'hôte...', this.width / 2, startY + 60);
+            return;
         }
 
-        this.ctx.fillStyle = '#666';
+        options.forEach((option, index) => {
+            const y = startY + index * spacing;
+            const isSelected = index === this.selectedOption;
+
+            this.ctx.fillStyle = isSelected ? '#2196f3' : 'rgba(255,255,255,0.08)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(90, y - 10, 420, 20, 6);
+            this.ctx.fill();
+
+            // Couleur et votes: moitié gauche / droite pour changer, sinon valider
+            if (option === LobbyOption.COLOR || option === LobbyOption.DIFFICULTY || option === LobbyOption.MAP) {
+                this.addHitArea(90, y - 10, 210, 20, () => { this.selectedOption = index; this.changeLobbyOption(-1); });
+                this.addHitArea(300, y - 10, 210, 20, () => { this.selectedOption = index; this.changeLobbyOption(1); });
+            } else {
+                this.addHitArea(90, y - 10, 420, 20, () => this.tapOption(index));
+            }
+
+            this.ctx.font = '8px "Press Start 2P", monospace';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = isSelected ? '#fff' : '#aaa';
+            this.ctx.fillText(LobbyOptionLabels[option], 102, y);
+
+            const { text, color } = this.getLobbyOptionValue(option);
+            this.ctx.textAlign = 'right';
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(text, 498, y);
+        });
+    }
+
+    /**
+     * Valeur affichée d'un réglage du salon ({ text, color })
+     */
+    getLobbyOptionValue(option) {
+        const lobby = this.networkManager.lobby;
+        const own = this.getOwnLobbyPlayer();
+        const typing = this.lobbyTyping && this.lobbyTyping.option === option;
+        if (!own) return { text: '', color: '#fff' };
+
+        if (option === LobbyOption.NAME) {
+            return typing ? { text: `${this.lobbyTyping.text}_`, color: '#ffd700' } : { text: own.name, color: '#fff' };
+        }
+        if (option === LobbyOption.COLOR) {
+            const colors = PlayerColors[own.color];
+            return { text: `◀ ${colors.name} ▶`, color: colors.body };
+        }
+        if (option === LobbyOption.DIFFICULTY) {
+            const vote = own.vote[VoteTopic.DIFFICULTY];
+            const result = lobby.getVoteResult(VoteTopic.DIFFICULTY, this.difficulties, Difficulty.MEDIUM);
+            const mine = DifficultyConfig[vote] ? DifficultyConfig[vote].name : '-';
+            return { text: `◀ ${mine} ▶ → ${DifficultyConfig[result].name}`, color: DifficultyConfig[result].color };
+        }
+        if (option === LobbyOption.MAP) {
+            const vote = own.vote[VoteTopic.MAP];
+            const result = lobby.getVoteResult(VoteTopic.MAP, this.getMapIds(), this.mapIndex.default);
+            return { text: `◀ ${vote ? this.getMapName(vote) : '-'} ▶ → ${this.getMapName(result)}`, color: '#fff' };
+        }
+        if (option === LobbyOption.READY) {
+            return own.ready ? { text: 'OUI ✓', color: '#4caf50' } : { text: 'NON', color: '#f44336' };
+        }
+        if (option === LobbyOption.CHAT) {
+            return { text: typing ? 'Entrée envoyer' : 'écrire', color: '#aaa' };
+        }
+        return this.canStartNetworkGame()
+            ? { text: 'C\'est parti !', color: '#4caf50' }
+            : { text: 'Attente des joueurs prêts', color: '#ff9800' };
+    }
+
+    /**
+     * Derniers messages du chat, message en cours de saisie et messages rapides (tactile)
+     */
+    renderLobbyChat(startY) {
+        const lineHeight = 16;
+        const messages = this.networkManager.lobby.messages.slice(-CHAT_LINES);
+
+        this.ctx.fillStyle = 'rgba(255,255,255,0.05)';
+        this.ctx.fillRect(40, startY - 12, this.width - 80, (CHAT_LINES + 1) * lineHeight + 4);
+
         this.ctx.font = '8px "Press Start 2P", monospace';
-        this.ctx.fillText('ESC annuler', this.width / 2, 460);
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+
+        messages.forEach((message, index) => {
+            const y = startY + index * lineHeight;
+            const colors = PlayerColors[message.color] || PlayerColors[message.playerIndex];
+            const name = `${message.name}: `;
+
+            this.ctx.fillStyle = colors ? colors.body : '#fff';
+            this.ctx.fillText(name, 50, y);
+            this.ctx.fillStyle = '#ddd';
+            this.ctx.fillText(message.text, 50 + this.ctx.measureText(name).width, y);
+        });
+
+        if (this.lobbyTyping && this.lobbyTyping.option === LobbyOption.CHAT) {
+            this.ctx.fillStyle = '#ffd700';
+            this.ctx.fillText(`> ${this.lobbyTyping.text}_`, 50, startY + CHAT_LINES * lineHeight);
+        }
+
+        // Sans clavier: messages tout prêts
+        if (!this.touchControls.active || this.getLobbyOptions().length === 0) return;
+
+        const buttonWidth = 120;
+        const gap = 10;
+        const startX = (this.width - (QUICK_CHAT_MESSAGES.length * (buttonWidth + gap) - gap)) / 2;
+        const y = startY + (CHAT_LINES + 1) * lineHeight + 14;
+
+        this.ctx.textAlign = 'center';
+        QUICK_CHAT_MESSAGES.forEach((text, index) => {
+            const x = startX + index * (buttonWidth + gap);
+
+            this.ctx.fillStyle = 'rgba(33, 150, 243, 0.4)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(x, y - 10, buttonWidth, 20, 6);
+            this.ctx.fill();
+            this.addHitArea(x, y - 10, buttonWidth, 20, () => this.networkManager.sendChat(text));
+
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText(text, x + buttonWidth / 2, y);
+        });
     }
 
     /**
      * Rendu du lobby join
      */
     renderLobbyJoin() {
+        if (this.isInNetworkLobby()) {
+            this.renderNetworkLobby(this.joinAsSpectator ? '👁 REGARDER' : '🔗 SALON', '#2196f3');
+            return;
+        }
+
         this.ctx.fillStyle = '#1a1a2e';
         this.ctx.fillRect(0, 0, this.width, this.height);
 
         this.ctx.fillStyle = '#2196f3';
         this.ctx.font = '14px "Press Start 2P", monospace';
         this.ctx.textAlign = 'center';
-        this.ctx.fillText('🔗 REJOINDRE', this.width / 2, 60);
+        this.ctx.fillText(this.joinAsSpectator ? '👁 REGARDER' : '🔗 REJOINDRE', this.width / 2, 60);
 
         this.ctx.fillStyle = '#fff';
         this.ctx.font = '10px "Press Start 2P", monospace';
@@ -864,26 +2515,28 @@ export class Game {
         // Code saisi
         this.ctx.fillStyle = '#ffd700';
         this.ctx.font = '28px "Press Start 2P", monospace';
-        const displayCode = this.joinCodeInput.padEnd(6, '_').split('').join(' ');
+        const displayCode = this.joinCodeInput.padEnd(SESSION_CODE_LENGTH, '_').split('').join(' ');
         this.ctx.fillText(displayCode, this.width / 2, 205);
 
-        // État de connexion
+        // État de connexion (une fois connecté: le salon)
         if (this.networkManager.state === NetworkState.CONNECTING) {
             this.ctx.fillStyle = '#ff9800';
             this.ctx.font = '10px "Press Start 2P", monospace';
             this.ctx.fillText('⏳ Connexion...', this.width / 2, 280);
-        } else if (this.networkManager.state === NetworkState.CONNECTED) {
-            this.ctx.fillStyle = '#4caf50';
-            this.ctx.font = '10px "Press Start 2P", monospace';
-            this.ctx.fillText('✓ Connecté ! En attente...', this.width / 2, 280);
         } else if (this.lobbyError) {
             this.ctx.fillStyle = '#f44336';
             this.ctx.font = '8px "Press Start 2P", monospace';
             this.ctx.fillText(this.lobbyError, this.width / 2, 280);
-        } else if (this.joinCodeInput.length === 6) {
+        } else if (this.joinCodeInput.length === SESSION_CODE_LENGTH) {
             this.ctx.fillStyle = '#4caf50';
             this.ctx.font = '10px "Press Start 2P", monospace';
-            this.ctx.fillText('Appuie sur E pour rejoindre', this.width / 2, 280);
+            this.ctx.fillText(this.touchControls.active ? 'Touche OK pour rejoindre' : 'Appuie sur E pour rejoindre', this.width / 2, 280);
+        }
+
+        // Sur écran tactile, clavier à la place des instructions
+        if (this.touchControls.active) {
+            this.renderJoinKeyboard();
+            return;
         }
 
         this.ctx.fillStyle = '#666';
@@ -891,6 +2544,52 @@ export class Game {
         this.ctx.fillText('ESC retour | BACKSPACE effacer', this.width / 2, 460);
     }
 
+    /**
+     * Clavier à l'écran pour saisir le code de session (caractères possibles, effacer, valider)
+     */
+    renderJoinKeyboard() {
+        const keyWidth = 48;
+        const keyHeight = 30;
+        const gap = 6;
+        const startX = (this.width - (JOIN_KEYBOARD_COLUMNS * (keyWidth + gap) - gap)) / 2;
+        const startY = 300;
+
+        const keys = SESSION_CODE_CHARS.split('').map(char => ({
+            label: char,
+            color: 'rgba(255,255,255,0.15)',
+            action: () => this.typeJoinCode(char)
+        }));
+        keys.push(
+            { label: '⌫', color: '#f44336', action: () => { this.joinCodeInput = this.joinCodeInput.slice(0, -1); } },
+            { label: 'OK', color: '#4caf50', action: () => this.handleMenuInteraction() }
+        );
+
+        // Effacer et valider, centrés sur la dernière ligne
+        const rows = Math.ceil(SESSION_CODE_CHARS.length / JOIN_KEYBOARD_COLUMNS);
+
+        this.ctx.font = '10px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        keys.forEach((key, index) => {
+            const special = index >= SESSION_CODE_CHARS.length;
+            const row = special ? rows : Math.floor(index / JOIN_KEYBOARD_COLUMNS);
+            const column = special ? 2 + (index - SESSION_CODE_CHARS.length) * 2 : index % JOIN_KEYBOARD_COLUMNS;
+            const width = special ? keyWidth * 2 + gap : keyWidth;
+            const x = startX + column * (keyWidth + gap);
+            const y = startY + row * (keyHeight + gap);
+
+            this.ctx.fillStyle = key.color;
+            this.ctx.beginPath();
+            this.ctx.roundRect(x, y, width, keyHeight, 5);
+            this.ctx.fill();
+
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText(key.label, x + width / 2, y + keyHeight / 2);
+            this.addHitArea(x, y, width, keyHeight, key.action);
+        });
+    }
+
     /**
      * Rendu des high scores
      */
@@ -914,6 +2613,10 @@ export class Game {
             this.ctx.beginPath();
             this.ctx.roundRect(tabX - 60, tabY - 15, 120, 30, 5);
             this.ctx.fill();
+            this.addHitArea(tabX - 60, tabY - 15, 120, 30, () => {
+                this.highScoresDifficulty = index;
+                this.selectedOption = 0;
+            });
 
             this.ctx.fillStyle = isSelected ? '#fff' : '#888';
             this.ctx.font = '10px "Press Start 2P", monospace';
@@ -941,6 +2644,13 @@ export class Game {
                 this.ctx.beginPath();
                 this.ctx.roundRect(50, y - 18, this.width - 100, 36, 8);
                 this.ctx.fill();
+                this.addHitArea(50, y - 18, this.width - 100, 36, () => this.tapOption(index, true));
+
+                if (index === this.selectedOption) {
+                    this.ctx.strokeStyle = '#fff';
+                    this.ctx.lineWidth = 2;
+                    this.ctx.stroke();
+                }
 
                 this.ctx.fillStyle = '#fff';
                 this.ctx.font = '14px "Press Start 2P", monospace';
@@ -954,40 +2664,180 @@ export class Game {
                 this.ctx.font = '8px "Press Start 2P", monospace';
                 this.ctx.textAlign = 'right';
                 this.ctx.fillText(`${entry.customersServed} clients`, this.width - 70, y);
+
+                // Replay disponible
+                if (entry.replayId) {
+                    this.ctx.fillStyle = '#4caf50';
+                    this.ctx.fillText('▶ REPLAY', this.width - 180, y);
+                }
             });
         }
 
         this.ctx.textAlign = 'center';
         this.ctx.fillStyle = '#666';
         this.ctx.font = '8px "Press Start 2P", monospace';
-        this.ctx.fillText('Q/D changer - E retour', this.width / 2, 460);
+        this.ctx.fillText('Q/D changer - Z/S choisir - E revoir - ESC retour', this.width / 2, 460);
+
+        if (this.feedbackTimer > 0) {
+            this.renderFeedback();
+        }
+    }
+
+    /**
+     * Barre de lecture d'un replay (progression, vitesse, vérification)
+     */
+    renderReplayControls() {
+        const replay = this.replayPlayer;
+        const barY = this.height - 44;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        this.ctx.fillRect(0, barY, this.width, 44);
+
+        // Tactile: reculer, pause, avancer (tiers de la barre)
+        const third = this.width / 3;
+        this.addHitArea(0, barY, third, 44, () => replay.skip(-REPLAY_SKIP_SECONDS));
+        this.addHitArea(third, barY, third, 44, () => replay.togglePause());
+        this.addHitArea(third * 2, barY, third, 44, () => replay.skip(REPLAY_SKIP_SECONDS));
+
+        // Progression
+        const progress = Math.min(replay.getTime() / replay.getDuration(), 1);
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        this.ctx.fillRect(15, barY + 8, this.width - 30, 6);
+        this.ctx.fillStyle = '#e53935';
+        this.ctx.fillRect(15, barY + 8, (this.width - 30) * progress, 6);
+
+        const formatTime = (seconds) => {
+            const s = Math.floor(seconds);
+            return `${Math.floor(s / 60)}:${(s % 60).toString().padStart(2, '0')}`;
+        };
+
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.textBaseline = 'middle';
+
+        // État de lecture
+        this.ctx.fillStyle = '#fff';
+        this.ctx.textAlign = 'left';
+        let status = `▶ x${replay.getSpeed()}`;
+        if (replay.isFinished()) status = '■ FIN';
+        else if (replay.paused) status = '❚❚ PAUSE';
+        this.ctx.fillText(`${status}  ${formatTime(replay.getTime())}/${formatTime(replay.getDuration())}`, 15, barY + 30);
+
+        // Vérification du score
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = this.replayVerified ? '#4caf50' : '#f44336';
+        this.ctx.fillText(this.replayVerified ? '✔ Score vérifié' : '✘ Score invalide', this.width / 2, barY + 30);
+
+        this.ctx.fillStyle = '#888';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('E pause Q/D ±5s Z/S vitesse', this.width - 15, barY + 30);
+    }
+
+    /**
+     * Rendu de l'écran des contrôles (profil et réassignation des touches)
+     */
+    renderControls() {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.fillStyle = '#90a4ae';
+        this.ctx.font = '16px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('⌨ CONTRÔLES', this.width / 2, 50);
+
+        // Profil
+        const profile = this.bindingsManager.getActiveProfile();
+        const isProfileSelected = this.selectedOption === 0;
+
+        this.ctx.fillStyle = isProfileSelected ? '#607d8b' : 'rgba(255,255,255,0.1)';
+        this.ctx.beginPath();
+        this.ctx.roundRect(this.width / 2 - 160, 85, 320, 40, 8);
+        this.ctx.fill();
+        this.addHitArea(this.width / 2 - 160, 85, 160, 40, () => this.changeControlProfile(-1));
+        this.addHitArea(this.width / 2, 85, 160, 40, () => this.changeControlProfile(1));
+
+        this.ctx.fillStyle = isProfileSelected ? '#fff' : '#888';
+        this.ctx.font = '11px "Press Start 2P", monospace';
+        this.ctx.fillText(`◀ Profil: ${ControlProfileConfig[profile].name} ▶`, this.width / 2, 105);
+
+        // Actions
+        const startY = 160;
+        const spacing = 40;
+
+        RebindableActions.forEach((action, index) => {
+            const y = startY + index * spacing;
+            const isSelected = this.selectedOption === index + 1;
+
+            this.ctx.fillStyle = isSelected ? 'rgba(96, 125, 139, 0.6)' : 'rgba(255,255,255,0.05)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(this.width / 2 - 160, y - 16, 320, 32, 6);
+            this.ctx.fill();
+            this.addHitArea(this.width / 2 - 160, y - 16, 320, 32, () => this.tapOption(index + 1, true));
+
+            this.ctx.fillStyle = isSelected ? '#fff' : '#aaa';
+            this.ctx.font = '10px "Press Start 2P", monospace';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(ActionNames[action], this.width / 2 - 140, y);
+
+            this.ctx.textAlign = 'right';
+            if (this.rebindingAction === action) {
+                this.ctx.fillStyle = '#ffd700';
+                this.ctx.fillText('Appuie...', this.width / 2 + 140, y);
+            } else {
+                this.ctx.fillText(this.bindingsManager.getActionLabel(action), this.width / 2 + 140, y);
+            }
+        });
+
+        // Pause: toujours Échap / Start
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`${ActionNames[Action.PAUSE]}: ÉCHAP - 🎮 A interagir, B jeter, Start pause`, this.width / 2, 410);
+
+        this.ctx.fillText('Q/D profil - Z/S choisir - E modifier - ESC retour', this.width / 2, 460);
+
+        if (this.feedbackTimer > 0) {
+            this.renderFeedback();
+        }
     }
 
     /**
      * Rendu du jeu
      */
     renderGame() {
+        const localPlayers = this.getLocalPlayers();
+        const spectating = this.gameMode === GameMode.SPECTATOR;
+
+        if (spectating) {
+            this.spectatorCamera.apply(this.ctx);
+        }
+
         this.gameMap.render(this.ctx);
 
-        if (this.localPlayer) {
-            const playerZone = this.gameMap.getPlayerZone(this.localPlayer);
+        for (const player of localPlayers) {
+            const playerZone = this.gameMap.getPlayerZone(player);
             this.gameMap.renderInteractionHints(this.ctx, playerZone);
         }
 
         this.customerManager.render(this.ctx);
 
-        // Rendu des joueurs
-        if (this.remotePlayer) {
-            this.remotePlayer.render(this.ctx);
+        // Rendu des joueurs (le joueur local par-dessus)
+        for (const player of this.activeSimulation.players) {
+            if (player !== this.localPlayer) {
+                player.render(this.ctx);
+            }
         }
         if (this.localPlayer) {
             this.localPlayer.render(this.ctx);
         }
 
+        if (spectating) {
+            this.ctx.restore();
+        }
+
         this.renderHUD();
 
-        if (this.localPlayer && this.localPlayer.isHoldingItem() &&
-            this.customerManager.isPlayerNearCounter(this.localPlayer)) {
+        if (localPlayers.some(player => player.isHoldingItem() && this.customerManager.isPlayerNearCounter(player))) {
             this.renderServeHint();
         }
 
@@ -1041,48 +2891,108 @@ export class Game {
         // Inventaire
         this.renderInventoryHUD();
 
+        // Jour de campagne
+        if (this.currentDay) {
+            this.ctx.fillStyle = this.currentDay.color;
+            this.ctx.font = '8px "Press Start 2P", monospace';
+            this.ctx.textAlign = 'right';
+            const dayNumber = this.campaignManager.days.indexOf(this.currentDay) + 1;
+            this.ctx.fillText(`📅 Jour ${dayNumber}`, this.width - 15, 38);
+        }
+
         // Mode multi
-        if (this.gameMode !== GameMode.SOLO) {
+        if (this.gameMode === GameMode.SPECTATOR) {
+            this.renderSpectatorHUD();
+        } else if (this.gameMode !== GameMode.SOLO) {
             this.ctx.fillStyle = '#2196f3';
             this.ctx.font = '8px "Press Start 2P", monospace';
             this.ctx.textAlign = 'right';
-            this.ctx.fillText('👥 MULTI', this.width - 15, 38);
+            this.ctx.fillText(this.gameMode === GameMode.LOCAL_COOP ? '🎮 CO-OP' : '👥 MULTI', this.width - 15, 38);
         }
+
+        // Argent de la partie (pas encaissé pendant un replay, ni par un spectateur)
+        if (!this.replayPlayer && this.gameMode !== GameMode.SPECTATOR) {
+            this.ctx.fillStyle = '#ffd700';
+            this.ctx.font = '8px "Press Start 2P", monospace';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`💰 ${this.roundEarnings} €`, this.width / 2, 42);
+        }
+    }
+
+    /**
+     * Mode spectateur et caméra, avec les touches pour en changer
+     */
+    renderSpectatorHUD() {
+        this.ctx.fillStyle = '#9e9e9e';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`👁 ${this.spectatorCamera.getLabel()}`, this.width - 15, 38);
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, this.height - 22, this.width, 22);
+        this.ctx.fillStyle = '#aaa';
+        this.ctx.textAlign = 'center';
+        const hint = this.touchControls.active ? 'E caméra | F zoom' : 'E caméra | F zoom | ZQSD déplacer';
+        this.ctx.fillText(`SPECTATEUR - ${hint}`, this.width / 2, this.height - 11);
     }
 
     /**
-     * Affiche l'inventaire dans le HUD
+     * Affiche l'inventaire dans le HUD (une bande par joueur sous le HUD en co-op local,
+     * ou pour chaque joueur regardé par un spectateur)
      */
     renderInventoryHUD() {
-        if (!this.localPlayer) return;
+        const players = this.gameMode === GameMode.SPECTATOR ? this.activeSimulation.players : this.getLocalPlayers();
+        if (players.length === 0) return;
+
+        if (players.length === 1) {
+            this.renderPlayerInventory(players[0], 15, 38, false);
+            return;
+        }
 
-        const startX = 15;
-        const y = 38;
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, 50, this.width, 24);
 
-        this.ctx.fillStyle = '#888';
+        const columnWidth = this.width / players.length;
+        players.forEach((player, index) => {
+            this.renderPlayerInventory(player, index * columnWidth + 10, 62, true);
+        });
+    }
+
+    /**
+     * Affiche l'inventaire d'un joueur (compact: version co-op, sans la vitesse)
+     */
+    renderPlayerInventory(player, startX, y, compact) {
+        const slotSpacing = compact ? 22 : 28;
+        const slotSize = slotSpacing - 4;
+        const slotsX = startX + (compact ? 25 : 45);
+
+        this.ctx.fillStyle = compact ? player.colors.body : '#888';
         this.ctx.font = '8px "Press Start 2P", monospace';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText('INV:', startX, y);
+        this.ctx.fillText(compact ? `J${player.playerIndex}` : 'INV:', startX, y);
 
-        for (let i = 0; i < this.localPlayer.maxInventory; i++) {
-            const slotX = startX + 45 + i * 28;
+        for (let i = 0; i < player.maxInventory; i++) {
+            const slotX = slotsX + i * slotSpacing;
 
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
             this.ctx.beginPath();
-            this.ctx.roundRect(slotX, y - 10, 24, 20, 4);
+            this.ctx.roundRect(slotX, y - 10, slotSize, 20, 4);
             this.ctx.fill();
 
-            if (i < this.localPlayer.inventory.length) {
-                const item = this.localPlayer.inventory[i];
-                Item.renderIcon(this.ctx, item.type, slotX + 12, y, 16);
+            if (i < player.inventory.length) {
+                const item = player.inventory[i];
+                item.renderAsIcon(this.ctx, slotX + slotSize / 2, y, 16);
             }
         }
 
-        const speedPercent = Math.round((this.localPlayer.getCurrentSpeed() / this.localPlayer.baseSpeed) * 100);
+        // Vitesse seulement pour un joueur seul (place limitée en co-op)
+        if (compact) return;
+
+        const speedPercent = Math.round((player.getCurrentSpeed() / player.baseSpeed) * 100);
         this.ctx.fillStyle = speedPercent < 70 ? '#f44336' : '#4caf50';
         this.ctx.font = '8px "Press Start 2P", monospace';
         this.ctx.textAlign = 'left';
-        this.ctx.fillText(`⚡${speedPercent}%`, startX + 135, y);
+        this.ctx.fillText(`⚡${speedPercent}%`, slotsX + 5 + player.maxInventory * slotSpacing, y);
     }
 
     /**
@@ -1091,13 +3001,16 @@ export class Game {
     renderEndScreen(won) {
         this.ctx.fillStyle = won ? 'rgba(76, 175, 80, 0.95)' : 'rgba(244, 67, 54, 0.95)';
         this.ctx.fillRect(0, 0, this.width, this.height);
+        this.addHitArea(0, 0, this.width, this.height, () => this.handleInteraction());
 
         this.ctx.fillStyle = '#fff';
         this.ctx.font = '24px "Press Start 2P", monospace';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
 
-        if (won) {
+        if (won && this.currentDay) {
+            this.renderCampaignResult();
+        } else if (won) {
             this.ctx.fillText('FIN DE SERVICE !', this.width / 2, this.height / 2 - 60);
 
             if (this.lastGameRank === 1) {
@@ -1121,8 +3034,299 @@ export class Game {
             this.ctx.fillText(`Score Final: ${this.levelManager.score} pts`, this.width / 2, this.height / 2 + 20);
         }
 
+        // Argent gagné (prix + pourboires)
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = '10px "Press Start 2P", monospace';
+        this.ctx.fillText(`💰 +${this.roundEarnings} € gagnés`, this.width / 2, this.height / 2 + 85);
+
+        this.ctx.fillStyle = '#fff';
+        const next = this.gameMode === GameMode.SOLO ? 'la boutique' : 'continuer';
+        const prompt = this.touchControls.active ? 'Touche l\'écran' : 'Appuie sur E';
+        this.ctx.fillText(`${prompt} pour ${next}`, this.width / 2, this.height / 2 + 115);
+
+        // Graine de la partie (à partager pour rejouer la même partie: ?seed=...)
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.fillText(`Graine: ${this.random.seed}`, this.width / 2, this.height - 20);
+    }
+
+    /**
+     * Dessine la boutique d'améliorations
+     */
+    renderShop() {
+        this.ctx.fillStyle = '#1a1a2e';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = '18px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('🛒 BOUTIQUE 🛒', this.width / 2, 50);
+
+        this.ctx.font = '12px "Press Start 2P", monospace';
+        this.ctx.fillText(`💰 ${this.economyManager.getMoney()} €`, this.width / 2, 90);
+
+        const startY = 145;
+        const spacing = 60;
+
+        this.upgradeTypes.forEach((upgradeType, index) => {
+            const config = UpgradeConfig[upgradeType];
+            const y = startY + index * spacing;
+            const isSelected = index === this.selectedOption;
+            const level = this.economyManager.getUpgradeLevel(upgradeType);
+            const cost = this.economyManager.getUpgradeCost(upgradeType);
+            const affordable = cost !== null && cost <= this.economyManager.getMoney();
+
+            this.ctx.fillStyle = isSelected ? 'rgba(255, 215, 0, 0.25)' : 'rgba(255,255,255,0.05)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(50, y - 24, this.width - 100, 48, 8);
+            this.ctx.fill();
+            this.addHitArea(50, y - 24, this.width - 100, 48, () => this.tapOption(index));
+
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = '#fff';
+            this.ctx.font = '10px "Press Start 2P", monospace';
+            this.ctx.fillText(config.name, 70, y - 8);
+
+            this.ctx.fillStyle = '#aaa';
+            this.ctx.font = '8px "Press Start 2P", monospace';
+            this.ctx.fillText(config.desc, 70, y + 10);
+
+            // Niveau et prix
+            this.ctx.textAlign = 'right';
+            this.ctx.fillStyle = '#888';
+            this.ctx.fillText(`Niv. ${level}/${config.costs.length}`, this.width - 70, y - 8);
+
+            this.ctx.font = '10px "Press Start 2P", monospace';
+            if (cost === null) {
+                this.ctx.fillStyle = '#4caf50';
+                this.ctx.fillText('MAX', this.width - 70, y + 10);
+            } else {
+                this.ctx.fillStyle = affordable ? '#ffd700' : '#f44336';
+                this.ctx.fillText(`${cost} €`, this.width - 70, y + 10);
+            }
+        });
+
+        // Continuer
+        const continueY = startY + this.upgradeTypes.length * spacing;
+        const continueSelected = this.selectedOption === this.upgradeTypes.length;
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = continueSelected ? '#ffd700' : '#fff';
+        this.ctx.font = '12px "Press Start 2P", monospace';
+        this.ctx.fillText(continueSelected ? '▶ CONTINUER ◀' : 'CONTINUER', this.width / 2, continueY);
+        this.addHitArea(this.width / 2 - 120, continueY - 18, 240, 36, () => this.tapOption(this.upgradeTypes.length));
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.fillText('Z/S choisir - E acheter - ECHAP retour', this.width / 2, 470);
+
+        // Message d'achat
+        if (this.feedbackMessage && this.feedbackTimer > 0) {
+            this.ctx.fillStyle = this.feedbackColor;
+            this.ctx.font = '10px "Press Start 2P", monospace';
+            this.ctx.fillText(this.feedbackMessage, this.width / 2, 115);
+        }
+    }
+
+    /**
+     * Résultat d'un jour de campagne (étoiles et déblocage)
+     */
+    renderCampaignResult() {
+        const result = this.lastCampaignResult;
+        const stars = result ? result.stars : 0;
+
+        this.ctx.font = '14px "Press Start 2P", monospace';
+        this.ctx.fillText(this.currentDay.name.toUpperCase(), this.width / 2, this.height / 2 - 90);
+
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = '28px "Press Start 2P", monospace';
+        this.ctx.fillText('★'.repeat(stars) + '☆'.repeat(3 - stars), this.width / 2, this.height / 2 - 40);
+
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '12px "Press Start 2P", monospace';
+        this.ctx.fillText(`Score Final: ${this.levelManager.score} pts`, this.width / 2, this.height / 2 + 10);
+
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        const thresholds = this.currentDay.starThresholds.join(' / ');
+        this.ctx.fillText(`Objectifs: ${thresholds} pts`, this.width / 2, this.height / 2 + 35);
+
+        if (result && result.unlockedNext) {
+            this.ctx.fillStyle = '#ffd700';
+            this.ctx.font = '10px "Press Start 2P", monospace';
+            this.ctx.fillText('🔓 Jour suivant débloqué !', this.width / 2, this.height / 2 + 65);
+        } else if (stars === 0) {
+            this.ctx.font = '8px "Press Start 2P", monospace';
+            this.ctx.fillText('Il faut au moins 1 étoile pour continuer', this.width / 2, this.height / 2 + 65);
+        }
+
+        this.ctx.fillStyle = '#fff';
+    }
+
+    /**
+     * Bouton retour (écran tactile seulement, comme Échap)
+     */
+    renderBackButton(y = 8) {
+        if (!this.touchControls.active) return;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        this.ctx.beginPath();
+        this.ctx.roundRect(8, y, 84, 28, 6);
+        this.ctx.fill();
+
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('◀ RETOUR', 50, y + 14);
+        this.addHitArea(8, y, 84, 28, () => this.handleEscape());
+    }
+
+    /**
+     * Menu pause par-dessus la partie figée (ou écran des contrôles si les réglages sont ouverts)
+     */
+    renderPauseMenu() {
+        if (this.pauseSettings) {
+            this.renderControls();
+            this.renderBackButton();
+            return;
+        }
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '16px "Press Start 2P", monospace';
+        this.ctx.fillText('PAUSE', this.width / 2, 90);
+
+        // En réseau: qui a mis la partie en pause
+        if (this.pausedBy !== null && PlayerColors[this.pausedBy]) {
+            this.ctx.fillStyle = PlayerColors[this.pausedBy].body;
+            this.ctx.font = '8px "Press Start 2P", monospace';
+            const who = this.pausedBy === this.networkManager.playerIndex ? 'toi' : `Joueur ${this.pausedBy}`;
+            this.ctx.fillText(`Mise en pause par ${who}`, this.width / 2, 120);
+        }
+
+        const startY = 180;
+        const spacing = 60;
+
+        PAUSE_OPTIONS.forEach((option, index) => {
+            const y = startY + index * spacing;
+            const isSelected = index === this.selectedOption;
+            const enabled = option !== PauseOption.RESTART || this.canRestart();
+
+            this.ctx.fillStyle = isSelected ? '#ff9800' : 'rgba(255,255,255,0.1)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(this.width / 2 - 140, y - 22, 280, 44, 10);
+            this.ctx.fill();
+            this.addHitArea(this.width / 2 - 140, y - 22, 280, 44, () => this.tapOption(index));
+
+            this.ctx.fillStyle = !enabled ? '#555' : isSelected ? '#fff' : '#888';
+            this.ctx.font = '12px "Press Start 2P", monospace';
+            this.ctx.fillText(PauseOptionLabels[option], this.width / 2, y);
+        });
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        const hint = this.touchControls.active ? 'Touche une option' : 'Z/S choisir - E valider - ESC reprendre';
+        this.ctx.fillText(hint, this.width / 2, 440);
+
+        if (this.feedbackTimer > 0) {
+            this.renderFeedback();
+        }
+    }
+
+    /**
+     * Partie réseau en pause: joueurs attendus (ou reconnexion à l'host) et temps restant
+     */
+    renderReconnectOverlay() {
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#fff';
+        this.ctx.font = '16px "Press Start 2P", monospace';
+        this.ctx.fillText('PARTIE EN PAUSE', this.width / 2, this.height / 2 - 60);
+
         this.ctx.font = '10px "Press Start 2P", monospace';
-        this.ctx.fillText('Appuie sur E pour continuer', this.width / 2, this.height / 2 + 100);
+        if (this.networkManager.state === NetworkState.RECONNECTING) {
+            this.ctx.fillStyle = '#ff9800';
+            this.ctx.fillText('Connexion à l\'hôte perdue', this.width / 2, this.height / 2 - 15);
+            this.ctx.fillStyle = '#fff';
+            this.ctx.fillText(`Reconnexion... ${this.networkManager.getReconnectRemaining()}s`, this.width / 2, this.height / 2 + 15);
+        } else {
+            this.networkManager.getDisconnectedPlayers().forEach(({ playerIndex, remaining }, index) => {
+                this.ctx.fillStyle = PlayerColors[playerIndex].body;
+                this.ctx.fillText(`Joueur ${playerIndex} déconnecté: ${remaining}s`, this.width / 2, this.height / 2 - 15 + index * 25);
+            });
+        }
+
+        this.ctx.fillStyle = '#aaa';
+        this.ctx.font = '8px "Press Start 2P", monospace';
+        const hint = this.touchControls.active ? '❚❚ pour quitter la partie' : 'ÉCHAP pour quitter la partie';
+        this.ctx.fillText(hint, this.width / 2, this.height / 2 + 90);
+    }
+
+    /**
+     * Overlay réseau: aller-retour et gigue de chaque pair, messages et octets par seconde,
+     * âge du dernier état reçu de l'host et connexion simulée
+     */
+    renderNetworkStats() {
+        const lines = [];
+        if (this.networkManager.role === NetworkRole.NONE) {
+            lines.push({ text: 'Hors ligne', color: '#aaa' });
+        } else {
+            const { links, rates, snapshotAge, simulated } = this.networkManager.getDiagnostics();
+
+            links.forEach(({ playerIndex, spectator, rtt, jitter }) => {
+                const label = spectator ? 'Spect.' : playerIndex === HOST_PLAYER_INDEX ? 'Hôte' : `J${playerIndex}`;
+                const value = rtt === null ? '...' : `${Math.round(rtt)}ms ±${Math.round(jitter)}`;
+                lines.push({ text: `${label}: ${value}`, color: this.getLatencyColor(rtt) });
+            });
+            lines.push({ text: `Paquets ↓${Math.round(rates.packetsIn)} ↑${Math.round(rates.packetsOut)}/s`, color: '#fff' });
+            lines.push({
+                text: `Ko ↓${(rates.bytesIn / 1024).toFixed(1)} ↑${(rates.bytesOut / 1024).toFixed(1)}/s`,
+                color: '#fff'
+            });
+            if (snapshotAge !== null) {
+                lines.push({ text: `État: ${Math.round(snapshotAge)}ms`, color: this.getLatencyColor(snapshotAge) });
+            }
+            if (simulated) {
+                const loss = Math.round(simulated.dropRate * 100);
+                lines.push({ text: `Simulé ${simulated.latency}±${simulated.jitter}ms ${loss}%`, color: '#ff9800' });
+            }
+        }
+
+        const lineHeight = 12;
+        const boxWidth = 190;
+        const boxHeight = 22 + lines.length * lineHeight;
+        const x = this.width - boxWidth - 8;
+        const y = this.height - boxHeight - 30; // Au-dessus des bandes du bas (spectateur, tactile)
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(x, y, boxWidth, boxHeight);
+
+        this.ctx.font = '7px "Press Start 2P", monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.fillText('RÉSEAU (F3)', x + 8, y + 10);
+        lines.forEach(({ text, color }, index) => {
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(text, x + 8, y + 22 + index * lineHeight);
+        });
+    }
+
+    /**
+     * Couleur d'un délai: vert (bon), orange (moyen), rouge (mauvais), gris si inconnu
+     */
+    getLatencyColor(delay) {
+        if (delay === null) return '#aaa';
+        if (delay < 100) return '#4caf50';
+        if (delay < 200) return '#ff9800';
+        return '#f44336';
     }
 
     /**
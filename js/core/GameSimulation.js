@@ -0,0 +1,406 @@
+/**
+ * GameSimulation - Cœur du jeu sans affichage: niveau, clients, joueurs et score
+ * N'utilise ni document, ni window, ni localStorage, ni canvas: tourne aussi sous Node
+ * (tests, vérification de parties). Game s'occupe de l'affichage, des entrées et de la sauvegarde
+ *
+ * Exemple (Node):
+ *   const sim = new GameSimulation();
+ *   sim.loadMap(JSON.parse(fs.readFileSync('maps/classique.json', 'utf8')));
+ *   sim.start({ difficulty: Difficulty.EASY, seed: 42 });
+ *   sim.step(1 / 60, { 1: { x: 1, y: 0 } });
+ *   sim.interact(1);
+ */
+import { Player } from '../entities/Player.js';
+import { ItemType, ItemConfig, CookState } from '../entities/Item.js';
+import { GameMap } from '../world/GameMap.js';
+import { ZoneType } from '../world/Zone.js';
+import { CustomerManager } from '../systems/CustomerManager.js';
+import { LevelManager, LevelState, DifficultyConfig } from '../systems/LevelManager.js';
+import { Random } from './Random.js';
+
+// Aucun déplacement demandé
+const NO_INTENT = { x: 0, y: 0 };
+
+// Ce que ferait l'interaction (E) d'un joueur à sa position, et jeter (F)
+// Sert aussi de type aux intentions envoyées par un client réseau à l'host
+export const Interaction = {
+    SERVE: 'serve',
+    PREPARE: 'prepare',
+    PICKUP: 'pickup',
+    DROP: 'drop'
+};
+
+// Raisons de refus d'une intention par l'host
+export const IntentRefusal = {
+    NOT_PLAYING: 'notPlaying',
+    TOO_FAR: 'tooFar',
+    INVALID: 'invalid'
+};
+
+// Écart toléré entre la position envoyée avec une intention et celle connue de l'host (pixels)
+const MAX_INTENT_DRIFT = 80;
+
+// Pas du rattrapage de cette position, plus court que la boîte de collision: aucun mur n'est traversé
+const INTENT_STEP = 8;
+
+export class GameSimulation {
+    constructor(width = 600, height = 500) {
+        // Aléatoire de la partie (re-seedé à chaque start)
+        this.random = new Random();
+
+        this.gameMap = new GameMap(width, height);
+        this.customerManager = new CustomerManager(this.gameMap, this.random);
+        this.levelManager = new LevelManager();
+
+        // Joueurs de la partie (index 1, 2...)
+        this.players = [];
+
+        // Faux pour un client réseau: l'host simule les clients et envoie leur état
+        this.authoritative = true;
+
+        // Callbacks
+        this.onFeedback = null; // (message, color, playerIndex) playerIndex null: pour tout le monde
+        this.onOrderCompleted = null; // (résultat de CustomerManager.tryServeCustomer, playerIndex)
+        this.onGameOver = null; // (LevelState.WON ou LevelState.LOST)
+
+        this.customerManager.onCustomerAngry = () => {
+            this.levelManager.addLostCustomer();
+            this.feedback('Client perdu !', '#f44336');
+        };
+    }
+
+    /**
+     * Transmet un message de feedback à l'affichage (playerIndex: joueur concerné)
+     */
+    feedback(message, color, playerIndex = null) {
+        if (this.onFeedback) {
+            this.onFeedback(message, color, playerIndex);
+        }
+    }
+
+    /**
+     * Charge une carte depuis sa définition JSON (les améliorations débloquent des stations)
+     */
+    loadMap(data, upgrades = []) {
+        this.gameMap.load(data, { upgrades });
+        this.customerManager.reset();
+    }
+
+    /**
+     * Démarre une partie
+     * options: difficulty ou day (campagne), seed, playerIndices,
+     * multiplayer (plus de clients) et patienceMultiplier (améliorations)
+     */
+    start({
+        difficulty = null,
+        day = null,
+        seed = Random.randomSeed(),
+        playerIndices = [1],
+        multiplayer = false,
+        patienceMultiplier = 1
+    } = {}) {
+        this.random.setSeed(seed);
+
+        this.players = playerIndices.map(index => {
+            const spawn = this.gameMap.getSpawnPoint(index);
+            return new Player(spawn.x, spawn.y, index);
+        });
+
+        this.customerManager.reset();
+        this.gameMap.reset();
+
+        let config;
+        if (day) {
+            this.levelManager.startDay(day);
+            config = day;
+        } else {
+            this.levelManager.startLevel(difficulty);
+            config = DifficultyConfig[difficulty];
+        }
+        this.levelManager.setMultiplayer(multiplayer);
+
+        // Plus de clients (un par joueur en plus) et spawn plus rapide en multi
+        const extraCustomers = multiplayer ? Math.max(1, playerIndices.length - 1) : 0;
+        this.customerManager.configure(
+            config.maxCustomers + extraCustomers,
+            multiplayer ? Math.floor(config.customerSpawnDelay * 0.8) : config.customerSpawnDelay,
+            config.customerPatience * patienceMultiplier,
+            { maxOrderItems: config.maxOrderItems, archetypes: config.archetypes }
+        );
+    }
+
+    /**
+     * Retourne le joueur d'index donné
+     */
+    getPlayer(playerIndex) {
+        return this.players.find(player => player.playerIndex === playerIndex) || null;
+    }
+
+    /**
+     * Retire un joueur de la partie (joueur réseau parti), ses items disparaissent avec lui
+     */
+    removePlayer(playerIndex) {
+        this.players = this.players.filter(player => player.playerIndex !== playerIndex);
+    }
+
+    /**
+     * Avance la simulation d'un pas
+     * intents: déplacement voulu par joueur local, ex: { 1: { x: -1, y: 0 } }
+     */
+    step(deltaTime, intents = {}) {
+        const previousState = this.levelManager.state;
+
+        this.levelManager.update(deltaTime);
+
+        // Détecte fin de partie
+        if (previousState === LevelState.PLAYING && this.levelManager.state !== LevelState.PLAYING) {
+            if (this.onGameOver) {
+                this.onGameOver(this.levelManager.state);
+            }
+        }
+
+        if (this.levelManager.state !== LevelState.PLAYING) return;
+
+        // Cuisson de la broche et refroidissement des plats
+        this.gameMap.update(deltaTime);
+
+        // Joueurs locaux (les joueurs distants sont mis à jour depuis le réseau)
+        for (const player of this.players) {
+            if (player.isRemote) continue;
+
+            const blockers = this.players.filter(other => other !== player);
+            player.update(deltaTime, intents[player.playerIndex] || NO_INTENT, this.gameMap, blockers);
+            player.updateInventory(deltaTime);
+        }
+
+        if (this.authoritative) {
+            this.customerManager.update(deltaTime);
+        }
+    }
+
+    /**
+     * Ce que ferait l'interaction d'un joueur à sa position (null: rien à faire)
+     */
+    getInteraction(playerIndex) {
+        const player = this.getPlayer(playerIndex);
+        if (!player) return null;
+
+        const playerZone = this.gameMap.getPlayerZone(player);
+
+        // Près du comptoir avec des items: servir
+        if (player.isHoldingItem() && this.customerManager.isPlayerNearCounter(player)) {
+            return Interaction.SERVE;
+        }
+
+        // Plan de préparation: poser les ingrédients ou emporter le kebab
+        if (playerZone && playerZone.type === ZoneType.PREP_COUNTER) {
+            return Interaction.PREPARE;
+        }
+
+        if (playerZone && playerZone.isDispenser()) {
+            return Interaction.PICKUP;
+        }
+        return null;
+    }
+
+    /**
+     * Interaction (E): servir, utiliser le plan de préparation ou prendre un item
+     */
+    interact(playerIndex) {
+        const player = this.getPlayer(playerIndex);
+        if (!player || this.levelManager.state !== LevelState.PLAYING) return;
+
+        const playerZone = this.gameMap.getPlayerZone(player);
+        const interaction = this.getInteraction(playerIndex);
+
+        if (interaction === Interaction.SERVE) {
+            this.tryServeCustomers(player);
+            return;
+        }
+
+        if (interaction === Interaction.PREPARE) {
+            this.handlePrepCounter(player, playerZone);
+            return;
+        }
+
+        // Sinon, essayer de prendre un item
+        if (interaction === Interaction.PICKUP && !player.isInventoryFull()) {
+            const item = playerZone.createItem();
+            const config = ItemConfig[item.type];
+            player.pickUp(item);
+            this.feedback(`${config.name} pris !`, config.color, player.playerIndex);
+        } else if (player.isInventoryFull()) {
+            this.feedback('Inventaire plein !', '#ff9800', player.playerIndex);
+        }
+    }
+
+    /**
+     * Gère le plan de préparation (assemblage des kebabs)
+     */
+    handlePrepCounter(player, prepCounter) {
+        const ingredients = player.inventory.filter(item => item.isIngredient());
+
+        // Pose les ingrédients portés (le pain en premier)
+        if (ingredients.length > 0) {
+            ingredients.sort((a, b) => (b.type === ItemType.BREAD) - (a.type === ItemType.BREAD));
+
+            let placed = 0;
+            let refusal = null;
+            for (const item of ingredients) {
+                const result = prepCounter.addIngredient(item);
+                if (result.success) {
+                    player.inventory.splice(player.inventory.indexOf(item), 1);
+                    placed++;
+                } else if (!refusal) {
+                    refusal = result.reason;
+                }
+            }
+
+            if (placed > 0) {
+                this.feedback(`${placed} ingrédient(s) posé(s)`, '#795548', player.playerIndex);
+            } else if (refusal === 'needBread') {
+                this.feedback('Il faut du pain d\'abord !', '#ff9800', player.playerIndex);
+            } else if (refusal === 'duplicate') {
+                this.feedback('Déjà sur le plan !', '#ff9800', player.playerIndex);
+            }
+            return;
+        }
+
+        // Sinon, emporte le kebab assemblé
+        if (prepCounter.ingredients.length === 0) {
+            this.feedback('Plan de travail vide', '#888', player.playerIndex);
+        } else if (!prepCounter.canAssemble()) {
+            this.feedback('Il manque la viande !', '#ff9800', player.playerIndex);
+        } else if (player.isInventoryFull()) {
+            this.feedback('Inventaire plein !', '#ff9800', player.playerIndex);
+        } else {
+            player.pickUp(prepCounter.takeKebab());
+            this.feedback('Kebab prêt !', '#8d4a2c', player.playerIndex);
+        }
+    }
+
+    /**
+     * Jette le dernier item (F), ou la préparation en cours si mains vides au plan
+     */
+    dropItem(playerIndex) {
+        const player = this.getPlayer(playerIndex);
+        if (!player || this.levelManager.state !== LevelState.PLAYING) return;
+
+        const droppedItem = player.dropItem();
+        if (droppedItem) {
+            this.feedback('Item jeté !', '#795548', player.playerIndex);
+            return;
+        }
+
+        const playerZone = this.gameMap.getPlayerZone(player);
+        if (playerZone && playerZone.type === ZoneType.PREP_COUNTER && playerZone.ingredients.length > 0) {
+            playerZone.clear();
+            this.feedback('Préparation jetée !', '#795548', player.playerIndex);
+        }
+    }
+
+    /**
+     * Applique l'intention d'un joueur distant (host): { type, position }
+     * La position envoyée doit être proche de celle connue; le joueur s'en rapproche avec les collisions,
+     * et l'interaction doit être possible là où il arrive
+     * Retourne { accepted, reason }
+     */
+    applyIntent(playerIndex, intent) {
+        const player = this.getPlayer(playerIndex);
+        if (!player || this.levelManager.state !== LevelState.PLAYING) {
+            return { accepted: false, reason: IntentRefusal.NOT_PLAYING };
+        }
+
+        if (intent.position) {
+            const drift = Math.hypot(intent.position.x - player.x, intent.position.y - player.y);
+            if (drift > MAX_INTENT_DRIFT) {
+                return { accepted: false, reason: IntentRefusal.TOO_FAR };
+            }
+            this.movePlayerToward(player, intent.position);
+        }
+
+        if (intent.type === Interaction.DROP) {
+            this.dropItem(playerIndex);
+        } else if (intent.type === this.getInteraction(playerIndex)) {
+            this.interact(playerIndex);
+        } else {
+            return { accepted: false, reason: IntentRefusal.INVALID };
+        }
+        return { accepted: true, reason: null };
+    }
+
+    /**
+     * Rapproche un joueur d'une position par petits pas, arrêté par les murs, stations et autres joueurs
+     */
+    movePlayerToward(player, target) {
+        const blockers = this.players.filter(other => other !== player);
+        const steps = Math.ceil(Math.hypot(target.x - player.x, target.y - player.y) / INTENT_STEP);
+
+        for (let i = steps; i > 0; i--) {
+            const position = this.gameMap.resolveMove(
+                player, (target.x - player.x) / i, (target.y - player.y) / i, blockers
+            );
+            player.x = position.x;
+            player.y = position.y;
+        }
+    }
+
+    /**
+     * Essaie de servir les clients avec tout l'inventaire du joueur
+     */
+    tryServeCustomers(player) {
+        let totalPoints = 0;
+        let itemsDelivered = 0;
+        let ordersCompleted = 0;
+        const qualityIssues = new Set();
+        let forgiven = false;
+        let criticRating = null;
+
+        for (let i = player.inventory.length - 1; i >= 0; i--) {
+            const item = player.inventory[i];
+            const result = this.customerManager.tryServeCustomer(player, item);
+
+            if (result.success && result.correct) {
+                player.inventory.splice(i, 1);
+                itemsDelivered++;
+
+                // Points calculés selon le type de client
+                totalPoints += result.points;
+
+                if (result.completed) {
+                    ordersCompleted++;
+                    if (this.onOrderCompleted) {
+                        this.onOrderCompleted(result, player.playerIndex);
+                    }
+                }
+                if (result.forgiven) forgiven = true;
+                if (result.criticRating) criticRating = result.criticRating;
+
+                // Qualité cuite: bonus si la viande est bien cuite, malus sinon
+                totalPoints += result.qualityPoints;
+                if (result.cookState === CookState.RAW) qualityIssues.add('Viande crue');
+                if (result.cookState === CookState.BURNT) qualityIssues.add('Viande brûlée');
+                if (result.cold) qualityIssues.add('Kebab froid');
+            }
+        }
+
+        if (itemsDelivered > 0) {
+            this.levelManager.addScore(totalPoints);
+            if (criticRating) {
+                const stars = '★'.repeat(criticRating) + '☆'.repeat(5 - criticRating);
+                this.feedback(`Critique: ${stars}`, criticRating >= 3 ? '#ffd700' : '#f44336', player.playerIndex);
+            } else if (forgiven) {
+                this.feedback('L\'habitué pardonne !', '#ff9800', player.playerIndex);
+            } else if (qualityIssues.size > 0) {
+                const sign = totalPoints >= 0 ? '+' : '';
+                this.feedback(`${[...qualityIssues].join(', ')} ! ${sign}${totalPoints} pts`, '#ff9800', player.playerIndex);
+            } else if (ordersCompleted > 0) {
+                this.feedback(`+${totalPoints} pts ! ${ordersCompleted} commande(s) !`, '#4caf50', player.playerIndex);
+            } else {
+                this.feedback(`+${totalPoints} pt(s)`, '#4caf50', player.playerIndex);
+            }
+        } else if (player.isHoldingItem()) {
+            this.feedback('Personne ne veut ça !', '#f44336', player.playerIndex);
+        }
+    }
+}
@@ -1,54 +1,438 @@
 /**
- * InputManager - Gestion centralisée des inputs clavier
- * Permet d'ajouter facilement de nouvelles touches
+ * InputManager - Gestion centralisée des inputs (clavier, manette et écran tactile)
+ * Le jeu ne lit pas les touches directement mais des actions (Action.INTERACT...),
+ * qu'elles viennent du clavier, d'une manette (Gamepad API) ou des commandes tactiles
+ * Les événements sont mis en file et appliqués au début de chaque pas de simulation
+ * (processEvents), pour qu'une même suite d'entrées donne toujours la même partie
  */
+import { InputSource } from './InputSource.js';
+
+export const Action = {
+    MOVE_UP: 'moveUp',
+    MOVE_DOWN: 'moveDown',
+    MOVE_LEFT: 'moveLeft',
+    MOVE_RIGHT: 'moveRight',
+    INTERACT: 'interact',
+    DROP: 'drop',
+    PAUSE: 'pause'
+};
+
+// Touches clavier de chaque action par défaut (AZERTY, voir BindingsManager pour les profils)
+// 'key:z' = caractère tapé (e.key, dépend de la disposition), 'code:KeyW' = touche physique (e.code)
+export const KeyBindings = {
+    [Action.MOVE_UP]: ['key:z'],
+    [Action.MOVE_DOWN]: ['key:s'],
+    [Action.MOVE_LEFT]: ['key:q'],
+    [Action.MOVE_RIGHT]: ['key:d'],
+    [Action.INTERACT]: ['key:e'],
+    [Action.DROP]: ['key:f'],
+    [Action.PAUSE]: ['key:escape']
+};
+
+// Boutons manette de chaque action (disposition standard: A, B, Start, croix directionnelle)
+export const GamepadBindings = {
+    [Action.MOVE_UP]: [12],
+    [Action.MOVE_DOWN]: [13],
+    [Action.MOVE_LEFT]: [14],
+    [Action.MOVE_RIGHT]: [15],
+    [Action.INTERACT]: [0],
+    [Action.DROP]: [1],
+    [Action.PAUSE]: [9]
+};
+
+// Zone morte du stick gauche et seuil au-delà duquel il compte comme une direction (menus)
+const STICK_DEADZONE = 0.2;
+const STICK_DIRECTION_THRESHOLD = 0.5;
+
 export class InputManager {
     constructor() {
+        // Touches enfoncées par caractère (e.key) et par touche physique (e.code)
         this.keys = {};
+        this.codes = {};
         this.keyDownCallbacks = new Map();
-        
+        this.actionCallbacks = new Map();
+        this.eventQueue = [];
+
+        // Prochaine touche capturée (écran de réassignation), null sinon
+        this.captureCallback = null;
+
+        // Saisie de texte en cours (pseudo, chat): reçoit chaque touche telle quelle (e.key), null sinon
+        this.textCallback = null;
+
+        // Fenêtre qui perd le focus (appelé pendant processEvents, ex: pause automatique)
+        this.onFocusLost = null;
+
+        // Manette des menus et du solo (index de navigator.getGamepads(), null si aucune)
+        this.gamepadIndex = null;
+
+        // État lu de chaque manette branchée: { buttons, axis, directions }
+        this.gamepadStates = {};
+
+        // Commandes tactiles (TouchControls, branchées par Game) et leur état lu à chaque pas
+        this.touchControls = null;
+        this.touchState = null;
+
+        // Source principale: menus et joueur solo (touches du profil, manette et écran tactile)
+        this.source = new InputSource(KeyBindings, null, GamepadBindings);
+        this.source.useTouch = true;
+        this.source.onEvent = (event) => {
+            if (this.onEvent) this.onEvent(event);
+        };
+        this.source.onActionDown = (action) => {
+            if (this.actionCallbacks.has(action)) {
+                this.actionCallbacks.get(action).forEach(cb => cb());
+            }
+        };
+
+        // Sources des joueurs en co-op local (une par joueur)
+        this.playerSources = [];
+
+        // Appelé pour chaque changement d'action ou du stick de la source principale (replays)
+        // { type: 'down' | 'up', action } ou { type: 'axis', x, y }
+        this.onEvent = null;
+
+        // Callbacks
+        this.onPlayerAction = null; // (source, action) action commencée sur une source de co-op
+        this.onGamepadConnected = null; // (id)
+        this.onGamepadDisconnected = null; // (id)
+
         this.setupListeners();
     }
-    
+
+    /**
+     * Actions actives de la source principale
+     */
+    get actions() {
+        return this.source.actions;
+    }
+
+    /**
+     * Stick de la source principale
+     */
+    get axis() {
+        return this.source.axis;
+    }
+
+    /**
+     * Déplacement voulu ({ x, y } entre -1 et 1)
+     * Le stick donne une vitesse proportionnelle, sinon les directions (clavier, croix) comptent
+     */
+    static getMovementIntent(actions, axis) {
+        if (axis.x !== 0 || axis.y !== 0) {
+            return { x: axis.x, y: axis.y };
+        }
+
+        let x = 0;
+        let y = 0;
+
+        if (actions[Action.MOVE_UP]) y -= 1;
+        if (actions[Action.MOVE_DOWN]) y += 1;
+        if (actions[Action.MOVE_LEFT]) x -= 1;
+        if (actions[Action.MOVE_RIGHT]) x += 1;
+
+        return { x, y };
+    }
+
+    /**
+     * Applique la zone morte au stick et ramène l'amplitude entre 0 et 1
+     */
+    static applyDeadzone(x, y) {
+        const magnitude = Math.hypot(x, y);
+        if (magnitude < STICK_DEADZONE) {
+            return { x: 0, y: 0 };
+        }
+
+        const scaled = Math.min(1, (magnitude - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+
+        // Arrondi: valeurs compactes et identiques une fois rejouées
+        return {
+            x: Math.round((x / magnitude) * scaled * 100) / 100,
+            y: Math.round((y / magnitude) * scaled * 100) / 100
+        };
+    }
+
     setupListeners() {
         window.addEventListener('keydown', (e) => {
             const key = e.key.toLowerCase();
-            
-            // Évite la répétition automatique
-            if (!this.keys[key]) {
-                this.keys[key] = true;
-                
-                // Déclenche les callbacks enregistrés
-                if (this.keyDownCallbacks.has(key)) {
-                    this.keyDownCallbacks.get(key).forEach(cb => cb());
-                }
-            }
-            
+            this.eventQueue.push({ type: 'down', key, code: e.code, text: e.key });
+
             // Empêche le scroll avec les touches de jeu
-            if (['z', 'q', 's', 'd', 'e', ' '].includes(key)) {
+            if (this.isBound(key, e.code) || key === ' ') {
                 e.preventDefault();
             }
         });
-        
+
         window.addEventListener('keyup', (e) => {
-            this.keys[e.key.toLowerCase()] = false;
+            this.eventQueue.push({ type: 'up', key: e.key.toLowerCase(), code: e.code });
         });
-        
+
         // Réinitialise les touches si la fenêtre perd le focus
         window.addEventListener('blur', () => {
-            this.keys = {};
+            this.eventQueue.push({ type: 'reset' });
         });
+
+        // Branchement / débranchement de manette à chaud
+        window.addEventListener('gamepadconnected', (e) => {
+            if (this.gamepadIndex === null) {
+                this.setGamepadIndex(e.gamepad.index);
+            }
+            if (this.onGamepadConnected) {
+                this.onGamepadConnected(e.gamepad.id);
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index !== this.gamepadIndex) return;
+
+            this.findGamepad();
+            if (this.onGamepadDisconnected) {
+                this.onGamepadDisconnected(e.gamepad.id);
+            }
+        });
+    }
+
+    /**
+     * Cherche une autre manette déjà branchée
+     */
+    findGamepad() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+        this.setGamepadIndex(gamepad ? gamepad.index : null);
+    }
+
+    /**
+     * Change la manette des menus et du solo
+     */
+    setGamepadIndex(index) {
+        this.gamepadIndex = index;
+        this.source.gamepadIndex = index;
+    }
+
+    /**
+     * Sources qui réagissent aux touches et manettes (principale + co-op)
+     */
+    getSources() {
+        return [this.source, ...this.playerSources];
+    }
+
+    /**
+     * Applique les événements en attente et lit la manette (appelé une fois par pas de simulation)
+     */
+    processEvents() {
+        const events = this.eventQueue;
+        this.eventQueue = [];
+
+        for (const event of events) {
+            if (event.type === 'down') {
+                // Saisie de texte: la touche (répétée comprise) va au texte, sans déclencher d'action
+                if (this.textCallback) {
+                    this.textCallback(event.text);
+                    continue;
+                }
+
+                // Évite la répétition automatique
+                if (this.keys[event.key] || this.codes[event.code]) continue;
+
+                // Touche capturée pour une réassignation: ne déclenche rien
+                if (this.captureCallback) {
+                    const callback = this.captureCallback;
+                    this.captureCallback = null;
+                    callback({ key: event.key, code: event.code });
+                    continue;
+                }
+
+                this.keys[event.key] = true;
+                this.codes[event.code] = true;
+
+                // Déclenche les callbacks enregistrés
+                if (this.keyDownCallbacks.has(event.key)) {
+                    this.keyDownCallbacks.get(event.key).forEach(cb => cb());
+                }
+                this.updateActionsForKey(event.key, event.code);
+            } else if (event.type === 'up') {
+                this.keys[event.key] = false;
+                this.codes[event.code] = false;
+                this.updateActionsForKey(event.key, event.code);
+            } else if (event.type === 'reset') {
+                this.keys = {};
+                this.codes = {};
+                this.getSources().forEach(source => source.updateActions(this));
+                if (this.onFocusLost) {
+                    this.onFocusLost();
+                }
+            }
+        }
+
+        this.pollGamepads();
+    }
+
+    /**
+     * Lit l'état des manettes branchées (boutons et stick gauche) et des commandes tactiles
+     */
+    pollGamepads() {
+        this.touchState = this.touchControls ? this.touchControls.poll() : null;
+
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+
+        this.gamepadStates = {};
+        for (const gamepad of gamepads) {
+            if (!gamepad || !gamepad.connected) continue;
+
+            const buttons = {};
+            gamepad.buttons.forEach((button, index) => {
+                if (button.pressed) buttons[index] = true;
+            });
+
+            const axis = gamepad.axes.length >= 2
+                ? InputManager.applyDeadzone(gamepad.axes[0], gamepad.axes[1])
+                : { x: 0, y: 0 };
+
+            // Le stick sert aussi de directions (navigation dans les menus)
+            const directions = {
+                [Action.MOVE_UP]: axis.y <= -STICK_DIRECTION_THRESHOLD,
+                [Action.MOVE_DOWN]: axis.y >= STICK_DIRECTION_THRESHOLD,
+                [Action.MOVE_LEFT]: axis.x <= -STICK_DIRECTION_THRESHOLD,
+                [Action.MOVE_RIGHT]: axis.x >= STICK_DIRECTION_THRESHOLD
+            };
+
+            this.gamepadStates[gamepad.index] = { buttons, axis, directions };
+        }
+
+        this.getSources().forEach(source => source.updateGamepad(this));
+    }
+
+    /**
+     * Change les touches clavier des actions (profil de contrôles)
+     */
+    setKeyBindings(keyBindings) {
+        this.source.keyBindings = keyBindings;
+        this.source.updateActions(this);
+    }
+
+    /**
+     * Change les sources des joueurs en co-op local (vide hors co-op)
+     * Les touches déjà enfoncées ne déclenchent pas d'action
+     */
+    setPlayerSources(sources) {
+        this.playerSources = sources;
+
+        for (const source of sources) {
+            source.onActionDown = (action) => {
+                if (this.onPlayerAction) this.onPlayerAction(source, action);
+            };
+            source.updateGamepad(this, true);
+        }
+    }
+
+    /**
+     * Crée une source d'entrées (clavier et/ou manette) pour un joueur en co-op
+     */
+    createSource(keyBindings, gamepadIndex = null, name = '') {
+        return new InputSource(keyBindings, gamepadIndex, GamepadBindings, name);
+    }
+
+    /**
+     * Vérifie si une touche est liée à une action
+     */
+    isBound(key, code) {
+        return this.getSources().some(source => source.usesKey(key, code));
+    }
+
+    /**
+     * Vérifie si la touche d'une liaison ('key:z' ou 'code:KeyW') est enfoncée
+     */
+    isBindingPressed(binding) {
+        if (binding.startsWith('code:')) {
+            return this.codes[binding.slice(5)] === true;
+        }
+        return this.keys[binding.slice(4)] === true;
+    }
+
+    /**
+     * Met à jour les actions liées à une touche, pour chaque source
+     */
+    updateActionsForKey(key, code) {
+        for (const source of this.getSources()) {
+            source.updateActionsForKey(this, key, code);
+        }
+    }
+
+    /**
+     * Capture la prochaine touche pressée au lieu de l'appliquer (callback({ key, code }))
+     */
+    captureNextKey(callback) {
+        this.captureCallback = callback;
+    }
+
+    /**
+     * Annule une capture en cours
+     */
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    /**
+     * Envoie les touches pressées à une saisie de texte (callback(e.key)) jusqu'à stopTextCapture()
+     */
+    captureText(callback) {
+        this.textCallback = callback;
+    }
+
+    /**
+     * Termine la saisie de texte: les touches redeviennent des actions
+     */
+    stopTextCapture() {
+        this.textCallback = null;
+    }
+
+    /**
+     * Déplacement voulu par le joueur d'une source (la source principale par défaut)
+     */
+    getMovementIntent(source = this.source) {
+        return InputManager.getMovementIntent(source.actions, source.axis);
+    }
+
+    /**
+     * Vérifie si une action est active
+     */
+    isActionPressed(action) {
+        return this.source.isActionPressed(action);
+    }
+
+    /**
+     * Retourne les index des manettes branchées
+     */
+    getConnectedGamepads() {
+        return Object.keys(this.gamepadStates).map(Number);
+    }
+
+    /**
+     * Vérifie si une manette est branchée
+     */
+    hasGamepad() {
+        return this.gamepadIndex !== null;
+    }
+
+    /**
+     * Enregistre un callback déclenché une fois au moment où l'action commence
+     */
+    onAction(action, callback) {
+        if (!this.actionCallbacks.has(action)) {
+            this.actionCallbacks.set(action, []);
+        }
+        this.actionCallbacks.get(action).push(callback);
     }
-    
+
     /**
      * Vérifie si une touche est enfoncée
      */
     isKeyPressed(key) {
         return this.keys[key.toLowerCase()] === true;
     }
-    
+
     /**
      * Enregistre un callback déclenché une fois au moment où la touche est pressée
+     * (saisie de texte: préférer onAction pour les commandes du jeu)
      */
     onKeyDown(key, callback) {
         const k = key.toLowerCase();
@@ -57,7 +441,7 @@ export class InputManager {
         }
         this.keyDownCallbacks.get(k).push(callback);
     }
-    
+
     /**
      * Supprime un callback
      */
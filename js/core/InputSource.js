@@ -0,0 +1,114 @@
+/**
+ * InputSource - Une source d'entrées: des touches clavier et/ou une manette (et l'écran tactile)
+ * Traduit l'état lu par InputManager (touches, boutons, stick) en actions et en stick analogique
+ * InputManager en a une pour les menus et le solo, plus une par joueur en co-op local
+ */
+export class InputSource {
+    /**
+     * keyBindings: touches par action ('key:z', 'code:KeyW')
+     * gamepadIndex: manette utilisée (null si aucune)
+     * gamepadBindings: boutons par action (donne aussi la liste des actions)
+     * name: nom affiché (lobby du co-op)
+     */
+    constructor(keyBindings, gamepadIndex, gamepadBindings, name = '') {
+        this.keyBindings = keyBindings;
+        this.gamepadIndex = gamepadIndex;
+        this.gamepadBindings = gamepadBindings;
+        this.name = name;
+
+        // Lit aussi les commandes tactiles (source principale seulement)
+        this.useTouch = false;
+
+        // État des actions et du stick analogique (après zone morte)
+        this.actions = {};
+        this.axis = { x: 0, y: 0 };
+
+        // Callbacks
+        this.onEvent = null; // ({ type: 'down' | 'up', action } ou { type: 'axis', x, y })
+        this.onActionDown = null; // (action)
+    }
+
+    /**
+     * Vérifie si une touche fait partie de cette source
+     */
+    usesKey(key, code) {
+        return Object.values(this.keyBindings).some(
+            bindings => bindings.includes(`key:${key}`) || bindings.includes(`code:${code}`)
+        );
+    }
+
+    /**
+     * Met à jour les actions liées à une touche
+     */
+    updateActionsForKey(input, key, code) {
+        for (const action of Object.keys(this.gamepadBindings)) {
+            const bindings = this.keyBindings[action] || [];
+            if (bindings.includes(`key:${key}`) || bindings.includes(`code:${code}`)) {
+                this.updateAction(input, action);
+            }
+        }
+    }
+
+    /**
+     * Met à jour toutes les actions (silent: sans signaler les changements)
+     */
+    updateActions(input, silent = false) {
+        for (const action of Object.keys(this.gamepadBindings)) {
+            this.updateAction(input, action, silent);
+        }
+    }
+
+    /**
+     * Recalcule une action depuis le clavier, la manette et l'écran tactile, et signale son changement
+     */
+    updateAction(input, action, silent = false) {
+        const gamepad = this.gamepadIndex !== null ? input.gamepadStates[this.gamepadIndex] : null;
+        const touch = this.useTouch ? input.touchState : null;
+
+        const pressed = (this.keyBindings[action] || []).some(binding => input.isBindingPressed(binding)) ||
+            (!!gamepad && (
+                this.gamepadBindings[action].some(button => gamepad.buttons[button]) ||
+                gamepad.directions[action] === true
+            )) ||
+            (!!touch && touch.actions[action] === true);
+
+        if (pressed === !!this.actions[action]) return;
+
+        if (!silent && this.onEvent) {
+            this.onEvent({ type: pressed ? 'down' : 'up', action });
+        }
+        this.actions[action] = pressed;
+
+        if (!silent && pressed && this.onActionDown) {
+            this.onActionDown(action);
+        }
+    }
+
+    /**
+     * Lit le stick de la manette (ou le joystick tactile) et recalcule les actions
+     */
+    updateGamepad(input, silent = false) {
+        this.updateActions(input, silent);
+
+        const gamepad = this.gamepadIndex !== null ? input.gamepadStates[this.gamepadIndex] : null;
+        const touch = this.useTouch ? input.touchState : null;
+        let axis = gamepad ? gamepad.axis : { x: 0, y: 0 };
+        if (axis.x === 0 && axis.y === 0 && touch) {
+            axis = touch.axis;
+        }
+
+        if (axis.x !== this.axis.x || axis.y !== this.axis.y) {
+            if (!silent && this.onEvent) {
+                this.onEvent({ type: 'axis', x: axis.x, y: axis.y });
+            }
+            this.axis = { ...axis };
+        }
+    }
+
+    /**
+     * Vérifie si une action est active
+     */
+    isActionPressed(action) {
+        return this.actions[action] === true;
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Random - Générateur pseudo-aléatoire à graine (mulberry32)
+ * Une même graine donne toujours la même suite de nombres: avec les mêmes entrées,
+ * la partie se déroule à l'identique (défis entre coéquipiers, bugs reproductibles)
+ */
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Tire une graine au hasard (entier 32 bits non signé)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Repart de zéro avec une nouvelle graine
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Nombre flottant dans [0, 1[
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Nombre flottant dans [min, max[
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Entier dans [0, max[
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Vrai avec une probabilité donnée (0-1)
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Élément au hasard d'un tableau
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
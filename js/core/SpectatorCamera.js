@@ -0,0 +1,119 @@
+/**
+ * SpectatorCamera - Caméra d'un spectateur réseau
+ * Vue libre (toute la cuisine, ou zoomée et déplacée au stick / ZQSD) ou suivi d'un joueur
+ */
+
+export const CameraMode = {
+    FREE: 'free',
+    FOLLOW: 'follow'
+};
+
+// Zooms de la vue libre (1: toute la cuisine) et du suivi
+const FREE_ZOOM_LEVELS = [1, 2];
+const FOLLOW_ZOOM = 1.75;
+
+// Déplacement de la vue libre (pixels/seconde à l'écran) et vitesse de rattrapage de la cible
+const PAN_SPEED = 300;
+const SMOOTHING = 8;
+
+export class SpectatorCamera {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.reset();
+    }
+
+    /**
+     * Revient à la vue libre sur toute la cuisine
+     */
+    reset() {
+        this.mode = CameraMode.FREE;
+        this.targetIndex = null;
+        this.freeZoomIndex = 0;
+        this.zoom = FREE_ZOOM_LEVELS[0];
+        this.x = this.width / 2;
+        this.y = this.height / 2;
+    }
+
+    /**
+     * Mode suivant: vue libre -> suit J1 -> suit J2 ... -> vue libre
+     */
+    cycle(playerIndices) {
+        const next = this.mode === CameraMode.FREE
+            ? playerIndices[0]
+            : playerIndices[playerIndices.indexOf(this.targetIndex) + 1];
+
+        if (next === undefined) {
+            this.mode = CameraMode.FREE;
+            this.targetIndex = null;
+        } else {
+            this.mode = CameraMode.FOLLOW;
+            this.targetIndex = next;
+        }
+    }
+
+    /**
+     * Change le zoom de la vue libre
+     */
+    toggleZoom() {
+        if (this.mode === CameraMode.FREE) {
+            this.freeZoomIndex = (this.freeZoomIndex + 1) % FREE_ZOOM_LEVELS.length;
+        }
+    }
+
+    /**
+     * Avance la caméra: suit sa cible, ou se déplace selon le stick en vue libre
+     */
+    update(deltaTime, axis, players) {
+        let targetZoom = FREE_ZOOM_LEVELS[this.freeZoomIndex];
+        const smoothing = Math.min(1, SMOOTHING * deltaTime);
+
+        if (this.mode === CameraMode.FOLLOW) {
+            // Joueur parti: retour à la vue libre
+            const target = players.find(player => player.playerIndex === this.targetIndex);
+            if (!target) {
+                this.mode = CameraMode.FREE;
+                this.targetIndex = null;
+            } else {
+                targetZoom = FOLLOW_ZOOM;
+                this.x += (target.x + target.width / 2 - this.x) * smoothing;
+                this.y += (target.y + target.height / 2 - this.y) * smoothing;
+            }
+        }
+
+        if (this.mode === CameraMode.FREE) {
+            this.x += axis.x * PAN_SPEED * deltaTime / this.zoom;
+            this.y += axis.y * PAN_SPEED * deltaTime / this.zoom;
+        }
+
+        this.zoom += (targetZoom - this.zoom) * smoothing;
+        this.clamp();
+    }
+
+    /**
+     * Garde la vue dans la cuisine
+     */
+    clamp() {
+        const halfWidth = this.width / (2 * this.zoom);
+        const halfHeight = this.height / (2 * this.zoom);
+        this.x = Math.min(Math.max(this.x, halfWidth), this.width - halfWidth);
+        this.y = Math.min(Math.max(this.y, halfHeight), this.height - halfHeight);
+    }
+
+    /**
+     * Applique la caméra au contexte (à refermer avec ctx.restore())
+     */
+    apply(ctx) {
+        ctx.save();
+        ctx.translate(this.width / 2, this.height / 2);
+        ctx.scale(this.zoom, this.zoom);
+        ctx.translate(-this.x, -this.y);
+    }
+
+    /**
+     * Nom affiché du mode
+     */
+    getLabel() {
+        return this.mode === CameraMode.FOLLOW ? `Suit J${this.targetIndex}` : 'Vue libre';
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * TouchControls - Commandes tactiles (téléphones et tablettes)
+ * En jeu: joystick virtuel (moitié gauche) et boutons d'action dessinés sur le canvas
+ * Dans les menus: les taps sont transmis au jeu, qui les compare aux zones affichées
+ * Les positions sont ramenées à la résolution logique du jeu, quelle que soit la taille affichée
+ */
+import { Action, InputManager } from './InputManager.js';
+
+// Boutons affichés en jeu (coordonnées logiques)
+export const TouchButtons = [
+    { action: Action.INTERACT, x: 540, y: 425, radius: 36, label: 'E', color: '#4caf50' },
+    { action: Action.DROP, x: 458, y: 455, radius: 28, label: 'F', color: '#f44336' },
+    { action: Action.PAUSE, x: 570, y: 80, radius: 18, label: '❚❚', color: '#607d8b' }
+];
+
+// Rayon du joystick (déplacement maximum du pouce) et position affichée au repos
+const STICK_RADIUS = 50;
+const STICK_REST = { x: 90, y: 410 };
+
+export class TouchControls {
+    constructor(canvas, width, height) {
+        this.canvas = canvas;
+        this.width = width;
+        this.height = height;
+
+        // Passe à true au premier contact tactile (affiche les commandes)
+        this.active = false;
+
+        // En jeu (joystick et boutons) ou dans un menu (taps)
+        this.gameMode = false;
+
+        // Doigts posés: pointerId -> { action } (bouton) ou { stick: true }
+        this.pointers = new Map();
+
+        // Joystick: origine (là où le pouce s'est posé) et position actuelle
+        this.stick = null;
+
+        // Actions pressées depuis la dernière lecture (un tap très court compte quand même)
+        this.pressed = {};
+
+        // Taps en attente dans les menus
+        this.taps = [];
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+        // Pas de menu contextuel sur un appui long
+        this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+
+    /**
+     * Convertit la position d'un événement en coordonnées logiques du jeu
+     */
+    toGamePosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const displayWidth = this.canvas.clientWidth || this.width;
+        const displayHeight = this.canvas.clientHeight || this.height;
+
+        return {
+            x: (e.clientX - rect.left - this.canvas.clientLeft) * this.width / displayWidth,
+            y: (e.clientY - rect.top - this.canvas.clientTop) * this.height / displayHeight
+        };
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'touch') {
+            this.active = true;
+        }
+        e.preventDefault();
+
+        const position = this.toGamePosition(e);
+
+        // Menus (et souris): simple tap
+        if (!this.gameMode || !this.active) {
+            this.taps.push(position);
+            return;
+        }
+
+        try {
+            this.canvas.setPointerCapture(e.pointerId);
+        } catch (err) {
+            // Le suivi reste limité au canvas
+        }
+
+        const button = this.getButtonAt(position.x, position.y);
+        if (button) {
+            this.pointers.set(e.pointerId, { action: button.action });
+            this.pressed[button.action] = true;
+        } else if (position.x < this.width / 2 && !this.stick) {
+            this.pointers.set(e.pointerId, { stick: true });
+            this.stick = { originX: position.x, originY: position.y, x: position.x, y: position.y };
+        }
+    }
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer || !pointer.stick || !this.stick) return;
+
+        const position = this.toGamePosition(e);
+        this.stick.x = position.x;
+        this.stick.y = position.y;
+    }
+
+    handlePointerUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(e.pointerId);
+        if (pointer.stick) {
+            this.stick = null;
+        }
+    }
+
+    /**
+     * Bouton sous une position (null si aucun)
+     */
+    getButtonAt(x, y) {
+        return TouchButtons.find(button => Math.hypot(x - button.x, y - button.y) <= button.radius + 8) || null;
+    }
+
+    /**
+     * Passe en mode jeu (joystick et boutons) ou menu (taps); relâche tout en changeant
+     */
+    setGameMode(gameMode) {
+        if (gameMode === this.gameMode) return;
+
+        this.gameMode = gameMode;
+        this.pointers.clear();
+        this.stick = null;
+        this.taps = [];
+    }
+
+    /**
+     * Lit les actions et le stick (appelé par InputManager une fois par pas de simulation)
+     */
+    poll() {
+        const actions = { ...this.pressed };
+        for (const pointer of this.pointers.values()) {
+            if (pointer.action) actions[pointer.action] = true;
+        }
+        this.pressed = {};
+
+        let axis = { x: 0, y: 0 };
+        if (this.stick) {
+            const dx = (this.stick.x - this.stick.originX) / STICK_RADIUS;
+            const dy = (this.stick.y - this.stick.originY) / STICK_RADIUS;
+            axis = InputManager.applyDeadzone(dx, dy);
+        }
+
+        return { actions, axis };
+    }
+
+    /**
+     * Retourne et vide les taps en attente
+     */
+    takeTaps() {
+        const taps = this.taps;
+        this.taps = [];
+        return taps;
+    }
+
+    /**
+     * Dessine le joystick et les boutons
+     */
+    render(ctx) {
+        ctx.save();
+
+        // Joystick: base là où le pouce s'est posé, manette déplacée jusqu'au rayon max
+        const base = this.stick ? { x: this.stick.originX, y: this.stick.originY } : STICK_REST;
+        let knobX = base.x;
+        let knobY = base.y;
+        if (this.stick) {
+            const dx = this.stick.x - base.x;
+            const dy = this.stick.y - base.y;
+            const distance = Math.hypot(dx, dy);
+            const scale = distance > STICK_RADIUS ? STICK_RADIUS / distance : 1;
+            knobX += dx * scale;
+            knobY += dy * scale;
+        }
+
+        ctx.globalAlpha = this.stick ? 0.6 : 0.3;
+        ctx.fillStyle = '#fff';
+        ctx.beginPath();
+        ctx.arc(base.x, base.y, STICK_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.globalAlpha = 0.8;
+        ctx.fillStyle = '#ff6b35';
+        ctx.beginPath();
+        ctx.arc(knobX, knobY, 22, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Boutons
+        const held = new Set([...this.pointers.values()].map(pointer => pointer.action));
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const button of TouchButtons) {
+            ctx.globalAlpha = held.has(button.action) ? 0.9 : 0.5;
+            ctx.fillStyle = button.color;
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = '#fff';
+            ctx.fillText(button.label, button.x, button.y);
+        }
+
+        ctx.restore();
+    }
+}
@@ -3,32 +3,171 @@
  */
 import { Entity } from './Entity.js';
 import { Item, ItemType } from './Item.js';
+import { Recipe } from './Recipe.js';
+
+// Déplacement du client: entre par la porte, fait la queue, attend au comptoir, repart
+export const CustomerState = {
+    ARRIVING: 'arriving', // Marche vers un emplacement du comptoir ou de la file
+    QUEUED: 'queued',
+    WAITING: 'waiting', // Au comptoir, peut être servi
+    LEAVING: 'leaving'
+};
+
+// Vitesse de marche (pixels/seconde)
+const WALK_SPEED = 150;
+
+// Dans la file, la patience baisse moins vite qu'au comptoir
+const QUEUE_PATIENCE_RATE = 0.5;
+
+// Temps avant de repartir (animation content / fâché)
+const SATISFIED_LEAVE_DELAY = 0.8;
+const ANGRY_LEAVE_DELAY = 1;
+
+// Types de clients
+export const CustomerArchetype = {
+    NORMAL: 'normal',
+    STUDENT: 'student',
+    VIP: 'vip',
+    GROUP: 'group',
+    REGULAR: 'regular',
+    CRITIC: 'critic'
+};
+
+// drain(ratio): vitesse de perte de patience selon la patience restante (0-1)
+// generateOrder(maxItems, random): commande tirée avec le générateur de la partie
+export const ArchetypeConfig = {
+    [CustomerArchetype.NORMAL]: {
+        name: 'Client',
+        shirt: '#3498db',
+        hair: '#5d4037',
+        patienceFactor: 1,
+        tipMultiplier: 1,
+        forgives: 0,
+        drain: () => 1,
+        generateOrder: (maxItems, random) => Customer.generateRandomOrder(maxItems, random)
+    },
+    [CustomerArchetype.STUDENT]: {
+        name: 'Étudiant pressé',
+        shirt: '#9b59b6',
+        hair: '#212121',
+        patienceFactor: 0.7,
+        tipMultiplier: 0.5,
+        forgives: 0,
+        // S'énerve de plus en plus vite
+        drain: ratio => 1 + (1 - ratio),
+        generateOrder: (maxItems, random) => random.chance(0.7) ?
+            Customer.createOrder(1, 0, random) : Customer.createOrder(0, 1, random)
+    },
+    [CustomerArchetype.VIP]: {
+        name: 'VIP',
+        shirt: '#212121',
+        hair: '#ffd700',
+        patienceFactor: 1,
+        tipMultiplier: 3,
+        forgives: 0,
+        drain: () => 1.2,
+        generateOrder: (maxItems, random) => Customer.createOrder(1, maxItems >= 2 ? 1 : 0, random)
+    },
+    [CustomerArchetype.GROUP]: {
+        name: 'Groupe',
+        shirt: '#16a085',
+        hair: '#8d6e63',
+        patienceFactor: 1.3,
+        tipMultiplier: 1,
+        forgives: 0,
+        // Patients en discutant, puis s'impatientent tous ensemble
+        drain: ratio => ratio > 0.5 ? 0.6 : 1.4,
+        generateOrder: (maxItems, random) => Customer.createOrder(Math.min(3, maxItems), maxItems >= 3 ? 1 : 0, random)
+    },
+    [CustomerArchetype.REGULAR]: {
+        name: 'Habitué',
+        shirt: '#d35400',
+        hair: '#9e9e9e',
+        patienceFactor: 1.2,
+        tipMultiplier: 1,
+        forgives: 1,
+        drain: () => 0.8,
+        generateOrder: (maxItems, random) => Customer.generateRandomOrder(maxItems, random)
+    },
+    [CustomerArchetype.CRITIC]: {
+        name: 'Critique',
+        shirt: '#7f8c8d',
+        hair: '#263238',
+        patienceFactor: 1,
+        tipMultiplier: 1,
+        forgives: 0,
+        drain: () => 1,
+        generateOrder: (maxItems, random) =>
+            Customer.createOrder(1, maxItems >= 2 && random.chance(0.5) ? 1 : 0, random)
+    }
+};
 
 export class Customer extends Entity {
-    constructor(x, y, order, basePatience = 15) {
+    constructor(x, y, order, basePatience = 15, archetype = CustomerArchetype.NORMAL) {
         super(x, y, 50, 60);
 
-        // Commande multi-items: { kebab: 0-2, drink: 0-2 }
-        this.order = order;
-        this.originalOrder = { ...order };
+        this.archetype = archetype;
+        this.config = ArchetypeConfig[archetype];
+
+        // Commande multi-items: { kebabs: [recette, ...], drink: 0-2 }
+        this.order = Customer.copyOrder(order);
+        this.originalOrder = Customer.copyOrder(order);
         this.satisfied = false;
         this.angry = false; // Client parti sans être servi
 
+        // Déplacement (le client apparaît à la porte)
+        this.state = CustomerState.ARRIVING;
+        this.targetX = x;
+        this.targetY = y;
+        this.positionIndex = null; // Emplacement au comptoir (null dans la file)
+        this.leaveTimer = 0;
+
+        // Erreurs de qualité pardonnées (habitué) et qualité des kebabs reçus (critique)
+        this.forgivesLeft = this.config.forgives;
+        this.servedQuality = [];
+
         // Patience dynamique: +5s par item supplémentaire au-delà du premier
-        const totalItems = order.kebab + order.drink;
+        const totalItems = order.kebabs.length + order.drink;
         const extraTime = Math.max(0, totalItems - 1) * 5;
-        this.maxPatience = basePatience + extraTime;
+        this.maxPatience = (basePatience + extraTime) * this.config.patienceFactor;
         this.patience = this.maxPatience;
 
-        // Animation
-        this.animationTime = Math.random() * Math.PI * 2;
+        // Animation (décalage tiré par CustomerManager pour rester déterministe)
+        this.animationTime = 0;
         this.bubbleOffset = 0;
     }
 
     /**
-     * Génère une commande aléatoire
+     * Copie une commande (les recettes sont dupliquées)
+     */
+    static copyOrder(order) {
+        return {
+            kebabs: order.kebabs.map(recipe => ({ ...recipe })),
+            drink: order.drink
+        };
+    }
+
+    /**
+     * Tire un type de client selon les poids donnés (ex: { normal: 3, vip: 1 })
      */
-    static generateRandomOrder() {
+    static pickArchetype(weights, random) {
+        const entries = Object.entries(weights);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = random.next() * totalWeight;
+
+        for (const [archetype, weight] of entries) {
+            roll -= weight;
+            if (roll <= 0) return archetype;
+        }
+
+        return CustomerArchetype.NORMAL;
+    }
+
+    /**
+     * Génère une commande aléatoire (chaque kebab a sa propre composition)
+     * maxItems limite la taille des commandes (jours faciles de la campagne)
+     */
+    static generateRandomOrder(maxItems, random) {
         // Possibilités:
         // - 1 kebab, 1 boisson, 2 kebabs, 2 boissons
         // - 1 kebab + 1 boisson, 2 kebabs + 1 boisson, etc.
@@ -43,18 +182,31 @@ export class Customer extends Entity {
         ];
 
         // Pondération: commandes simples plus fréquentes
-        const weights = [3, 3, 2, 2, 2, 1, 1];
+        const weights = [3, 3, 2, 2, 2, 1, 1].map((weight, i) =>
+            choices[i].kebab + choices[i].drink <= maxItems ? weight : 0
+        );
         const totalWeight = weights.reduce((a, b) => a + b, 0);
-        let random = Math.random() * totalWeight;
+        let roll = random.next() * totalWeight;
 
         for (let i = 0; i < choices.length; i++) {
-            random -= weights[i];
-            if (random <= 0) {
-                return { ...choices[i] };
+            roll -= weights[i];
+            if (roll <= 0) {
+                return Customer.createOrder(choices[i].kebab, choices[i].drink, random);
             }
         }
 
-        return { kebab: 1, drink: 0 };
+        return Customer.createOrder(1, 0, random);
+    }
+
+    /**
+     * Crée une commande avec des recettes aléatoires
+     */
+    static createOrder(kebabCount, drinkCount, random) {
+        const kebabs = [];
+        for (let i = 0; i < kebabCount; i++) {
+            kebabs.push(Recipe.random(random));
+        }
+        return { kebabs, drink: drinkCount };
     }
 
     /**
@@ -64,14 +216,94 @@ export class Customer extends Entity {
         this.animationTime += deltaTime * 2;
         this.bubbleOffset = Math.sin(this.animationTime) * 3;
 
-        // Diminue la patience
-        if (!this.satisfied && !this.angry) {
-            this.patience -= deltaTime;
+        this.updateWalk(deltaTime);
+
+        // Diminue la patience (courbe propre au type de client), au comptoir et dans la file
+        const inLine = this.state === CustomerState.WAITING || this.state === CustomerState.QUEUED;
+        if (!this.satisfied && !this.angry && inLine) {
+            const rate = this.state === CustomerState.QUEUED ? QUEUE_PATIENCE_RATE : 1;
+            this.patience -= deltaTime * rate * this.config.drain(this.getPatienceRatio());
             if (this.patience <= 0) {
                 this.patience = 0;
                 this.angry = true;
+                this.leaveTimer = ANGRY_LEAVE_DELAY;
             }
         }
+
+        if (this.leaveTimer > 0) {
+            this.leaveTimer -= deltaTime;
+        }
+    }
+
+    /**
+     * Avance vers la cible et s'installe à l'arrivée
+     */
+    updateWalk(deltaTime) {
+        const dx = this.targetX - this.x;
+        const dy = this.targetY - this.y;
+        const dist = Math.hypot(dx, dy);
+
+        const step = WALK_SPEED * deltaTime;
+
+        if (dist <= step) {
+            this.x = this.targetX;
+            this.y = this.targetY;
+        } else {
+            this.x += (dx / dist) * step;
+            this.y += (dy / dist) * step;
+        }
+
+        if (this.state === CustomerState.ARRIVING && this.isAtTarget()) {
+            this.state = this.positionIndex !== null ? CustomerState.WAITING : CustomerState.QUEUED;
+        }
+    }
+
+    /**
+     * Marche vers une position
+     */
+    walkTo(x, y) {
+        this.targetX = x;
+        this.targetY = y;
+    }
+
+    /**
+     * Vérifie si le client est arrivé à destination
+     */
+    isAtTarget() {
+        return this.x === this.targetX && this.y === this.targetY;
+    }
+
+    /**
+     * Va s'installer à un emplacement du comptoir
+     */
+    goToSlot(positionIndex, x, y) {
+        this.positionIndex = positionIndex;
+        this.state = CustomerState.ARRIVING;
+        this.walkTo(x, y);
+    }
+
+    /**
+     * Vérifie si le client a fini sa visite et doit repartir
+     */
+    isReadyToLeave() {
+        return (this.satisfied || this.angry) &&
+            this.state !== CustomerState.LEAVING &&
+            this.leaveTimer <= 0;
+    }
+
+    /**
+     * Repart vers la porte
+     */
+    leave(doorX, doorY) {
+        this.state = CustomerState.LEAVING;
+        this.walkTo(doorX, doorY);
+    }
+
+    /**
+     * Vérifie si le client est au comptoir et peut être servi
+     */
+    isAtCounter() {
+        return this.state === CustomerState.WAITING;
     }
 
     /**
@@ -81,26 +313,36 @@ export class Customer extends Entity {
         return this.patience / this.maxPatience;
     }
 
+    /**
+     * Retourne l'index du kebab commandé correspondant exactement à la recette
+     */
+    findMatchingKebab(recipe) {
+        return this.order.kebabs.findIndex(wanted => Recipe.matches(wanted, recipe));
+    }
+
     /**
      * Vérifie si le client a encore besoin de cet item
      */
-    needsItem(itemType) {
-        if (itemType === ItemType.KEBAB) {
-            return this.order.kebab > 0;
-        } else if (itemType === ItemType.DRINK) {
+    needsItem(item) {
+        if (item.type === ItemType.KEBAB) {
+            return this.findMatchingKebab(item.recipe) !== -1;
+        } else if (item.type === ItemType.DRINK) {
             return this.order.drink > 0;
         }
         return false;
     }
 
     /**
-     * Livre un item au client
+     * Livre un item au client (un kebab doit correspondre exactement à la commande)
      */
     deliverItem(item) {
         if (!item) return false;
 
-        if (item.type === ItemType.KEBAB && this.order.kebab > 0) {
-            this.order.kebab--;
+        if (item.type === ItemType.KEBAB) {
+            const index = this.findMatchingKebab(item.recipe);
+            if (index === -1) return false;
+
+            this.order.kebabs.splice(index, 1);
             this.checkIfSatisfied();
             return true;
         } else if (item.type === ItemType.DRINK && this.order.drink > 0) {
@@ -116,8 +358,9 @@ export class Customer extends Entity {
      * Vérifie si la commande est complète
      */
     checkIfSatisfied() {
-        if (this.order.kebab === 0 && this.order.drink === 0) {
+        if (this.order.kebabs.length === 0 && this.order.drink === 0) {
             this.satisfied = true;
+            this.leaveTimer = SATISFIED_LEAVE_DELAY;
         }
     }
 
@@ -125,14 +368,14 @@ export class Customer extends Entity {
      * Retourne le nombre total d'items dans la commande originale
      */
     getTotalOrderItems() {
-        return this.originalOrder.kebab + this.originalOrder.drink;
+        return this.originalOrder.kebabs.length + this.originalOrder.drink;
     }
 
     /**
      * Retourne le nombre d'items restants
      */
     getRemainingItems() {
-        return this.order.kebab + this.order.drink;
+        return this.order.kebabs.length + this.order.drink;
     }
 
     /**
@@ -140,7 +383,9 @@ export class Customer extends Entity {
      */
     render(ctx) {
         const cx = this.x + this.width / 2;
-        const cy = this.y + this.height / 2;
+        // Petit rebond pendant la marche
+        const walking = !this.isAtTarget();
+        const cy = this.y + this.height / 2 - (walking ? Math.abs(Math.sin(this.animationTime * 4)) * 3 : 0);
 
         if (this.satisfied) {
             this.renderSatisfied(ctx, cx, cy);
@@ -210,7 +455,7 @@ export class Customer extends Entity {
         const ratio = this.getPatienceRatio();
         let bodyColor;
         if (ratio > 0.5) {
-            bodyColor = '#3498db'; // Bleu - content
+            bodyColor = this.config.shirt; // Couleur du type de client - content
         } else if (ratio > 0.25) {
             bodyColor = '#f39c12'; // Orange - impatient
         } else {
@@ -238,8 +483,10 @@ export class Customer extends Entity {
         // Barre de patience
         this.renderPatienceBar(ctx, cx);
 
-        // Bulle de commande
-        this.renderThoughtBubble(ctx, cx, cy);
+        // Bulle de commande (seulement au comptoir)
+        if (this.isAtCounter()) {
+            this.renderThoughtBubble(ctx, cx, cy);
+        }
     }
 
     /**
@@ -309,7 +556,7 @@ export class Customer extends Entity {
         ctx.fill();
 
         // Cheveux
-        ctx.fillStyle = '#5d4037';
+        ctx.fillStyle = this.config.hair;
         ctx.beginPath();
         ctx.ellipse(cx, cy - 20, 12, 6, 0, Math.PI, Math.PI * 2);
         ctx.fill();
@@ -320,8 +567,8 @@ export class Customer extends Entity {
      */
     renderThoughtBubble(ctx, cx, cy) {
         const items = [];
-        for (let i = 0; i < this.order.kebab; i++) items.push(ItemType.KEBAB);
-        for (let i = 0; i < this.order.drink; i++) items.push(ItemType.DRINK);
+        this.order.kebabs.forEach(recipe => items.push({ type: ItemType.KEBAB, recipe }));
+        for (let i = 0; i < this.order.drink; i++) items.push({ type: ItemType.DRINK, recipe: null });
 
         if (items.length === 0) return;
 
@@ -350,12 +597,37 @@ export class Customer extends Entity {
         ctx.lineWidth = 2;
         ctx.stroke();
 
-        // Dessine les items
+        // Dessine les items (les kebabs avec leur composition)
         let startX = bubbleX - (items.length - 1) * (itemSize + spacing) / 2;
-        items.forEach((type, i) => {
+        items.forEach((entry, i) => {
             const itemX = startX + i * (itemSize + spacing);
-            Item.renderIcon(ctx, type, itemX, bubbleY, itemSize);
+            Item.renderIcon(ctx, entry.type, itemX, bubbleY, itemSize, { recipe: entry.recipe });
         });
+
+        // Détail de la première recette (ex: "sans oignons, sauce samouraï")
+        if (this.order.kebabs.length > 0) {
+            this.renderRecipeLabel(ctx, bubbleX, bubbleY - bubbleHeight / 2 - 8, this.order.kebabs[0]);
+        }
+    }
+
+    /**
+     * Dessine le détail d'une recette sous la bulle
+     */
+    renderRecipeLabel(ctx, x, y, recipe) {
+        const text = Recipe.describe(recipe);
+
+        ctx.font = '6px "Press Start 2P", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const textWidth = ctx.measureText(text).width;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.beginPath();
+        ctx.roundRect(x - textWidth / 2 - 4, y - 6, textWidth + 8, 12, 4);
+        ctx.fill();
+
+        ctx.fillStyle = '#fff';
+        ctx.fillText(text, x, y);
     }
 
     /**
@@ -382,7 +654,12 @@ export class Customer extends Entity {
             '#3498db': '#2980b9',
             '#27ae60': '#1e8449',
             '#e74c3c': '#c0392b',
-            '#f39c12': '#d68910'
+            '#f39c12': '#d68910',
+            '#9b59b6': '#7d3c98',
+            '#212121': '#000000',
+            '#16a085': '#117a65',
+            '#d35400': '#a04000',
+            '#7f8c8d': '#616a6b'
         };
         return darken[color] || color;
     }
@@ -22,6 +22,14 @@ export class Entity {
         };
     }
 
+    /**
+     * Retourne la boîte utilisée pour bloquer les déplacements
+     * (par défaut le rectangle complet, à surcharger)
+     */
+    getCollisionBox() {
+        return this.getBounds();
+    }
+
     /**
      * Vérifie la collision avec une autre entité
      */
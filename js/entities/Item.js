@@ -1,17 +1,145 @@
 /**
- * Item - Représente un item portable (kebab, boisson)
+ * Item - Représente un item portable (ingrédients, kebab, boisson)
  */
 import { Entity } from './Entity.js';
+import { SauceConfig } from './Recipe.js';
 
 export const ItemType = {
+    BREAD: 'bread',
+    MEAT: 'meat',
+    SALAD: 'salad',
+    ONION: 'onion',
+    SAUCE: 'sauce',
     KEBAB: 'kebab',
     DRINK: 'drink'
 };
 
+// Noms et couleurs affichés dans les feedbacks
+export const ItemConfig = {
+    [ItemType.BREAD]: { name: 'Pain', color: '#d4a574' },
+    [ItemType.MEAT]: { name: 'Viande', color: '#8d4a2c' },
+    [ItemType.SALAD]: { name: 'Salade', color: '#4caf50' },
+    [ItemType.ONION]: { name: 'Oignons', color: '#9c27b0' },
+    [ItemType.SAUCE]: { name: 'Sauce', color: '#ff8f00' },
+    [ItemType.KEBAB]: { name: 'Kebab', color: '#8d4a2c' },
+    [ItemType.DRINK]: { name: 'Boisson', color: '#1565c0' }
+};
+
+// États de cuisson de la viande
+export const CookState = {
+    RAW: 'raw',
+    COOKED: 'cooked',
+    BURNT: 'burnt'
+};
+
+export const CookStateConfig = {
+    [CookState.RAW]: { name: 'crue', color: '#e57373', stroke: '#b71c1c' },
+    [CookState.COOKED]: { name: 'cuite', color: '#8d4a2c', stroke: '#5d2e1a' },
+    [CookState.BURNT]: { name: 'brûlée', color: '#3e2723', stroke: '#1b0f0c' }
+};
+
+// Perte de fraîcheur par seconde (viande et kebab refroidissent)
+const FRESHNESS_DECAY = 1 / 45;
+
+// Ingrédients qui se posent sur le plan de préparation
+export const IngredientTypes = [
+    ItemType.BREAD,
+    ItemType.MEAT,
+    ItemType.SALAD,
+    ItemType.ONION,
+    ItemType.SAUCE
+];
+
 export class Item extends Entity {
     constructor(type, x = 0, y = 0) {
         super(x, y, 32, 32);
         this.type = type;
+
+        // Composition (kebab) et variante (sauce)
+        this.recipe = null;
+        this.sauce = null;
+
+        // Qualité: cuisson de la viande et fraîcheur (1 = tout chaud, 0 = froid)
+        this.cookState = null;
+        this.freshness = 1;
+    }
+
+    /**
+     * Crée une portion de viande tranchée sur la broche
+     */
+    static createMeat(cookState) {
+        const meat = new Item(ItemType.MEAT);
+        meat.cookState = cookState;
+        return meat;
+    }
+
+    /**
+     * Crée un kebab assemblé (il hérite de la qualité de sa viande)
+     */
+    static createKebab(recipe, meat = null) {
+        const kebab = new Item(ItemType.KEBAB);
+        kebab.recipe = { ...recipe };
+        if (meat) {
+            kebab.cookState = meat.cookState;
+            kebab.freshness = meat.freshness;
+        }
+        return kebab;
+    }
+
+    /**
+     * Crée une portion de sauce
+     */
+    static createSauce(sauce) {
+        const item = new Item(ItemType.SAUCE);
+        item.sauce = sauce;
+        return item;
+    }
+
+    /**
+     * Fait refroidir les items cuits
+     */
+    update(deltaTime) {
+        if (this.cookState === null) return;
+        this.freshness = Math.max(0, this.freshness - FRESHNESS_DECAY * deltaTime);
+    }
+
+    /**
+     * Vérifie si l'item a refroidi
+     */
+    isCold() {
+        return this.freshness < 0.3;
+    }
+
+    /**
+     * Vérifie si l'item est un ingrédient
+     */
+    isIngredient() {
+        return IngredientTypes.includes(this.type);
+    }
+
+    /**
+     * Retourne les données pour la synchronisation réseau
+     */
+    getNetworkData() {
+        return {
+            type: this.type,
+            recipe: this.recipe ? { ...this.recipe } : null,
+            sauce: this.sauce,
+            cookState: this.cookState,
+            freshness: this.freshness
+        };
+    }
+
+    /**
+     * Reconstruit un item depuis les données réseau
+     */
+    static fromNetworkData(data) {
+        const item = new Item(data.type);
+        item.recipe = data.recipe ? { ...data.recipe } : null;
+        item.sauce = data.sauce || null;
+        item.cookState = data.cookState || null;
+        item.freshness = data.freshness !== undefined ? data.freshness : 1;
+        return item;
     }
 
     /**
@@ -20,18 +148,44 @@ export class Item extends Entity {
     render(ctx) {
         const centerX = this.x + this.width / 2;
         const centerY = this.y + this.height / 2;
+        this.renderAt(ctx, centerX, centerY);
+    }
 
-        if (this.type === ItemType.KEBAB) {
-            this.renderKebab(ctx, centerX, centerY);
-        } else if (this.type === ItemType.DRINK) {
-            this.renderDrink(ctx, centerX, centerY);
+    /**
+     * Dessine le sprite correspondant au type
+     */
+    renderAt(ctx, cx, cy) {
+        switch (this.type) {
+            case ItemType.KEBAB:
+                this.renderKebab(ctx, cx, cy);
+                break;
+            case ItemType.DRINK:
+                this.renderDrink(ctx, cx, cy);
+                break;
+            case ItemType.BREAD:
+                this.renderBread(ctx, cx, cy);
+                break;
+            case ItemType.MEAT:
+                this.renderMeat(ctx, cx, cy);
+                break;
+            case ItemType.SALAD:
+                this.renderSalad(ctx, cx, cy);
+                break;
+            case ItemType.ONION:
+                this.renderOnion(ctx, cx, cy);
+                break;
+            case ItemType.SAUCE:
+                this.renderSauce(ctx, cx, cy);
+                break;
         }
     }
 
     /**
-     * Dessine le sprite kebab
+     * Dessine le sprite kebab (selon sa composition si connue)
      */
     renderKebab(ctx, cx, cy) {
+        const recipe = this.recipe || { salad: true, onion: false, sauce: 'blanche' };
+
         // Pain du kebab (forme ovale)
         ctx.fillStyle = '#d4a574';
         ctx.beginPath();
@@ -42,23 +196,71 @@ export class Item extends Entity {
         ctx.stroke();
 
         // Garniture - salade
-        ctx.fillStyle = '#4caf50';
-        ctx.beginPath();
-        ctx.ellipse(cx, cy - 2, 10, 4, 0, 0, Math.PI);
-        ctx.fill();
+        if (recipe.salad) {
+            ctx.fillStyle = '#4caf50';
+            ctx.beginPath();
+            ctx.ellipse(cx, cy - 2, 10, 4, 0, 0, Math.PI);
+            ctx.fill();
+        }
 
-        // Viande
-        ctx.fillStyle = '#8d4a2c';
+        // Viande (couleur selon la cuisson)
+        const cook = CookStateConfig[this.cookState || CookState.COOKED];
+        ctx.fillStyle = cook.color;
         ctx.beginPath();
         ctx.ellipse(cx, cy + 2, 8, 3, 0, 0, Math.PI * 2);
         ctx.fill();
 
+        // Oignons
+        if (recipe.onion) {
+            ctx.strokeStyle = '#ce93d8';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(cx - 6, cy - 4, 2.5, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(cx + 6, cy - 4, 2.5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
         // Sauce
-        ctx.fillStyle = '#fff';
-        ctx.beginPath();
-        ctx.arc(cx - 3, cy, 2, 0, Math.PI * 2);
-        ctx.arc(cx + 3, cy, 2, 0, Math.PI * 2);
-        ctx.fill();
+        if (recipe.sauce) {
+            ctx.fillStyle = SauceConfig[recipe.sauce].color;
+            ctx.beginPath();
+            ctx.arc(cx - 3, cy, 2, 0, Math.PI * 2);
+            ctx.arc(cx + 3, cy, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        this.renderFreshness(ctx, cx, cy);
+    }
+
+    /**
+     * Dessine la vapeur (chaud) ou le givre (froid) d'un item cuit
+     */
+    renderFreshness(ctx, cx, cy) {
+        if (this.cookState === null) return;
+
+        if (this.freshness > 0.6) {
+            // Vapeur
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 1.5;
+            for (let i = -1; i <= 1; i += 2) {
+                ctx.beginPath();
+                ctx.moveTo(cx + i * 5, cy - 10);
+                ctx.quadraticCurveTo(cx + i * 5 + 3, cy - 14, cx + i * 5, cy - 18);
+                ctx.stroke();
+            }
+        } else if (this.isCold()) {
+            // Flocon bleu: le plat a refroidi
+            ctx.strokeStyle = '#81d4fa';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(cx + 10, cy - 14);
+            ctx.lineTo(cx + 10, cy - 6);
+            ctx.moveTo(cx + 6, cy - 10);
+            ctx.lineTo(cx + 14, cy - 10);
+            ctx.stroke();
+        }
     }
 
     /**
@@ -101,13 +303,122 @@ export class Item extends Entity {
         ctx.stroke();
     }
 
+    /**
+     * Dessine le sprite pain
+     */
+    renderBread(ctx, cx, cy) {
+        ctx.fillStyle = '#e0b77f';
+        ctx.beginPath();
+        ctx.arc(cx, cy, 12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#8b6914';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Graines
+        ctx.fillStyle = '#fff8e1';
+        ctx.fillRect(cx - 5, cy - 4, 2, 2);
+        ctx.fillRect(cx + 3, cy - 2, 2, 2);
+        ctx.fillRect(cx - 1, cy + 4, 2, 2);
+    }
+
+    /**
+     * Dessine le sprite viande (tranches de broche)
+     */
+    renderMeat(ctx, cx, cy) {
+        const cook = CookStateConfig[this.cookState || CookState.COOKED];
+        ctx.fillStyle = cook.color;
+        ctx.strokeStyle = cook.stroke;
+        ctx.lineWidth = 1.5;
+        for (let i = -1; i <= 1; i++) {
+            ctx.beginPath();
+            ctx.ellipse(cx + i * 5, cy + i * 2, 8, 4, -0.4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        this.renderFreshness(ctx, cx, cy);
+    }
+
+    /**
+     * Dessine le sprite salade
+     */
+    renderSalad(ctx, cx, cy) {
+        ctx.fillStyle = '#66bb6a';
+        ctx.strokeStyle = '#2e7d32';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(cx - 5, cy, 7, 0, Math.PI * 2);
+        ctx.arc(cx + 5, cy, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(cx, cy - 5, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    /**
+     * Dessine le sprite oignons
+     */
+    renderOnion(ctx, cx, cy) {
+        ctx.strokeStyle = '#ba68c8';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 10, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.strokeStyle = '#e1bee7';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 5, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    /**
+     * Dessine le sprite sauce (flacon)
+     */
+    renderSauce(ctx, cx, cy) {
+        const color = this.sauce ? SauceConfig[this.sauce].color : '#f5f5f5';
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.roundRect(cx - 6, cy - 6, 12, 18, 3);
+        ctx.fill();
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        // Bouchon
+        ctx.fillStyle = '#555';
+        ctx.beginPath();
+        ctx.moveTo(cx - 3, cy - 6);
+        ctx.lineTo(cx + 3, cy - 6);
+        ctx.lineTo(cx, cy - 13);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Dessine cet item en icône (HUD, plan de préparation)
+     */
+    renderAsIcon(ctx, x, y, size = 24) {
+        Item.renderIcon(ctx, this.type, x, y, size, {
+            recipe: this.recipe,
+            sauce: this.sauce,
+            cookState: this.cookState,
+            freshness: this.freshness
+        });
+    }
+
     /**
      * Dessine l'icône de l'item (pour les bulles de pensée)
+     * props permet de préciser la composition (recipe) ou la variante (sauce)
      */
-    static renderIcon(ctx, type, x, y, size = 24) {
+    static renderIcon(ctx, type, x, y, size = 24, props = {}) {
         const item = new Item(type, x - size / 2, y - size / 2);
         item.width = size;
         item.height = size;
+        Object.assign(item, props);
 
         ctx.save();
         const scale = size / 32;
@@ -115,11 +426,7 @@ export class Item extends Entity {
         ctx.scale(scale, scale);
         ctx.translate(-x, -y);
 
-        if (type === ItemType.KEBAB) {
-            item.renderKebab(ctx, x, y);
-        } else {
-            item.renderDrink(ctx, x, y);
-        }
+        item.renderAt(ctx, x, y);
 
         ctx.restore();
     }
@@ -8,7 +8,9 @@ import { Item } from './Item.js';
 // Couleurs des joueurs
 export const PlayerColors = {
     1: { body: '#e74c3c', stroke: '#c0392b', name: 'Rouge' },
-    2: { body: '#3498db', stroke: '#2980b9', name: 'Bleu' }
+    2: { body: '#3498db', stroke: '#2980b9', name: 'Bleu' },
+    3: { body: '#2ecc71', stroke: '#27ae60', name: 'Vert' },
+    4: { body: '#f1c40f', stroke: '#d4ac0d', name: 'Jaune' }
 };
 
 export class Player extends Entity {
@@ -21,6 +23,9 @@ export class Player extends Entity {
         // Couleur selon l'index
         this.colors = PlayerColors[playerIndex] || PlayerColors[1];
 
+        // Pseudo affiché sous le joueur (choisi dans le salon réseau, null sinon)
+        this.name = null;
+
         // Inventaire (jusqu'à 3 items)
         this.inventory = [];
         this.maxInventory = 3;
@@ -36,6 +41,18 @@ export class Player extends Entity {
         this.isRemote = false;
     }
 
+    /**
+     * Boîte de collision: les pieds du joueur (la tête peut dépasser devant une station)
+     */
+    getCollisionBox() {
+        return {
+            x: this.x + 6,
+            y: this.y + 18,
+            width: this.width - 12,
+            height: this.height - 18
+        };
+    }
+
     /**
      * Calcule la vitesse actuelle selon l'inventaire
      */
@@ -45,54 +62,40 @@ export class Player extends Entity {
     }
 
     /**
-     * Met à jour la position du joueur selon les inputs (joueur local)
+     * Met à jour la position du joueur selon le déplacement voulu (joueur local)
+     * intent: { x, y } entre -1 et 1 (clavier, manette...), fourni par la couche d'entrées
      */
-    update(deltaTime, inputManager, gameMap) {
+    update(deltaTime, intent, gameMap, blockers = []) {
         // Les joueurs distants sont mis à jour via updateFromNetwork
         if (this.isRemote) return;
 
-        let dx = 0;
-        let dy = 0;
+        let dx = intent.x;
+        let dy = intent.y;
 
-        // ZQSD movement
-        if (inputManager.isKeyPressed('z')) {
-            dy = -1;
-            this.direction = 'up';
-        }
-        if (inputManager.isKeyPressed('s')) {
-            dy = 1;
+        // Orientation selon l'axe dominant (l'horizontal l'emporte à égalité)
+        if (dx !== 0 && Math.abs(dx) >= Math.abs(dy)) {
+            this.direction = dx > 0 ? 'right' : 'left';
+        } else if (dy > 0) {
             this.direction = 'down';
-        }
-        if (inputManager.isKeyPressed('q')) {
-            dx = -1;
-            this.direction = 'left';
-        }
-        if (inputManager.isKeyPressed('d')) {
-            dx = 1;
-            this.direction = 'right';
+        } else if (dy < 0) {
+            this.direction = 'up';
         }
 
-        // Normalise le mouvement diagonal
-        if (dx !== 0 && dy !== 0) {
-            const factor = 1 / Math.sqrt(2);
-            dx *= factor;
-            dy *= factor;
+        // Normalise le mouvement diagonal (jamais plus vite qu'en ligne droite)
+        const length = Math.hypot(dx, dy);
+        if (length > 1) {
+            dx /= length;
+            dy /= length;
         }
 
         // Vitesse selon l'inventaire
         const speed = this.getCurrentSpeed();
 
-        // Calcule la nouvelle position
-        const newX = this.x + dx * speed * deltaTime;
-        const newY = this.y + dy * speed * deltaTime;
-
-        // Vérifie les collisions avec la map
-        if (gameMap.canMoveTo(newX, this.y, this.width, this.height)) {
-            this.x = newX;
-        }
-        if (gameMap.canMoveTo(this.x, newY, this.width, this.height)) {
-            this.y = newY;
-        }
+        // Déplacement avec collisions (murs, stations, autres joueurs)
+        // L'axe bloqué est arrêté au contact, l'autre continue: on glisse le long des bords
+        const position = gameMap.resolveMove(this, dx * speed * deltaTime, dy * speed * deltaTime, blockers);
+        this.x = position.x;
+        this.y = position.y;
 
         // Animation de marche
         if (dx !== 0 || dy !== 0) {
@@ -104,35 +107,51 @@ export class Player extends Entity {
     }
 
     /**
-     * Met à jour depuis les données réseau (joueur distant)
+     * Fait refroidir les items portés
      */
-    updateFromNetwork(data) {
-        if (!data) return;
+    updateInventory(deltaTime) {
+        this.inventory.forEach(item => item.update(deltaTime));
+    }
 
-        this.x = data.x;
-        this.y = data.y;
-        this.direction = data.direction;
-        this.bobAmount = data.bobAmount || 0;
+    /**
+     * Met à jour depuis les données réseau (joueur distant)
+     * Avec deux états reçus, se place entre les deux (alpha: 0 sur from, 1 sur to)
+     */
+    updateFromNetwork(from, to = from, alpha = 1) {
+        if (!from || !to) return;
 
-        // Reconstruit l'inventaire depuis les types
-        if (data.inventoryTypes) {
-            this.inventory = data.inventoryTypes.map(type => new Item(type));
-        }
+        this.x = from.x + (to.x - from.x) * alpha;
+        this.y = from.y + (to.y - from.y) * alpha;
+        this.direction = alpha < 0.5 ? from.direction : to.direction;
+        this.bobAmount = (from.bobAmount || 0) + ((to.bobAmount || 0) - (from.bobAmount || 0)) * alpha;
     }
 
     /**
-     * Retourne les données pour la synchronisation réseau
+     * Retourne les données pour la synchronisation réseau (position: l'inventaire est géré par l'host)
      */
     getNetworkData() {
         return {
             x: this.x,
             y: this.y,
             direction: this.direction,
-            bobAmount: this.bobAmount,
-            inventoryTypes: this.inventory.map(item => item.type)
+            bobAmount: this.bobAmount
         };
     }
 
+    /**
+     * Inventaire pour la synchronisation réseau (HOST)
+     */
+    getInventoryData() {
+        return this.inventory.map(item => item.getNetworkData());
+    }
+
+    /**
+     * Reconstruit l'inventaire envoyé par l'host (avec compositions des kebabs)
+     */
+    updateInventoryFromNetwork(inventoryData) {
+        this.inventory = inventoryData.map(itemData => Item.fromNetworkData(itemData));
+    }
+
     /**
      * Ajoute un item à l'inventaire
      */
@@ -274,6 +293,14 @@ export class Player extends Entity {
 
         // Dessine les items portés (empilés au-dessus de la tête)
         this.renderInventory(ctx, cx, cy);
+
+        if (this.name) {
+            ctx.fillStyle = this.colors.body;
+            ctx.font = '7px "Press Start 2P", monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.name, cx, this.y + this.height + 6);
+        }
     }
 
     /**
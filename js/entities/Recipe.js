@@ -0,0 +1,53 @@
+/**
+ * Recipe - Composition d'un kebab (pain + viande + garnitures au choix)
+ */
+export const SauceType = {
+    BLANCHE: 'blanche',
+    SAMOURAI: 'samourai',
+    HARISSA: 'harissa'
+};
+
+export const SauceConfig = {
+    [SauceType.BLANCHE]: { name: 'blanche', color: '#f5f5f5' },
+    [SauceType.SAMOURAI]: { name: 'samouraï', color: '#ff8f00' },
+    [SauceType.HARISSA]: { name: 'harissa', color: '#c62828' }
+};
+
+export class Recipe {
+    /**
+     * Crée une recette (le pain et la viande sont toujours présents)
+     */
+    static create(salad = true, onion = true, sauce = SauceType.BLANCHE) {
+        return { salad, onion, sauce };
+    }
+
+    /**
+     * Génère une recette aléatoire avec le générateur donné (voir core/Random.js)
+     */
+    static random(random) {
+        return Recipe.create(
+            random.chance(0.75),
+            random.chance(0.6),
+            random.pick(Object.values(SauceType))
+        );
+    }
+
+    /**
+     * Vérifie si deux recettes sont identiques
+     */
+    static matches(a, b) {
+        if (!a || !b) return false;
+        return a.salad === b.salad && a.onion === b.onion && a.sauce === b.sauce;
+    }
+
+    /**
+     * Retourne une description lisible (ex: "sans oignons, sauce samouraï")
+     */
+    static describe(recipe) {
+        const parts = [];
+        if (!recipe.salad) parts.push('sans salade');
+        if (!recipe.onion) parts.push('sans oignons');
+        parts.push(recipe.sauce ? `sauce ${SauceConfig[recipe.sauce].name}` : 'sans sauce');
+        return parts.join(', ');
+    }
+}
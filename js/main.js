@@ -2,6 +2,8 @@
  * Main - Point d'entrée du jeu
  */
 import { Game } from './core/Game.js';
+import { WebSocketTransport } from './network/WebSocketTransport.js';
+import { MessageEncoding } from './network/Protocol.js';
 
 // Attend que le DOM soit chargé
 document.addEventListener('DOMContentLoaded', () => {
@@ -15,6 +17,47 @@ document.addEventListener('DOMContentLoaded', () => {
     // Crée et démarre le jeu
     const game = new Game(canvas);
 
+    // Graine imposée (?seed=1234): même graine + mêmes entrées = même partie
+    const params = new URLSearchParams(window.location.search);
+    const seed = parseInt(params.get('seed'), 10);
+    if (!isNaN(seed)) {
+        game.fixedSeed = seed;
+    }
+
+    // Retard d'affichage des joueurs distants en réseau (?interp=150, en ms)
+    const interpolationDelay = parseInt(params.get('interp'), 10);
+    if (!isNaN(interpolationDelay) && interpolationDelay >= 0) {
+        game.interpolationDelay = interpolationDelay;
+    }
+
+    // Réseau local sans internet (?relay, ou ?relay=ws://192.168.1.10:8787): serveur relais au lieu de PeerJS
+    // Sans adresse, le relais est le serveur qui a servi la page (node server/relay-server.mjs)
+    if (params.has('relay')) {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const url = params.get('relay') || `${protocol}//${window.location.host}`;
+        game.networkManager.transport = new WebSocketTransport(url);
+    }
+
+    // Messages reçus de l'host en binaire (?binary) plutôt qu'en JSON: plus petits, illisibles dans les outils
+    if (params.has('binary')) {
+        game.networkManager.encoding = MessageEncoding.BINARY;
+    }
+
+    // Overlay réseau affiché dès le départ (?netstats, sinon F3)
+    if (params.has('netstats')) {
+        game.showNetworkStats = true;
+    }
+
+    // Mauvaise connexion simulée pour les tests (?lag=150&jitter=50&loss=0.05: ms, ms, taux de perte)
+    // Aussi depuis la console: game.networkManager.simulateConditions({ latency, jitter, dropRate })
+    if (params.has('lag') || params.has('jitter') || params.has('loss')) {
+        game.networkManager.simulateConditions({
+            latency: parseFloat(params.get('lag')) || 0,
+            jitter: parseFloat(params.get('jitter')) || 0,
+            dropRate: parseFloat(params.get('loss')) || 0
+        });
+    }
+
     // Expose le jeu pour le debug (optionnel)
     window.game = game;
 
@@ -0,0 +1,253 @@
+/**
+ * BinaryCodec - Encodage binaire compact des messages (valeurs JSON <-> Uint8Array)
+ * Entiers en longueur variable, petits entiers sur un octet, clés fréquentes remplacées par leur numéro
+ */
+
+// Types des valeurs (premier octet); 0x80 à 0xff: entier de 0 à 127
+const Tag = {
+    NULL: 0x00,
+    FALSE: 0x01,
+    TRUE: 0x02,
+    UINT: 0x03,
+    NEGATIVE_INT: 0x04,
+    FLOAT: 0x05,
+    STRING: 0x06,
+    ARRAY: 0x07,
+    OBJECT: 0x08,
+    SMALL_INT: 0x80
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export class BinaryCodec {
+    /**
+     * keys: clés fréquentes, codées par leur position (même liste des deux côtés)
+     */
+    constructor(keys = []) {
+        this.keys = keys;
+        this.keyIndices = new Map(keys.map((key, index) => [key, index]));
+    }
+
+    /**
+     * Encode une valeur JSON
+     */
+    encode(value) {
+        this.bytes = [];
+        this.writeValue(value);
+        const result = Uint8Array.from(this.bytes);
+        this.bytes = null;
+        return result;
+    }
+
+    /**
+     * Décode des octets (Uint8Array ou ArrayBuffer); lève une erreur s'ils sont invalides
+     */
+    decode(data) {
+        this.input = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.view = new DataView(this.input.buffer, this.input.byteOffset, this.input.byteLength);
+        this.offset = 0;
+
+        const value = this.readValue();
+        if (this.offset !== this.input.length) {
+            throw new Error('Octets en trop après le message');
+        }
+        return value;
+    }
+
+    /**
+     * Écrit une valeur précédée de son type
+     */
+    writeValue(value) {
+        if (value === null || value === undefined) {
+            this.bytes.push(Tag.NULL);
+        } else if (value === false) {
+            this.bytes.push(Tag.FALSE);
+        } else if (value === true) {
+            this.bytes.push(Tag.TRUE);
+        } else if (typeof value === 'number') {
+            this.writeNumber(value);
+        } else if (typeof value === 'string') {
+            this.bytes.push(Tag.STRING);
+            this.writeString(value);
+        } else if (Array.isArray(value)) {
+            this.bytes.push(Tag.ARRAY);
+            this.writeVarint(value.length);
+            value.forEach(item => this.writeValue(item));
+        } else {
+            // Comme en JSON, les champs undefined sont omis
+            const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+            this.bytes.push(Tag.OBJECT);
+            this.writeVarint(entries.length);
+            for (const [key, item] of entries) {
+                this.writeKey(key);
+                this.writeValue(item);
+            }
+        }
+    }
+
+    /**
+     * Écrit un nombre: entier (court si possible) ou flottant sur 8 octets
+     */
+    writeNumber(value) {
+        if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+            if (value >= 0 && value < 128) {
+                this.bytes.push(Tag.SMALL_INT | value);
+            } else {
+                this.bytes.push(value >= 0 ? Tag.UINT : Tag.NEGATIVE_INT);
+                this.writeVarint(Math.abs(value));
+            }
+            return;
+        }
+
+        // Comme en JSON, NaN et Infinity deviennent null
+        if (!Number.isFinite(value)) {
+            this.bytes.push(Tag.NULL);
+            return;
+        }
+
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value);
+        this.bytes.push(Tag.FLOAT);
+        for (let i = 0; i < 8; i++) this.bytes.push(view.getUint8(i));
+    }
+
+    /**
+     * Entier positif en longueur variable (7 bits par octet, jusqu'à 2^53)
+     */
+    writeVarint(value) {
+        let remaining = value;
+        while (remaining >= 0x80) {
+            this.bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        this.bytes.push(remaining);
+    }
+
+    /**
+     * Écrit une chaîne UTF-8 précédée de sa longueur
+     */
+    writeString(value) {
+        const encoded = textEncoder.encode(value);
+        this.writeVarint(encoded.length);
+        for (const byte of encoded) this.bytes.push(byte);
+    }
+
+    /**
+     * Clé d'objet: numéro pair pour une clé fréquente (index * 2), impair pour une clé écrite en entier
+     */
+    writeKey(key) {
+        const index = this.keyIndices.get(key);
+        if (index !== undefined) {
+            this.writeVarint(index * 2);
+            return;
+        }
+
+        const encoded = textEncoder.encode(key);
+        this.writeVarint(encoded.length * 2 + 1);
+        for (const byte of encoded) this.bytes.push(byte);
+    }
+
+    /**
+     * Lit une valeur et son type
+     */
+    readValue() {
+        const tag = this.readByte();
+        if (tag >= Tag.SMALL_INT) return tag & 0x7f;
+
+        switch (tag) {
+            case Tag.NULL:
+                return null;
+            case Tag.FALSE:
+                return false;
+            case Tag.TRUE:
+                return true;
+            case Tag.UINT:
+                return this.readVarint();
+            case Tag.NEGATIVE_INT:
+                return -this.readVarint();
+            case Tag.FLOAT: {
+                this.ensureAvailable(8);
+                const value = this.view.getFloat64(this.offset);
+                this.offset += 8;
+                return value;
+            }
+            case Tag.STRING:
+                return this.readText(this.readVarint());
+            case Tag.ARRAY: {
+                const length = this.readVarint();
+                this.ensureAvailable(length);
+                const items = [];
+                for (let i = 0; i < length; i++) items.push(this.readValue());
+                return items;
+            }
+            case Tag.OBJECT: {
+                const count = this.readVarint();
+                this.ensureAvailable(count);
+                const result = {};
+                for (let i = 0; i < count; i++) {
+                    const key = this.readKey();
+                    if (key === '__proto__') throw new Error('Clé interdite');
+                    result[key] = this.readValue();
+                }
+                return result;
+            }
+            default:
+                throw new Error(`Type inconnu: ${tag}`);
+        }
+    }
+
+    /**
+     * Lit un octet
+     */
+    readByte() {
+        this.ensureAvailable(1);
+        return this.input[this.offset++];
+    }
+
+    /**
+     * Lit un entier en longueur variable
+     */
+    readVarint() {
+        let value = 0;
+        let factor = 1;
+        for (let shift = 0; shift < 8; shift++) {
+            const byte = this.readByte();
+            value += (byte & 0x7f) * factor;
+            if (byte < 0x80) return value;
+            factor *= 0x80;
+        }
+        throw new Error('Entier trop long');
+    }
+
+    /**
+     * Lit une chaîne UTF-8 de length octets
+     */
+    readText(length) {
+        this.ensureAvailable(length);
+        const text = textDecoder.decode(this.input.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return text;
+    }
+
+    /**
+     * Lit une clé d'objet (fréquente ou écrite en entier)
+     */
+    readKey() {
+        const code = this.readVarint();
+        if (code % 2 === 1) return this.readText((code - 1) / 2);
+
+        const key = this.keys[code / 2];
+        if (key === undefined) throw new Error(`Clé inconnue: ${code / 2}`);
+        return key;
+    }
+
+    /**
+     * Lève une erreur s'il reste moins de count octets (message tronqué ou longueur invalide)
+     */
+    ensureAvailable(count) {
+        if (this.offset + count > this.input.length) {
+            throw new Error('Message tronqué');
+        }
+    }
+}
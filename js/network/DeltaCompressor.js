@@ -0,0 +1,143 @@
+/**
+ * DeltaCompressor - États du jeu envoyés en différences avec le précédent
+ * L'host n'envoie que ce qui a changé depuis l'état précédent (base), et un état complet (image clé)
+ * régulièrement ou quand un pair arrive; un client sans la bonne base attend la prochaine image clé
+ *
+ * Format d'une différence: une valeur simple remplace l'ancienne; un objet ne contient que les clés
+ * changées (et $removed: clés supprimées); { $items: { index: différence } } modifie un tableau de même
+ * longueur; { $set: valeur } remplace un objet ou un tableau entier
+ */
+
+// Une image clé tous les N états (15 états/seconde: toutes les 2 secondes)
+const KEYFRAME_INTERVAL = 30;
+
+export class DeltaCompressor {
+    constructor() {
+        // Envoi: dernier état envoyé et son numéro
+        this.sent = null;
+        this.sequence = 0;
+        this.sinceKeyframe = 0;
+
+        // Réception: dernier état reconstruit et son numéro
+        this.received = null;
+        this.receivedSequence = null;
+    }
+
+    /**
+     * Demande une image clé au prochain envoi (nouveau pair qui n'a pas la base)
+     */
+    requestKeyframe() {
+        this.sent = null;
+    }
+
+    /**
+     * Paquet à envoyer pour un état: { seq, base, state } (base null: état complet)
+     */
+    compress(state) {
+        const keyframe = this.sent === null || this.sinceKeyframe >= KEYFRAME_INTERVAL;
+        const packet = {
+            seq: ++this.sequence,
+            base: keyframe ? null : this.sequence - 1,
+            state: keyframe ? state : DeltaCompressor.diff(this.sent, state) || {}
+        };
+
+        this.sent = state;
+        this.sinceKeyframe = keyframe ? 0 : this.sinceKeyframe + 1;
+        return packet;
+    }
+
+    /**
+     * État complet reconstruit depuis un paquet reçu (null s'il manque sa base)
+     */
+    decompress(packet) {
+        let state;
+        if (packet.base === null || packet.base === undefined) {
+            state = packet.state;
+        } else if (this.received !== null && packet.base === this.receivedSequence) {
+            state = DeltaCompressor.patch(this.received, packet.state);
+        } else {
+            return null;
+        }
+
+        this.received = state;
+        this.receivedSequence = packet.seq;
+        return state;
+    }
+
+    /**
+     * Oublie les états envoyés et reçus (nouvelle session)
+     */
+    reset() {
+        this.sent = null;
+        this.sinceKeyframe = 0;
+        this.received = null;
+        this.receivedSequence = null;
+    }
+
+    /**
+     * Différence entre deux valeurs JSON (undefined si identiques)
+     */
+    static diff(previous, next) {
+        if (previous === next) return undefined;
+
+        const previousIsObject = DeltaCompressor.isPlainObject(previous);
+        const nextIsObject = DeltaCompressor.isPlainObject(next);
+
+        if (Array.isArray(previous) && Array.isArray(next) && previous.length === next.length) {
+            const items = {};
+            next.forEach((item, index) => {
+                const change = DeltaCompressor.diff(previous[index], item);
+                if (change !== undefined) items[index] = change;
+            });
+            return Object.keys(items).length > 0 ? { $items: items } : undefined;
+        }
+
+        if (previousIsObject && nextIsObject) {
+            const changes = {};
+            for (const key of Object.keys(next)) {
+                const change = DeltaCompressor.diff(previous[key], next[key]);
+                if (change !== undefined) changes[key] = change;
+            }
+            const removed = Object.keys(previous).filter(key => !(key in next));
+            if (removed.length > 0) changes.$removed = removed;
+            return Object.keys(changes).length > 0 ? changes : undefined;
+        }
+
+        // Objet ou tableau remplacé en entier; valeur simple telle quelle
+        if (nextIsObject || Array.isArray(next)) return { $set: next };
+        return next;
+    }
+
+    /**
+     * Applique une différence à une valeur (sans la modifier: les parties changées sont copiées)
+     */
+    static patch(previous, change) {
+        if (!DeltaCompressor.isPlainObject(change)) return change;
+        if ('$set' in change) return change.$set;
+
+        if ('$items' in change) {
+            const items = previous.slice();
+            for (const [index, itemChange] of Object.entries(change.$items)) {
+                items[index] = DeltaCompressor.patch(items[index], itemChange);
+            }
+            return items;
+        }
+
+        const result = { ...previous };
+        for (const [key, value] of Object.entries(change)) {
+            if (key === '$removed') {
+                value.forEach(removedKey => delete result[removedKey]);
+            } else {
+                result[key] = DeltaCompressor.patch(previous[key], value);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Objet simple (ni null ni tableau)
+     */
+    static isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Emitter - Abonnements à des événements nommés (pairs et connexions des transports réseau)
+ */
+export class Emitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    /**
+     * Abonne un callback à un événement
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Appelle les callbacks d'un événement
+     */
+    emit(event, ...args) {
+        (this.listeners[event] || []).slice().forEach(callback => callback(...args));
+    }
+}
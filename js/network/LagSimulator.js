@@ -0,0 +1,127 @@
+/**
+ * LagSimulator - Mauvaise connexion simulée (développement): retard, gigue et pertes
+ * sur les messages envoyés et reçus par NetworkManager, pour reproduire en local un réseau lent
+ * Les canaux du jeu sont fiables et ordonnés (WebRTC fiable, WebSocket): un message perdu est renvoyé,
+ * il arrive donc en retard et retient ceux qui le suivent, comme sur un vrai réseau
+ */
+import { Random } from '../core/Random.js';
+
+// Délai de renvoi d'un message perdu, en plus d'un aller-retour (ms)
+const RETRANSMIT_DELAY = 200;
+
+// Limites des réglages
+const MAX_LATENCY = 2000;
+const MAX_DROP_RATE = 0.5;
+
+export class LagSimulator {
+    constructor() {
+        // Retard fixe (ms), gigue (retard en plus, tiré entre 0 et jitter ms) et taux de perte (0 à 0.5)
+        this.latency = 0;
+        this.jitter = 0;
+        this.dropRate = 0;
+
+        // Messages retardés par canal (sens + pair): { at, callback } dans l'ordre d'envoi, et leur timer
+        this.queues = new Map();
+        this.timers = new Map();
+
+        this.random = new Random();
+    }
+
+    /**
+     * Règle la connexion simulée: { latency, jitter, dropRate } (valeurs absentes inchangées)
+     */
+    configure({ latency = this.latency, jitter = this.jitter, dropRate = this.dropRate } = {}) {
+        this.latency = clamp(latency, 0, MAX_LATENCY);
+        this.jitter = clamp(jitter, 0, MAX_LATENCY);
+        this.dropRate = clamp(dropRate, 0, MAX_DROP_RATE);
+    }
+
+    /**
+     * Vérifie si une mauvaise connexion est simulée
+     */
+    isActive() {
+        return this.latency > 0 || this.jitter > 0 || this.dropRate > 0;
+    }
+
+    /**
+     * Réglages actuels
+     */
+    getSettings() {
+        return { latency: this.latency, jitter: this.jitter, dropRate: this.dropRate };
+    }
+
+    /**
+     * Exécute callback après le retard simulé, dans l'ordre des messages du même canal
+     * (tout de suite si rien n'est simulé ni en attente)
+     */
+    schedule(channel, callback) {
+        const queue = this.queues.get(channel);
+        if (!this.isActive() && !queue) {
+            callback();
+            return;
+        }
+
+        let delay = this.latency + this.random.range(0, this.jitter);
+        if (this.random.chance(this.dropRate)) {
+            delay += RETRANSMIT_DELAY + this.latency * 2;
+        }
+
+        // Jamais avant le message précédent du canal (ordre garanti)
+        const now = performance.now();
+        const previous = queue ? queue[queue.length - 1].at : now;
+        const item = { at: Math.max(now + delay, previous), callback };
+
+        if (queue) {
+            queue.push(item);
+        } else {
+            this.queues.set(channel, [item]);
+            this.arm(channel);
+        }
+    }
+
+    /**
+     * Programme la livraison du prochain message d'un canal
+     */
+    arm(channel) {
+        const queue = this.queues.get(channel);
+        const wait = Math.max(0, queue[0].at - performance.now());
+        this.timers.set(channel, setTimeout(() => this.flush(channel), wait));
+    }
+
+    /**
+     * Livre les messages arrivés à échéance
+     */
+    flush(channel) {
+        const queue = this.queues.get(channel);
+        if (!queue) return;
+
+        this.timers.delete(channel);
+        while (queue.length > 0 && queue[0].at <= performance.now()) {
+            queue.shift().callback();
+        }
+
+        if (queue.length > 0) {
+            this.arm(channel);
+        } else {
+            this.queues.delete(channel);
+        }
+    }
+
+    /**
+     * Oublie les messages en attente (déconnexion), sans changer les réglages
+     */
+    reset() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+        this.queues.clear();
+    }
+}
+
+/**
+ * Nombre borné (0 si invalide)
+ */
+function clamp(value, min, max) {
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : min;
+}
@@ -0,0 +1,106 @@
+/**
+ * LoopbackTransport - Transport en mémoire: tous les pairs créés par la même instance se voient
+ * Plusieurs parties (host et clients) dans un seul onglet ou un seul process Node, pour les tests
+ * Les données sont copiées (sérialisées en JSON, ou octets binaires) et livrées de façon asynchrone,
+ * dans l'ordre, comme sur le réseau
+ */
+import { TransportPeer } from './TransportPeer.js';
+
+export class LoopbackTransport {
+    constructor() {
+        // Pairs enregistrés: id -> TransportPeer
+        this.peers = new Map();
+        this.nextPeerId = 0;
+    }
+
+    /**
+     * Crée un pair (id voulu, ou null pour en recevoir un)
+     */
+    createPeer(id = null) {
+        return new TransportPeer(this, id);
+    }
+
+    /**
+     * Coupe toutes les connexions d'un pair sans le détruire (simule une coupure réseau)
+     */
+    drop(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) return;
+
+        for (const connection of [...peer.connections.values()]) {
+            this.close(peer, connection.peer, connection.connectionId);
+            peer.handleRemoteClose(connection.connectionId);
+        }
+    }
+
+    /**
+     * Enregistre un pair (id voulu ou attribué), puis lui signale 'open' ou l'erreur
+     */
+    register(peer, id) {
+        this.deliver(() => {
+            const current = id ? this.peers.get(id) : null;
+            if (current && current !== peer) {
+                peer.handleError('unavailable-id', `ID "${id}" is taken`);
+                return;
+            }
+
+            const peerId = id || `loopback-${++this.nextPeerId}`;
+            this.peers.set(peerId, peer);
+            peer.handleOpen(peerId);
+        });
+    }
+
+    /**
+     * Libère l'id d'un pair détruit
+     */
+    unregister(peer) {
+        if (this.peers.get(peer.id) === peer) {
+            this.peers.delete(peer.id);
+        }
+    }
+
+    /**
+     * Ouvre une connexion d'un pair vers un autre
+     */
+    connect(peer, remoteId, connectionId, metadata) {
+        this.deliver(() => {
+            const remote = this.peers.get(remoteId);
+            if (!remote) {
+                peer.handleError('peer-unavailable', `Could not connect to peer ${remoteId}`);
+                return;
+            }
+
+            remote.handleIncoming(peer.id, connectionId, metadata);
+            peer.handleAccepted(connectionId);
+        });
+    }
+
+    /**
+     * Achemine des données vers le pair distant
+     */
+    send(peer, remoteId, connectionId, data) {
+        const binary = data instanceof Uint8Array;
+        const copy = binary ? data.slice() : JSON.stringify(data);
+        this.deliver(() => {
+            const remote = this.peers.get(remoteId);
+            if (remote) remote.handleData(connectionId, binary ? copy : JSON.parse(copy));
+        });
+    }
+
+    /**
+     * Prévient le pair distant de la fermeture d'une connexion
+     */
+    close(peer, remoteId, connectionId) {
+        this.deliver(() => {
+            const remote = this.peers.get(remoteId);
+            if (remote) remote.handleRemoteClose(connectionId);
+        });
+    }
+
+    /**
+     * Livre un message après le code en cours (microtâche: l'ordre d'envoi est conservé)
+     */
+    deliver(callback) {
+        queueMicrotask(callback);
+    }
+}
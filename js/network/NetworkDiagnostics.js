@@ -0,0 +1,119 @@
+/**
+ * NetworkDiagnostics - Mesures de la connexion, pour l'overlay réseau (F3)
+ * Aller-retour (RTT) et gigue par pair d'après les ping/pong, messages et octets par seconde,
+ * âge du dernier état du jeu reçu de l'host
+ */
+
+// Intervalle des pings et de la mise à jour des débits (ms)
+export const PING_INTERVAL = 1000;
+
+// Lissage du RTT (comme TCP) et de la gigue (comme RTP)
+const RTT_SMOOTHING = 1 / 8;
+const JITTER_SMOOTHING = 1 / 16;
+
+export class NetworkDiagnostics {
+    /**
+     * clock: horloge locale en millisecondes
+     */
+    constructor(clock = () => performance.now()) {
+        this.clock = clock;
+        this.reset();
+    }
+
+    /**
+     * Oublie toutes les mesures (nouvelle session)
+     */
+    reset() {
+        // id du pair -> { rtt, jitter, lastRtt } (ms)
+        this.links = new Map();
+
+        // Messages et octets depuis la dernière mise à jour, et débits par seconde calculés
+        this.counts = { packetsIn: 0, packetsOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.rates = { packetsIn: 0, packetsOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.countsSince = this.clock();
+
+        // Réception du dernier état du jeu (CLIENT)
+        this.lastSnapshotAt = null;
+    }
+
+    /**
+     * Enregistre un aller-retour mesuré avec un pair
+     */
+    recordRtt(peerId, rtt) {
+        const link = this.links.get(peerId);
+        if (!link) {
+            this.links.set(peerId, { rtt, jitter: 0, lastRtt: rtt });
+            return;
+        }
+
+        link.rtt += (rtt - link.rtt) * RTT_SMOOTHING;
+        link.jitter += (Math.abs(rtt - link.lastRtt) - link.jitter) * JITTER_SMOOTHING;
+        link.lastRtt = rtt;
+    }
+
+    /**
+     * Oublie les mesures d'un pair parti
+     */
+    removeLink(peerId) {
+        this.links.delete(peerId);
+    }
+
+    /**
+     * Mesures d'un pair ({ rtt, jitter }, null avant le premier pong)
+     */
+    getLink(peerId) {
+        const link = this.links.get(peerId);
+        return link ? { rtt: link.rtt, jitter: link.jitter } : null;
+    }
+
+    /**
+     * Compte un message envoyé ou reçu (direction: 'sent' ou 'received')
+     */
+    recordTraffic(direction, bytes) {
+        if (direction === 'sent') {
+            this.counts.packetsOut++;
+            this.counts.bytesOut += bytes;
+        } else {
+            this.counts.packetsIn++;
+            this.counts.bytesIn += bytes;
+        }
+    }
+
+    /**
+     * Calcule les débits depuis la dernière mise à jour et repart de zéro
+     */
+    updateRates() {
+        const now = this.clock();
+        const seconds = (now - this.countsSince) / 1000;
+        if (seconds <= 0) return;
+
+        for (const key of Object.keys(this.counts)) {
+            this.rates[key] = this.counts[key] / seconds;
+            this.counts[key] = 0;
+        }
+        this.countsSince = now;
+    }
+
+    /**
+     * Débits par seconde: { packetsIn, packetsOut, bytesIn, bytesOut }
+     */
+    getRates() {
+        return { ...this.rates };
+    }
+
+    /**
+     * Note la réception d'un état du jeu (CLIENT)
+     */
+    recordSnapshot() {
+        this.lastSnapshotAt = this.clock();
+    }
+
+    /**
+     * Âge estimé du dernier état reçu (ms): temps depuis sa réception plus l'aller simple (rtt / 2)
+     * null si aucun état reçu
+     */
+    getSnapshotAge(rtt = 0) {
+        if (this.lastSnapshotAt === null) return null;
+        return this.clock() - this.lastSnapshotAt + rtt / 2;
+    }
+}
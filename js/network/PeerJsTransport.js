@@ -0,0 +1,33 @@
+/**
+ * PeerJsTransport - Transport par défaut: WebRTC, avec le broker PeerJS public et les serveurs STUN de Google
+ * PeerJS est chargé par index.html; ses pairs ont déjà l'interface attendue par NetworkManager
+ */
+
+// Serveurs ICE explicites pour aider avec le NAT
+const DEFAULT_ICE_SERVERS = [
+    { urls: 'stun:stun.l.google.com:19302' },
+    { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+export class PeerJsTransport {
+    /**
+     * options: options des pairs PeerJS (broker, serveurs ICE...)
+     */
+    constructor(options = {}) {
+        this.options = {
+            debug: 2,
+            config: { iceServers: DEFAULT_ICE_SERVERS },
+            ...options
+        };
+    }
+
+    /**
+     * Crée un pair PeerJS (id voulu, ou null pour en recevoir un du broker)
+     */
+    createPeer(id = null) {
+        if (typeof Peer === 'undefined') {
+            throw new Error('PeerJS n\'est pas chargé (pas d\'accès à internet ?)');
+        }
+        return new Peer(id || undefined, this.options);
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * Protocol - Version et schéma des messages échangés par NetworkManager ({ type, payload })
+ * Un message reçu d'un type inconnu, dont le contenu ne suit pas le schéma, ou que son expéditeur
+ * n'a pas le droit d'envoyer (un client qui se fait passer pour l'host), est rejeté
+ * Changer le schéma, le dictionnaire binaire ou le format des deltas impose de changer la version:
+ * l'host refuse les pairs d'une autre version
+ */
+
+export const PROTOCOL_VERSION = 4;
+
+// Encodage des messages sur une connexion (choisi par le client, annoncé dans ses métadonnées)
+export const MessageEncoding = {
+    JSON: 'json',
+    BINARY: 'binary'
+};
+
+// Taille maximum d'un message reçu (octets)
+export const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// Plus grand index de joueur (4 joueurs par session)
+const MAX_PLAYER_INDEX = 4;
+
+// Types des champs: 'number', 'string', 'boolean', 'object', 'array', 'objects' (liste d'objets),
+// 'lists' (objet de listes d'objets), 'index' (joueur 1 à 4), 'indices' (liste de joueurs),
+// ou un schéma imbriqué; suffixe '?': champ facultatif (absent ou null)
+const POSITION = { x: 'number', y: 'number' };
+
+// État du jeu envoyé par l'host (gameState une fois reconstruit, resume)
+const GAME_STATE = {
+    score: 'number',
+    timeRemaining: 'number',
+    customersLost: 'number',
+    customersServed: 'number',
+    customers: 'objects',
+    inventories: 'lists',
+    stations: 'array'
+};
+
+export const MessageSchemas = {
+    welcome: { protocol: 'number?', playerIndex: 'index?', players: 'indices', token: 'string?', spectator: 'boolean?' },
+    refused: { reason: 'string' },
+    players: { players: 'indices' },
+    lobby: { players: 'object', messages: 'array' },
+    lobbyUpdate: { name: 'string?', color: 'number?', ready: 'boolean?', vote: 'object?' },
+    chat: { text: 'string' },
+    gameStart: { difficulty: 'string', map: 'string?', players: 'indices' },
+    gameState: { seq: 'number', base: 'number?', time: 'number', state: 'object' },
+    playerState: { playerIndex: 'index?', x: 'number', y: 'number', direction: 'string', bobAmount: 'number', time: 'number' },
+    intent: { id: 'number', type: 'string', position: POSITION },
+    intentAck: { id: 'number', accepted: 'boolean', reason: 'string?' },
+    feedback: { message: 'string', color: 'string' },
+    orderCompleted: { orderSize: 'number', patienceRatio: 'number', tipMultiplier: 'number' },
+    playerLeft: { playerIndex: 'index' },
+    playerDisconnected: { playerIndex: 'index', timeout: 'number' },
+    playerReconnected: { playerIndex: 'index' },
+    resume: {
+        difficulty: 'string', map: 'string?', players: 'indices', state: { ...GAME_STATE, positions: 'object' }, paused: 'boolean?'
+    },
+    pause: { paused: 'boolean', playerIndex: 'index?' },
+    ping: { time: 'number' },
+    pong: { time: 'number' }
+};
+
+// Sens d'un message: du client vers l'host, de l'host vers les clients, ou les deux
+export const MessageDirection = {
+    TO_HOST: 'toHost',
+    TO_CLIENT: 'toClient',
+    BOTH: 'both'
+};
+
+// Qui peut envoyer chaque type de message (playerState: l'host relaie les positions des autres joueurs)
+export const MessageDirections = {
+    welcome: MessageDirection.TO_CLIENT,
+    refused: MessageDirection.TO_CLIENT,
+    players: MessageDirection.TO_CLIENT,
+    lobby: MessageDirection.TO_CLIENT,
+    lobbyUpdate: MessageDirection.TO_HOST,
+    chat: MessageDirection.TO_HOST,
+    gameStart: MessageDirection.TO_CLIENT,
+    gameState: MessageDirection.TO_CLIENT,
+    playerState: MessageDirection.BOTH,
+    intent: MessageDirection.TO_HOST,
+    intentAck: MessageDirection.TO_CLIENT,
+    feedback: MessageDirection.TO_CLIENT,
+    orderCompleted: MessageDirection.TO_CLIENT,
+    playerLeft: MessageDirection.TO_CLIENT,
+    playerDisconnected: MessageDirection.TO_CLIENT,
+    playerReconnected: MessageDirection.TO_CLIENT,
+    resume: MessageDirection.TO_CLIENT,
+    pause: MessageDirection.BOTH,
+    ping: MessageDirection.BOTH,
+    pong: MessageDirection.BOTH
+};
+
+// Clés fréquentes, codées sur un octet en binaire (l'ordre fait partie du protocole)
+export const BINARY_KEYS = [
+    'type', 'payload', 'playerIndex', 'players', 'time', 'seq', 'base', 'state',
+    'x', 'y', 'direction', 'bobAmount', 'id', 'position', 'accepted', 'reason',
+    'score', 'timeRemaining', 'customersLost', 'customersServed', 'customers', 'inventories', 'stations', 'positions',
+    'positionIndex', 'archetype', 'order', 'originalOrder', 'patience', 'maxPatience', 'satisfied', 'angry',
+    'kebabs', 'drink', 'recipe', 'sauce', 'cookState', 'freshness', 'cookTime', 'ingredients',
+    'name', 'color', 'ready', 'vote', 'messages', 'text', 'difficulty', 'map',
+    '$set', '$items', '$removed', 'paused'
+];
+
+/**
+ * Vérifie un message reçu: null s'il est valide, sinon la raison du rejet
+ * direction: sens de réception (TO_HOST si l'host le reçoit d'un client, TO_CLIENT sinon)
+ */
+export function validateMessage(message, direction) {
+    if (!isObject(message) || typeof message.type !== 'string') {
+        return 'message sans type';
+    }
+
+    // Propres clés seulement: 'constructor' ou 'toString' ne sont pas des types
+    if (!Object.hasOwn(MessageSchemas, message.type) || !Object.hasOwn(MessageDirections, message.type)) {
+        return `type inconnu: ${message.type}`;
+    }
+
+    const schema = MessageSchemas[message.type];
+    const allowed = MessageDirections[message.type];
+    if (allowed !== MessageDirection.BOTH && allowed !== direction) {
+        return `${message.type}: ${direction === MessageDirection.TO_HOST ? 'réservé à l\'host' : 'réservé aux clients'}`;
+    }
+
+    const error = validateFields(message.payload, schema);
+    return error ? `${message.type}: ${error}` : null;
+}
+
+/**
+ * Vérifie un état du jeu reconstruit à partir des différences reçues: null s'il est valide, sinon la raison
+ */
+export function validateGameState(state) {
+    const error = validateFields(state, GAME_STATE);
+    return error ? `gameState: ${error}` : null;
+}
+
+/**
+ * Vérifie les champs d'un objet selon un schéma
+ */
+function validateFields(value, schema) {
+    if (!isObject(value)) return 'contenu manquant';
+
+    for (const [field, type] of Object.entries(schema)) {
+        if (!matchesType(value[field], type)) {
+            return `champ ${field} invalide`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Vérifie une valeur selon son type de schéma
+ */
+function matchesType(value, type) {
+    if (typeof type === 'object') {
+        return validateFields(value, type) === null;
+    }
+
+    if (type.endsWith('?')) {
+        return value === undefined || value === null || matchesType(value, type.slice(0, -1));
+    }
+
+    switch (type) {
+        case 'number':
+            return Number.isFinite(value);
+        case 'string':
+        case 'boolean':
+            return typeof value === type;
+        case 'object':
+            return isObject(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'objects':
+            return Array.isArray(value) && value.every(isObject);
+        case 'lists':
+            return isObject(value) && Object.values(value).every(list => matchesType(list, 'objects'));
+        case 'index':
+            return Number.isInteger(value) && value >= 1 && value <= MAX_PLAYER_INDEX;
+        case 'indices':
+            return Array.isArray(value) && value.every(index => matchesType(index, 'index'));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Objet simple (ni null ni tableau)
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,64 @@
+/**
+ * TransportConnection - Connexion entre deux pairs d'un transport (même interface qu'une connexion PeerJS)
+ * Événements: 'open', 'data' (données déjà désérialisées), 'close'
+ */
+import { Emitter } from './Emitter.js';
+
+export class TransportConnection extends Emitter {
+    /**
+     * localPeer: pair qui possède la connexion
+     * remoteId: id du pair distant (exposé comme `peer`, comme avec PeerJS)
+     */
+    constructor(localPeer, remoteId, connectionId, metadata = null) {
+        super();
+        this.localPeer = localPeer;
+        this.peer = remoteId;
+        this.connectionId = connectionId;
+        this.metadata = metadata;
+        this.open = false;
+    }
+
+    /**
+     * Envoie des données au pair distant
+     */
+    send(data) {
+        if (this.open) {
+            this.localPeer.sendData(this, data);
+        }
+    }
+
+    /**
+     * Ferme la connexion (des deux côtés)
+     */
+    close() {
+        if (this.open) {
+            this.localPeer.closeConnection(this);
+        }
+    }
+
+    /**
+     * La connexion est établie
+     */
+    handleOpen() {
+        this.open = true;
+        this.emit('open');
+    }
+
+    /**
+     * Données reçues du pair distant
+     */
+    handleData(data) {
+        if (this.open) {
+            this.emit('data', data);
+        }
+    }
+
+    /**
+     * La connexion est fermée (par un des deux pairs ou par le transport)
+     */
+    handleClose() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * TransportPeer - Pair d'un transport réseau, avec l'interface des pairs PeerJS utilisée par NetworkManager:
+ * événements 'open' (id), 'connection' (connexion entrante), 'error' (err.type: 'unavailable-id',
+ * 'peer-unavailable', 'network'), connect(id, { metadata }), destroy(), disconnected et reconnect()
+ *
+ * Le pair confie l'acheminement à un lien (LoopbackTransport, WebSocketTransport), qui expose
+ * register, unregister, connect, send et close, et lui rapporte ce qui arrive via les méthodes handle*
+ */
+import { Emitter } from './Emitter.js';
+import { TransportConnection } from './TransportConnection.js';
+
+export class TransportPeer extends Emitter {
+    /**
+     * id: identifiant voulu (code de session de l'host), null pour en recevoir un du transport
+     */
+    constructor(link, id = null) {
+        super();
+        this.link = link;
+        this.id = id;
+
+        // Connexions ouvertes ou en cours: id de connexion -> TransportConnection
+        this.connections = new Map();
+        this.connectionSequence = 0;
+
+        // Lien perdu (serveur relais injoignable): reconnect() réenregistre le même id
+        this.disconnected = false;
+        this.destroyed = false;
+
+        this.link.register(this, id);
+    }
+
+    /**
+     * Ouvre une connexion vers un autre pair ('open' une fois acceptée)
+     */
+    connect(remoteId, options = {}) {
+        const connectionId = `${this.id}:${++this.connectionSequence}`;
+        const connection = new TransportConnection(this, remoteId, connectionId, options.metadata || null);
+        this.connections.set(connectionId, connection);
+        this.link.connect(this, remoteId, connectionId, connection.metadata);
+        return connection;
+    }
+
+    /**
+     * Envoie des données sur une connexion (appelé par TransportConnection)
+     */
+    sendData(connection, data) {
+        this.link.send(this, connection.peer, connection.connectionId, data);
+    }
+
+    /**
+     * Ferme une connexion et prévient le pair distant (appelé par TransportConnection)
+     */
+    closeConnection(connection) {
+        this.connections.delete(connection.connectionId);
+        this.link.close(this, connection.peer, connection.connectionId);
+        connection.handleClose();
+    }
+
+    /**
+     * Ferme toutes les connexions et libère l'id
+     */
+    destroy() {
+        if (this.destroyed) return;
+
+        [...this.connections.values()].forEach(connection => connection.close());
+        this.link.unregister(this);
+        this.destroyed = true;
+    }
+
+    /**
+     * Réenregistre le pair auprès du transport après une perte du lien
+     */
+    reconnect() {
+        if (this.destroyed || !this.disconnected) return;
+
+        this.disconnected = false;
+        this.link.register(this, this.id);
+    }
+
+    /**
+     * Pair enregistré sous cet id
+     */
+    handleOpen(id) {
+        this.id = id;
+        this.emit('open', id);
+    }
+
+    /**
+     * Erreur du transport (type repris de PeerJS)
+     */
+    handleError(type, message) {
+        const err = new Error(message);
+        err.type = type;
+        this.emit('error', err);
+    }
+
+    /**
+     * Connexion entrante d'un autre pair
+     */
+    handleIncoming(remoteId, connectionId, metadata) {
+        const connection = new TransportConnection(this, remoteId, connectionId, metadata);
+        this.connections.set(connectionId, connection);
+        this.emit('connection', connection);
+        connection.handleOpen();
+    }
+
+    /**
+     * Connexion sortante acceptée
+     */
+    handleAccepted(connectionId) {
+        const connection = this.connections.get(connectionId);
+        if (connection) connection.handleOpen();
+    }
+
+    /**
+     * Données reçues sur une connexion
+     */
+    handleData(connectionId, data) {
+        const connection = this.connections.get(connectionId);
+        if (connection) connection.handleData(data);
+    }
+
+    /**
+     * Connexion fermée par le pair distant (ou perdue)
+     */
+    handleRemoteClose(connectionId) {
+        const connection = this.connections.get(connectionId);
+        if (!connection) return;
+
+        this.connections.delete(connectionId);
+        connection.handleClose();
+    }
+
+    /**
+     * Lien perdu: toutes les connexions sont fermées
+     */
+    handleDisconnected() {
+        if (this.destroyed) return;
+
+        this.disconnected = true;
+        const connections = [...this.connections.values()];
+        this.connections.clear();
+        connections.forEach(connection => connection.handleClose());
+        this.emit('disconnected');
+    }
+}
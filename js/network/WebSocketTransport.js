@@ -0,0 +1,139 @@
+/**
+ * WebSocketTransport - Transport via le serveur relais (server/relay-server.mjs), pour jouer en réseau local
+ * sans internet: chaque pair ouvre un WebSocket, le serveur attribue les ids et relaie les messages
+ * Les données binaires passent en base64 ({ $binary }), le serveur relayant du JSON sans le lire
+ */
+import { TransportPeer } from './TransportPeer.js';
+
+export class WebSocketTransport {
+    /**
+     * url: adresse du serveur relais (ex: ws://192.168.1.10:8787)
+     */
+    constructor(url) {
+        this.url = url;
+
+        // WebSocket de chaque pair
+        this.sockets = new Map();
+    }
+
+    /**
+     * Crée un pair (id voulu, ou null pour en recevoir un du serveur)
+     */
+    createPeer(id = null) {
+        return new TransportPeer(this, id);
+    }
+
+    /**
+     * Enregistre un pair (id voulu ou attribué), puis lui signale 'open' ou l'erreur
+     */
+    register(peer, id) {
+        const socket = new WebSocket(this.url);
+        this.sockets.set(peer, socket);
+
+        socket.addEventListener('open', () => {
+            socket.send(JSON.stringify({ type: 'register', id }));
+        });
+        socket.addEventListener('message', (event) => {
+            this.handleMessage(peer, JSON.parse(event.data));
+        });
+        socket.addEventListener('error', () => {
+            peer.handleError('network', `Serveur relais injoignable (${this.url})`);
+        });
+        socket.addEventListener('close', () => {
+            // Fermeture voulue (unregister): rien à signaler
+            if (this.sockets.get(peer) !== socket) return;
+            this.sockets.delete(peer);
+            peer.handleDisconnected();
+        });
+    }
+
+    /**
+     * Libère l'id d'un pair détruit
+     */
+    unregister(peer) {
+        const socket = this.sockets.get(peer);
+        this.sockets.delete(peer);
+        if (socket) socket.close();
+    }
+
+    /**
+     * Ouvre une connexion d'un pair vers un autre
+     */
+    connect(peer, remoteId, connectionId, metadata) {
+        this.post(peer, { type: 'connect', to: remoteId, connectionId, metadata });
+    }
+
+    /**
+     * Achemine des données vers le pair distant
+     */
+    send(peer, remoteId, connectionId, data) {
+        const wrapped = data instanceof Uint8Array ? { $binary: toBase64(data) } : data;
+        this.post(peer, { type: 'data', to: remoteId, connectionId, data: wrapped });
+    }
+
+    /**
+     * Prévient le pair distant de la fermeture d'une connexion
+     */
+    close(peer, remoteId, connectionId) {
+        this.post(peer, { type: 'close', to: remoteId, connectionId });
+    }
+
+    /**
+     * Envoie un message au serveur sur le WebSocket du pair
+     */
+    post(peer, message) {
+        const socket = this.sockets.get(peer);
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Message du serveur relais pour un pair
+     */
+    handleMessage(peer, message) {
+        switch (message.type) {
+            case 'open':
+                peer.handleOpen(message.id);
+                break;
+            case 'error':
+                peer.handleError(message.errorType, message.message);
+                break;
+            case 'connection':
+                peer.handleIncoming(message.from, message.connectionId, message.metadata);
+                break;
+            case 'accepted':
+                peer.handleAccepted(message.connectionId);
+                break;
+            case 'data': {
+                const data = message.data;
+                const binary = data && typeof data.$binary === 'string';
+                peer.handleData(message.connectionId, binary ? fromBase64(data.$binary) : data);
+                break;
+            }
+            case 'close':
+                peer.handleRemoteClose(message.connectionId);
+                break;
+        }
+    }
+}
+
+/**
+ * Octets -> base64
+ */
+function toBase64(bytes) {
+    let text = '';
+    for (const byte of bytes) text += String.fromCharCode(byte);
+    return btoa(text);
+}
+
+/**
+ * Base64 -> octets (base64 invalide: octets vides, rejetés à la lecture du message)
+ */
+function fromBase64(text) {
+    try {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    } catch (e) {
+        return new Uint8Array(0);
+    }
+}
@@ -0,0 +1,223 @@
+/**
+ * BindingsManager - Profils de contrôles clavier (AZERTY, QWERTY, flèches ou perso)
+ * Le profil choisi et les touches réassignées sont sauvegardés dans localStorage
+ */
+import { Action, KeyBindings } from '../core/InputManager.js';
+
+export const ControlProfile = {
+    AZERTY: 'azerty',
+    QWERTY: 'qwerty',
+    ARROWS: 'arrows',
+    CUSTOM: 'custom'
+};
+
+export const ControlProfileConfig = {
+    [ControlProfile.AZERTY]: {
+        name: 'AZERTY',
+        bindings: KeyBindings
+    },
+    [ControlProfile.QWERTY]: {
+        name: 'QWERTY',
+        bindings: {
+            [Action.MOVE_UP]: ['key:w'],
+            [Action.MOVE_DOWN]: ['key:s'],
+            [Action.MOVE_LEFT]: ['key:a'],
+            [Action.MOVE_RIGHT]: ['key:d'],
+            [Action.INTERACT]: ['key:e'],
+            [Action.DROP]: ['key:f'],
+            [Action.PAUSE]: ['key:escape']
+        }
+    },
+    [ControlProfile.ARROWS]: {
+        name: 'Flèches',
+        bindings: {
+            [Action.MOVE_UP]: ['code:ArrowUp'],
+            [Action.MOVE_DOWN]: ['code:ArrowDown'],
+            [Action.MOVE_LEFT]: ['code:ArrowLeft'],
+            [Action.MOVE_RIGHT]: ['code:ArrowRight'],
+            [Action.INTERACT]: ['code:Space', 'code:Enter'],
+            [Action.DROP]: ['code:ShiftLeft', 'code:ShiftRight'],
+            [Action.PAUSE]: ['key:escape']
+        }
+    },
+    [ControlProfile.CUSTOM]: {
+        name: 'Perso',
+        bindings: null // Sauvegardées (copie du profil modifié)
+    }
+};
+
+// Claviers du co-op local: deux joueurs sur le même clavier (touches physiques, toute disposition)
+export const CoopKeyboards = [
+    {
+        name: 'ZQSD + E/F',
+        bindings: {
+            [Action.MOVE_UP]: ['code:KeyW'],
+            [Action.MOVE_DOWN]: ['code:KeyS'],
+            [Action.MOVE_LEFT]: ['code:KeyA'],
+            [Action.MOVE_RIGHT]: ['code:KeyD'],
+            [Action.INTERACT]: ['code:KeyE'],
+            [Action.DROP]: ['code:KeyF']
+        }
+    },
+    {
+        name: 'Flèches + Entrée/Maj',
+        bindings: {
+            [Action.MOVE_UP]: ['code:ArrowUp'],
+            [Action.MOVE_DOWN]: ['code:ArrowDown'],
+            [Action.MOVE_LEFT]: ['code:ArrowLeft'],
+            [Action.MOVE_RIGHT]: ['code:ArrowRight'],
+            [Action.INTERACT]: ['code:Enter', 'code:NumpadEnter'],
+            [Action.DROP]: ['code:ShiftRight', 'code:Numpad0']
+        }
+    }
+];
+
+// Actions réassignables (Échap reste toujours le retour / la pause)
+export const RebindableActions = [
+    Action.MOVE_UP,
+    Action.MOVE_DOWN,
+    Action.MOVE_LEFT,
+    Action.MOVE_RIGHT,
+    Action.INTERACT,
+    Action.DROP
+];
+
+export const ActionNames = {
+    [Action.MOVE_UP]: 'Haut',
+    [Action.MOVE_DOWN]: 'Bas',
+    [Action.MOVE_LEFT]: 'Gauche',
+    [Action.MOVE_RIGHT]: 'Droite',
+    [Action.INTERACT]: 'Interagir',
+    [Action.DROP]: 'Jeter',
+    [Action.PAUSE]: 'Pause'
+};
+
+// Noms affichés des touches spéciales
+const KEY_LABELS = {
+    escape: 'ÉCHAP',
+    ' ': 'ESPACE',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'ESPACE',
+    Enter: 'ENTRÉE',
+    ShiftLeft: 'MAJ',
+    ShiftRight: 'MAJ D',
+    ControlLeft: 'CTRL',
+    ControlRight: 'CTRL D',
+    Tab: 'TAB'
+};
+
+export class BindingsManager {
+    constructor() {
+        this.storageKey = 'qualiteCuiteControls';
+        this.profiles = Object.values(ControlProfile);
+    }
+
+    /**
+     * Récupère la sauvegarde depuis localStorage
+     */
+    getData() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('Erreur lecture contrôles:', e);
+        }
+
+        return {
+            profile: ControlProfile.AZERTY,
+            custom: null,
+            // Nom affiché des touches physiques réassignées ('code:KeyW' -> 'Z' en AZERTY)
+            labels: {}
+        };
+    }
+
+    /**
+     * Sauvegarde le profil et les touches perso
+     */
+    saveData(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (e) {
+            console.error('Erreur sauvegarde contrôles:', e);
+        }
+    }
+
+    /**
+     * Retourne le profil actif
+     */
+    getActiveProfile() {
+        return this.getData().profile;
+    }
+
+    /**
+     * Change de profil
+     */
+    setActiveProfile(profile) {
+        const data = this.getData();
+        data.profile = profile;
+        this.saveData(data);
+    }
+
+    /**
+     * Retourne les touches d'un profil (le profil actif par défaut)
+     */
+    getBindings(profile = this.getActiveProfile()) {
+        if (profile === ControlProfile.CUSTOM) {
+            return this.getData().custom || KeyBindings;
+        }
+        return (ControlProfileConfig[profile] || ControlProfileConfig[ControlProfile.AZERTY]).bindings;
+    }
+
+    /**
+     * Assigne une touche physique (e.code) à une action, avec le caractère tapé (e.key) pour l'affichage
+     * Modifier un profil prédéfini le copie dans le profil perso; une touche déjà prise est échangée
+     */
+    rebind(action, key, code) {
+        const data = this.getData();
+        const bindings = JSON.parse(JSON.stringify(this.getBindings(data.profile)));
+        const binding = `code:${code}`;
+
+        const previous = bindings[action];
+        for (const other of Object.keys(bindings)) {
+            const taken = bindings[other].includes(binding) || bindings[other].includes(`key:${key}`);
+            if (other !== action && taken) {
+                bindings[other] = previous;
+            }
+        }
+        bindings[action] = [binding];
+
+        data.profile = ControlProfile.CUSTOM;
+        data.custom = bindings;
+        if (key.trim().length === 1) {
+            data.labels[binding] = key.toUpperCase();
+        }
+        this.saveData(data);
+
+        return bindings;
+    }
+
+    /**
+     * Nom affiché d'une liaison ('key:z' -> 'Z', 'code:ArrowUp' -> '↑')
+     */
+    getBindingLabel(binding) {
+        const label = this.getData().labels[binding];
+        if (label) return label;
+
+        const value = binding.slice(binding.indexOf(':') + 1);
+        if (KEY_LABELS[value]) return KEY_LABELS[value];
+
+        return value.replace(/^(Key|Digit)/, '').toUpperCase();
+    }
+
+    /**
+     * Noms affichés des touches d'une action pour le profil actif
+     */
+    getActionLabel(action) {
+        return this.getBindings()[action].map(binding => this.getBindingLabel(binding)).join('/');
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * CampaignManager - Campagne: suite de journées avec étoiles et restaurants à débloquer
+ */
+import { CustomerArchetype } from '../entities/Customer.js';
+
+export const CampaignDays = [
+    {
+        id: 'day1',
+        name: 'Jour 1 - Ouverture',
+        map: 'classique',
+        duration: 60,
+        maxCustomers: 2,
+        customerSpawnDelay: 5000,
+        customerPatience: 35,
+        maxOrderItems: 1,
+        starThresholds: [8, 16, 24],
+        archetypes: { [CustomerArchetype.NORMAL]: 1 },
+        color: '#4caf50'
+    },
+    {
+        id: 'day2',
+        name: 'Jour 2 - Le midi',
+        map: 'classique',
+        duration: 75,
+        maxCustomers: 2,
+        customerSpawnDelay: 4000,
+        customerPatience: 30,
+        maxOrderItems: 2,
+        starThresholds: [15, 30, 45],
+        archetypes: { [CustomerArchetype.NORMAL]: 3, [CustomerArchetype.REGULAR]: 1 },
+        color: '#8bc34a'
+    },
+    {
+        id: 'day3',
+        name: 'Jour 3 - Le rush',
+        map: 'classique',
+        duration: 90,
+        maxCustomers: 3,
+        customerSpawnDelay: 3000,
+        customerPatience: 25,
+        maxOrderItems: 3,
+        starThresholds: [25, 45, 65],
+        archetypes: { [CustomerArchetype.NORMAL]: 3, [CustomerArchetype.STUDENT]: 2, [CustomerArchetype.REGULAR]: 1 },
+        color: '#ff9800'
+    },
+    {
+        id: 'day4',
+        name: 'Jour 4 - Nouveau local',
+        map: 'ruelle',
+        duration: 75,
+        maxCustomers: 2,
+        customerSpawnDelay: 4000,
+        customerPatience: 30,
+        maxOrderItems: 2,
+        starThresholds: [15, 30, 45],
+        archetypes: { [CustomerArchetype.NORMAL]: 3, [CustomerArchetype.VIP]: 1, [CustomerArchetype.REGULAR]: 1 },
+        color: '#03a9f4'
+    },
+    {
+        id: 'day5',
+        name: 'Jour 5 - La soirée',
+        map: 'ruelle',
+        duration: 90,
+        maxCustomers: 3,
+        customerSpawnDelay: 3000,
+        customerPatience: 25,
+        maxOrderItems: 3,
+        starThresholds: [25, 45, 65],
+        archetypes: { [CustomerArchetype.NORMAL]: 2, [CustomerArchetype.GROUP]: 2, [CustomerArchetype.STUDENT]: 1 },
+        color: '#3f51b5'
+    },
+    {
+        id: 'day6',
+        name: 'Jour 6 - Nuit blanche',
+        map: 'ruelle',
+        duration: 120,
+        maxCustomers: 4,
+        customerSpawnDelay: 2500,
+        customerPatience: 20,
+        maxOrderItems: 3,
+        starThresholds: [40, 70, 100],
+        archetypes: { [CustomerArchetype.NORMAL]: 2, [CustomerArchetype.STUDENT]: 2, [CustomerArchetype.VIP]: 1,
+            [CustomerArchetype.GROUP]: 1, [CustomerArchetype.CRITIC]: 2 },
+        color: '#9c27b0'
+    }
+];
+
+// Étoiles minimum pour débloquer le jour suivant
+const STARS_TO_UNLOCK = 1;
+
+export class CampaignManager {
+    constructor() {
+        this.storageKey = 'qualiteCuiteCampaign';
+        this.days = CampaignDays;
+    }
+
+    /**
+     * Récupère la progression depuis localStorage
+     */
+    getProgress() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('Erreur lecture campagne:', e);
+        }
+
+        // Progression par défaut: seul le premier jour est ouvert
+        return {
+            unlockedDays: 1,
+            days: {}
+        };
+    }
+
+    /**
+     * Sauvegarde la progression
+     */
+    saveProgress(progress) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(progress));
+        } catch (e) {
+            console.error('Erreur sauvegarde campagne:', e);
+        }
+    }
+
+    /**
+     * Vérifie si un jour est débloqué
+     */
+    isUnlocked(dayIndex) {
+        return dayIndex < this.getProgress().unlockedDays;
+    }
+
+    /**
+     * Retourne les meilleures étoiles obtenues pour un jour
+     */
+    getStars(dayId) {
+        const record = this.getProgress().days[dayId];
+        return record ? record.stars : 0;
+    }
+
+    /**
+     * Retourne le meilleur score d'un jour
+     */
+    getBestScore(dayId) {
+        const record = this.getProgress().days[dayId];
+        return record ? record.bestScore : 0;
+    }
+
+    /**
+     * Calcule les étoiles pour un score
+     */
+    getStarsForScore(day, score) {
+        return day.starThresholds.filter(threshold => score >= threshold).length;
+    }
+
+    /**
+     * Enregistre la fin d'un jour et débloque le suivant si assez d'étoiles
+     * Un jour perdu (trop de clients partis) ne rapporte aucune étoile
+     */
+    completeDay(day, score, completed) {
+        const progress = this.getProgress();
+        const dayIndex = this.days.indexOf(day);
+        const stars = completed ? this.getStarsForScore(day, score) : 0;
+
+        const record = progress.days[day.id] || { stars: 0, bestScore: 0 };
+        const newBest = score > record.bestScore;
+        progress.days[day.id] = {
+            stars: Math.max(record.stars, stars),
+            bestScore: Math.max(record.bestScore, score)
+        };
+
+        let unlockedNext = false;
+        if (stars >= STARS_TO_UNLOCK && dayIndex + 1 < this.days.length &&
+            progress.unlockedDays <= dayIndex + 1) {
+            progress.unlockedDays = dayIndex + 2;
+            unlockedNext = true;
+        }
+
+        this.saveProgress(progress);
+
+        return { stars, newBest, unlockedNext };
+    }
+
+    /**
+     * Efface la progression
+     */
+    clearProgress() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.error('Erreur suppression campagne:', e);
+        }
+    }
+}
@@ -1,14 +1,37 @@
 /**
  * CustomerManager - Gestion des clients (multi-clients avec patience)
  */
-import { Customer } from '../entities/Customer.js';
+import { Customer, CustomerArchetype, CustomerState, ArchetypeConfig } from '../entities/Customer.js';
+import { ItemType, CookState } from '../entities/Item.js';
+
+// Bonus/malus selon la cuisson de la viande servie
+const CookPoints = {
+    [CookState.RAW]: -2,
+    [CookState.COOKED]: 1,
+    [CookState.BURNT]: -1
+};
+
+// Mélange de clients par défaut (poids par type)
+const DEFAULT_ARCHETYPES = { [CustomerArchetype.NORMAL]: 1 };
+
+// Chaque client dans la file allonge le délai avant le prochain client (+50%)
+const QUEUE_SPAWN_SLOWDOWN = 0.5;
 
 export class CustomerManager {
-    constructor(gameMap) {
+    constructor(gameMap, random) {
         this.gameMap = gameMap;
+
+        // Générateur de la partie (types de clients, commandes)
+        this.random = random;
         this.customers = [];
         this.maxCustomers = 2;
 
+        // Identifiant du dernier client arrivé (retrouve chaque client dans les états réseau)
+        this.nextCustomerId = 0;
+
+        // File d'attente (dans l'ordre d'arrivée)
+        this.queue = [];
+
         // Positions des clients au comptoir
         this.customerPositions = this.calculatePositions();
 
@@ -20,6 +43,12 @@ export class CustomerManager {
         // Patience par difficulté
         this.customerPatience = 15;
 
+        // Taille maximale des commandes
+        this.maxOrderItems = 3;
+
+        // Poids de chaque type de client
+        this.archetypes = DEFAULT_ARCHETYPES;
+
         // Stats
         this.customersServed = 0;
         this.customersLost = 0;
@@ -29,32 +58,25 @@ export class CustomerManager {
     }
 
     /**
-     * Calcule les positions des clients au comptoir
+     * Calcule les positions des clients au comptoir (emplacements de la carte)
      */
     calculatePositions() {
-        const spot = this.gameMap.customerSpot;
-        const positions = [];
-        const spacing = 65;
-        const startX = spot.x - 70;
-
-        for (let i = 0; i < 4; i++) {
-            positions.push({
-                x: startX + i * spacing,
-                y: spot.y + 5,
-                occupied: false
-            });
-        }
-
-        return positions;
+        return this.gameMap.customerSlots.map(slot => ({
+            x: slot.x,
+            y: slot.y,
+            occupied: false
+        }));
     }
 
     /**
      * Configure le manager pour un niveau
      */
-    configure(maxCustomers, spawnDelay, patience) {
+    configure(maxCustomers, spawnDelay, patience, options = {}) {
         this.maxCustomers = maxCustomers;
         this.spawnDelay = spawnDelay;
         this.customerPatience = patience;
+        this.maxOrderItems = options.maxOrderItems || 3;
+        this.archetypes = options.archetypes || DEFAULT_ARCHETYPES;
         this.autoSpawn = true;
         this.timeSinceLastSpawn = this.spawnDelay;
     }
@@ -64,7 +86,9 @@ export class CustomerManager {
      */
     reset() {
         this.customers = [];
-        this.customerPositions.forEach(pos => pos.occupied = false);
+        this.nextCustomerId = 0;
+        this.queue = [];
+        this.customerPositions = this.calculatePositions();
         this.timeSinceLastSpawn = 0;
         this.autoSpawn = false;
         this.customersServed = 0;
@@ -84,27 +108,81 @@ export class CustomerManager {
     }
 
     /**
-     * Spawn un nouveau client avec une commande aléatoire
+     * Spawn un nouveau client à la porte (type tiré selon le mélange, commande propre au type)
+     * Il va au comptoir si une place est libre, sinon dans la file
      */
     spawnCustomer() {
         const posIndex = this.findFreePosition();
-        if (posIndex === -1) return null;
+        if (posIndex === -1 && this.queue.length >= this.gameMap.queueSpots.length) return null;
+
+        const archetype = Customer.pickArchetype(this.archetypes, this.random);
+        const order = ArchetypeConfig[archetype].generateOrder(this.maxOrderItems, this.random);
+        const door = this.gameMap.door;
+        const customer = new Customer(door.x, door.y, order, this.customerPatience, archetype);
+        customer.id = ++this.nextCustomerId;
+        customer.animationTime = this.random.range(0, Math.PI * 2);
+
+        if (posIndex !== -1) {
+            this.assignSlot(customer, posIndex);
+        } else {
+            this.queue.push(customer);
+            this.layoutQueue();
+        }
+        this.customers.push(customer);
+
+        return customer;
+    }
 
+    /**
+     * Envoie un client à un emplacement du comptoir
+     */
+    assignSlot(customer, posIndex) {
         const pos = this.customerPositions[posIndex];
         pos.occupied = true;
+        customer.goToSlot(posIndex, pos.x, pos.y);
+    }
 
-        const order = Customer.generateRandomOrder();
-        const customer = new Customer(pos.x, pos.y, order, this.customerPatience);
-        customer.positionIndex = posIndex;
-        this.customers.push(customer);
+    /**
+     * Place chaque client de la file sur son emplacement
+     */
+    layoutQueue() {
+        this.queue.forEach((customer, index) => {
+            const spot = this.gameMap.queueSpots[index];
+            customer.walkTo(spot.x, spot.y);
+        });
+    }
 
-        return customer;
+    /**
+     * Libère un emplacement: le premier de la file s'avance
+     */
+    freeSlot(posIndex) {
+        this.customerPositions[posIndex].occupied = false;
+
+        if (this.queue.length > 0) {
+            this.assignSlot(this.queue.shift(), posIndex);
+            this.layoutQueue();
+        }
+    }
+
+    /**
+     * Fait repartir un client vers la porte
+     */
+    sendAway(customer) {
+        if (customer.positionIndex !== null) {
+            this.freeSlot(customer.positionIndex);
+            customer.positionIndex = null;
+        } else {
+            this.queue.splice(this.queue.indexOf(customer), 1);
+            this.layoutQueue();
+        }
+
+        customer.leave(this.gameMap.door.x, this.gameMap.door.y);
     }
 
     /**
      * Trouve le client le plus proche qui a besoin de l'item
      */
-    findNearestCustomerNeedingItem(player, itemType) {
+    findNearestCustomerNeedingItem(player, item) {
         if (this.customers.length === 0) return null;
 
         const playerCenter = player.getCenter();
@@ -113,7 +191,7 @@ export class CustomerManager {
 
         for (const customer of this.customers) {
             if (customer.satisfied || customer.angry) continue;
-            if (!customer.needsItem(itemType)) continue;
+            if (!customer.isAtCounter() || !customer.needsItem(item)) continue;
 
             const cx = customer.x + customer.width / 2;
             const cy = customer.y + customer.height / 2;
@@ -128,44 +206,106 @@ export class CustomerManager {
         return nearest;
     }
 
+    /**
+     * Calcule le bonus/malus de qualité d'un item servi (cuisson et fraîcheur)
+     */
+    getQualityPoints(item) {
+        if (item.type !== ItemType.KEBAB || item.cookState === null) return 0;
+
+        let points = CookPoints[item.cookState];
+        if (item.isCold()) points -= 1;
+        return points;
+    }
+
     /**
      * Essaie de servir le client le plus proche
      */
     tryServeCustomer(player, item) {
         if (!item) return { success: false, points: 0 };
 
-        const customer = this.findNearestCustomerNeedingItem(player, item.type);
+        const customer = this.findNearestCustomerNeedingItem(player, item);
         if (!customer) return { success: false, points: 0, wrongOrder: true };
 
         const accepted = customer.deliverItem(item);
         if (accepted) {
             // Points bonus si commande complétée
             const completed = customer.satisfied;
-            const points = completed ? customer.getTotalOrderItems() : 1;
+            const orderSize = customer.getTotalOrderItems();
+            const result = {
+                success: true,
+                correct: true,
+                points: completed ? orderSize * 2 : 1,
+                completed,
+                orderSize,
+                archetype: customer.archetype,
+                patienceRatio: customer.getPatienceRatio(),
+                tipMultiplier: customer.config.tipMultiplier,
+                qualityPoints: this.getQualityPoints(item),
+                cookState: item.cookState,
+                cold: item.cookState !== null && item.isCold()
+            };
+
+            if (item.type === ItemType.KEBAB) {
+                customer.servedQuality.push(result.qualityPoints);
+            }
+            this.applyArchetypeRules(customer, result);
 
             if (completed) {
                 this.customersServed++;
-                const posIndex = customer.positionIndex;
-
-                // Retire le client après animation
-                setTimeout(() => {
-                    this.removeCustomer(customer);
-                    this.customerPositions[posIndex].occupied = false;
-                }, 800);
             }
 
-            return {
-                success: true,
-                correct: true,
-                points,
-                completed,
-                orderSize: customer.getTotalOrderItems()
-            };
+            return result;
         }
 
         return { success: false, points: 0 };
     }
 
+    /**
+     * Règles de score propres à chaque type de client
+     */
+    applyArchetypeRules(customer, result) {
+        switch (customer.archetype) {
+            case CustomerArchetype.STUDENT:
+                // Bonus si servi avant de s'énerver
+                if (result.completed && result.patienceRatio > 0.5) {
+                    result.points += 2;
+                }
+                break;
+            case CustomerArchetype.VIP:
+                if (result.completed) result.points *= 2;
+                break;
+            case CustomerArchetype.GROUP:
+                // +1 par personne servie
+                if (result.completed) result.points += result.orderSize;
+                break;
+            case CustomerArchetype.REGULAR:
+                // Pardonne la première erreur de qualité
+                if (result.qualityPoints < 0 && customer.forgivesLeft > 0) {
+                    customer.forgivesLeft--;
+                    result.qualityPoints = 0;
+                    result.forgiven = true;
+                }
+                break;
+            case CustomerArchetype.CRITIC:
+                if (result.completed) {
+                    result.criticRating = this.getCriticRating(customer, result.patienceRatio);
+                    result.points += (result.criticRating - 3) * 3;
+                }
+                break;
+        }
+    }
+
+    /**
+     * Note du critique (1-5) selon la qualité des kebabs et l'attente
+     */
+    getCriticRating(customer, patienceRatio) {
+        const quality = customer.servedQuality;
+        const averageQuality = quality.length > 0 ?
+            quality.reduce((a, b) => a + b, 0) / quality.length : 0;
+        const rating = Math.round(3 + averageQuality + (patienceRatio - 0.5) * 2);
+        return Math.max(1, Math.min(5, rating));
+    }
+
     /**
      * Retire un client
      */
@@ -180,15 +320,13 @@ export class CustomerManager {
      * Met à jour les clients
      */
     update(deltaTime) {
-        // Auto-spawn
+        // Auto-spawn (plus la file est longue, plus les clients arrivent lentement)
         if (this.autoSpawn) {
             this.timeSinceLastSpawn += deltaTime * 1000;
 
-            if (this.timeSinceLastSpawn >= this.spawnDelay) {
-                const waitingCount = this.customers.filter(c => !c.satisfied && !c.angry).length;
-                if (waitingCount < this.maxCustomers) {
-                    this.spawnCustomer();
-                }
+            const delay = this.spawnDelay * (1 + this.queue.length * QUEUE_SPAWN_SLOWDOWN);
+            if (this.timeSinceLastSpawn >= delay) {
+                this.spawnCustomer();
                 this.timeSinceLastSpawn = 0;
             }
         }
@@ -200,32 +338,53 @@ export class CustomerManager {
 
             customer.update(deltaTime);
 
-            // Client vient de partir en colère
+            // Client vient de perdre patience
             if (customer.angry && !wasAngry) {
                 this.customersLost++;
-                const posIndex = customer.positionIndex;
 
                 // Notifie le jeu
                 if (this.onCustomerAngry) {
                     this.onCustomerAngry(customer);
                 }
+            }
 
-                // Retire après animation
-                setTimeout(() => {
-                    this.removeCustomer(customer);
-                    this.customerPositions[posIndex].occupied = false;
-                }, 1000);
+            // Repart après l'animation, disparaît une fois la porte atteinte
+            if (customer.isReadyToLeave()) {
+                this.sendAway(customer);
+            } else if (customer.state === CustomerState.LEAVING && customer.isAtTarget()) {
+                this.removeCustomer(customer);
             }
         }
     }
 
     /**
-     * Dessine les clients
+     * Dessine les clients et la longueur de la file
      */
     render(ctx) {
         for (const customer of this.customers) {
             customer.render(ctx);
         }
+
+        const queueLength = this.getQueueLength();
+        const maxQueue = this.gameMap.queueSpots.length;
+        if (queueLength > 0 && maxQueue > 0) {
+            const firstSpot = this.gameMap.queueSpots[0];
+            const counter = this.gameMap.counterZone;
+            ctx.fillStyle = queueLength >= maxQueue ? '#f44336' : '#fff';
+            ctx.font = '8px "Press Start 2P", monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`FILE: ${queueLength}/${maxQueue}`, firstSpot.x + 25, counter.y + counter.height / 2);
+        }
+    }
+
+    /**
+     * Retourne le nombre de clients dans la file (sans place au comptoir)
+     */
+    getQueueLength() {
+        return this.customers.filter(c =>
+            c.positionIndex === null && c.state !== CustomerState.LEAVING
+        ).length;
     }
 
     /**
@@ -249,11 +408,14 @@ export class CustomerManager {
      */
     getCustomersData() {
         return this.customers.map(c => ({
+            id: c.id,
             x: c.x,
             y: c.y,
             positionIndex: c.positionIndex,
-            order: { ...c.order },
-            originalOrder: { ...c.originalOrder },
+            archetype: c.archetype,
+            state: c.state,
+            order: Customer.copyOrder(c.order),
+            originalOrder: Customer.copyOrder(c.originalOrder),
             patience: c.patience,
             maxPatience: c.maxPatience,
             satisfied: c.satisfied,
@@ -263,40 +425,49 @@ export class CustomerManager {
 
     /**
      * Met à jour les clients depuis les données réseau (CLIENT)
+     * Chaque client est retrouvé par son identifiant: un départ ne décale pas les autres
      */
     updateFromNetwork(customersData) {
         if (!customersData) return;
 
-        // Sync le nombre de clients
-        while (this.customers.length > customersData.length) {
-            const removed = this.customers.pop();
-            if (removed) {
-                this.customerPositions[removed.positionIndex].occupied = false;
-            }
-        }
+        const existing = new Map(this.customers.map(customer => [customer.id, customer]));
 
-        // Met à jour ou crée les clients
-        customersData.forEach((data, index) => {
-            if (index < this.customers.length) {
-                // Update existing
-                const customer = this.customers[index];
-                customer.x = data.x;
-                customer.y = data.y;
-                customer.order = { ...data.order };
-                customer.patience = data.patience;
-                customer.satisfied = data.satisfied;
-                customer.angry = data.angry;
-            } else {
-                // Create new
-                const customer = new Customer(data.x, data.y, data.originalOrder, data.maxPatience);
-                customer.positionIndex = data.positionIndex;
-                customer.patience = data.patience;
-                customer.satisfied = data.satisfied;
-                customer.angry = data.angry;
-                customer.order = { ...data.order };
-                this.customers.push(customer);
-                this.customerPositions[data.positionIndex].occupied = true;
+        this.customers = customersData.map(data => {
+            let customer = existing.get(data.id);
+            if (!customer) {
+                customer = new Customer(data.x, data.y, data.originalOrder, data.maxPatience, data.archetype);
+                customer.id = data.id;
+                customer.maxPatience = data.maxPatience;
             }
+
+            customer.x = data.x;
+            customer.y = data.y;
+            customer.walkTo(data.x, data.y);
+            customer.state = data.state;
+            customer.positionIndex = data.positionIndex;
+            customer.order = Customer.copyOrder(data.order);
+            customer.patience = data.patience;
+            customer.satisfied = data.satisfied;
+            customer.angry = data.angry;
+            return customer;
         });
     }
+
+    /**
+     * Place les clients entre deux états reçus (CLIENT, alpha: 0 sur from, 1 sur to)
+     * Un client absent d'un des deux états (arrivé ou parti entre-temps) garde sa position
+     */
+    interpolateFromNetwork(fromData, toData, alpha) {
+        const fromById = new Map(fromData.map(data => [data.id, data]));
+        const toById = new Map(toData.map(data => [data.id, data]));
+
+        for (const customer of this.customers) {
+            const from = fromById.get(customer.id);
+            const to = toById.get(customer.id);
+            if (!from || !to) continue;
+
+            customer.x = from.x + (to.x - from.x) * alpha;
+            customer.y = from.y + (to.y - from.y) * alpha;
+        }
+    }
 }
@@ -0,0 +1,158 @@
+/**
+ * EconomyManager - Argent gagné, pourboires et améliorations achetées entre les services
+ */
+export const UpgradeType = {
+    BIG_BAG: 'bigBag',
+    COMFY_SHOES: 'comfyShoes',
+    DRINK_MACHINE_2: 'drinkMachine2',
+    MUSIC: 'music'
+};
+
+export const UpgradeConfig = {
+    [UpgradeType.BIG_BAG]: {
+        name: 'Grand plateau',
+        desc: '+1 place d\'inventaire',
+        costs: [40, 90]
+    },
+    [UpgradeType.COMFY_SHOES]: {
+        name: 'Baskets',
+        desc: 'Moins ralenti en portant',
+        costs: [30, 70]
+    },
+    [UpgradeType.DRINK_MACHINE_2]: {
+        name: 'Machine boissons n°2',
+        desc: 'Une 2e station boissons',
+        costs: [60]
+    },
+    [UpgradeType.MUSIC]: {
+        name: 'Musique d\'ambiance',
+        desc: 'Clients +20% patients',
+        costs: [50, 110]
+    }
+};
+
+// Prix d'un item commandé et pourboire maximum par item (client encore patient)
+const PRICE_PER_ITEM = 5;
+const MAX_TIP_PER_ITEM = 3;
+
+export class EconomyManager {
+    constructor() {
+        this.storageKey = 'qualiteCuiteEconomy';
+    }
+
+    /**
+     * Récupère la sauvegarde depuis localStorage
+     */
+    getData() {
+        try {
+            const data = localStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('Erreur lecture économie:', e);
+        }
+
+        return {
+            money: 0,
+            upgrades: {}
+        };
+    }
+
+    /**
+     * Sauvegarde l'argent et les améliorations
+     */
+    saveData(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (e) {
+            console.error('Erreur sauvegarde économie:', e);
+        }
+    }
+
+    /**
+     * Retourne l'argent disponible
+     */
+    getMoney() {
+        return this.getData().money;
+    }
+
+    /**
+     * Calcule le prix d'une commande et le pourboire selon la patience restante (0-1)
+     * tipMultiplier dépend du type de client (ex: un VIP donne plus)
+     */
+    getOrderEarnings(orderSize, patienceRatio, tipMultiplier = 1) {
+        return {
+            price: orderSize * PRICE_PER_ITEM,
+            tip: Math.round(orderSize * MAX_TIP_PER_ITEM * patienceRatio * tipMultiplier)
+        };
+    }
+
+    /**
+     * Ajoute de l'argent
+     */
+    earn(amount) {
+        const data = this.getData();
+        data.money += amount;
+        this.saveData(data);
+    }
+
+    /**
+     * Retourne le niveau d'une amélioration
+     */
+    getUpgradeLevel(upgradeType) {
+        return this.getData().upgrades[upgradeType] || 0;
+    }
+
+    /**
+     * Vérifie si une amélioration a atteint son niveau max
+     */
+    isMaxed(upgradeType) {
+        return this.getUpgradeLevel(upgradeType) >= UpgradeConfig[upgradeType].costs.length;
+    }
+
+    /**
+     * Retourne le prix du prochain niveau (null si max)
+     */
+    getUpgradeCost(upgradeType) {
+        if (this.isMaxed(upgradeType)) return null;
+        return UpgradeConfig[upgradeType].costs[this.getUpgradeLevel(upgradeType)];
+    }
+
+    /**
+     * Achète le niveau suivant d'une amélioration
+     */
+    buyUpgrade(upgradeType) {
+        const cost = this.getUpgradeCost(upgradeType);
+        const data = this.getData();
+        if (cost === null || data.money < cost) return false;
+
+        data.money -= cost;
+        data.upgrades[upgradeType] = (data.upgrades[upgradeType] || 0) + 1;
+        this.saveData(data);
+        return true;
+    }
+
+    /**
+     * Retourne la liste des améliorations possédées (au moins un niveau)
+     * upgrades: niveaux par amélioration (ceux de la sauvegarde par défaut, ceux d'un replay sinon)
+     */
+    getOwnedUpgrades(upgrades = this.getData().upgrades) {
+        return Object.keys(upgrades).filter(type => upgrades[type] > 0);
+    }
+
+    /**
+     * Applique les améliorations au joueur
+     */
+    applyUpgrades(player, upgrades = this.getData().upgrades) {
+        player.maxInventory += upgrades[UpgradeType.BIG_BAG] || 0;
+        player.speedPenaltyPerItem -= 0.07 * (upgrades[UpgradeType.COMFY_SHOES] || 0);
+    }
+
+    /**
+     * Multiplicateur de patience des clients (musique d'ambiance)
+     */
+    getPatienceMultiplier(upgrades = this.getData().upgrades) {
+        return 1 + 0.2 * (upgrades[UpgradeType.MUSIC] || 0);
+    }
+}
@@ -1,6 +1,8 @@
 /**
  * LevelManager - Gestion des niveaux et de la difficulté (Règles mises à jour)
  */
+import { CustomerArchetype } from '../entities/Customer.js';
+
 export const Difficulty = {
     EASY: 'easy',
     MEDIUM: 'medium',
@@ -13,6 +15,12 @@ export const DifficultyConfig = {
         maxCustomers: 2,
         customerSpawnDelay: 4000,
         customerPatience: 25,
+        // Poids de chaque type de client
+        archetypes: {
+            [CustomerArchetype.NORMAL]: 6,
+            [CustomerArchetype.REGULAR]: 3,
+            [CustomerArchetype.STUDENT]: 1
+        },
         color: '#4caf50'
     },
     [Difficulty.MEDIUM]: {
@@ -20,6 +28,14 @@ export const DifficultyConfig = {
         maxCustomers: 3,
         customerSpawnDelay: 3000,
         customerPatience: 20,
+        archetypes: {
+            [CustomerArchetype.NORMAL]: 5,
+            [CustomerArchetype.STUDENT]: 2,
+            [CustomerArchetype.REGULAR]: 2,
+            [CustomerArchetype.VIP]: 1,
+            [CustomerArchetype.GROUP]: 1,
+            [CustomerArchetype.CRITIC]: 1
+        },
         color: '#ff9800'
     },
     [Difficulty.HARD]: {
@@ -27,6 +43,14 @@ export const DifficultyConfig = {
         maxCustomers: 4,
         customerSpawnDelay: 2000,
         customerPatience: 15,
+        archetypes: {
+            [CustomerArchetype.NORMAL]: 3,
+            [CustomerArchetype.STUDENT]: 3,
+            [CustomerArchetype.VIP]: 2,
+            [CustomerArchetype.GROUP]: 2,
+            [CustomerArchetype.REGULAR]: 1,
+            [CustomerArchetype.CRITIC]: 2
+        },
         color: '#f44336'
     }
 };
@@ -34,6 +58,7 @@ export const DifficultyConfig = {
 export const LevelState = {
     MENU: 'menu',
     PLAYING: 'playing',
+    PAUSED: 'paused', // Chrono et clients figés
     WON: 'won', // Fin du temps (réussite)
     LOST: 'lost' // Trop de clients perdus
 };
@@ -44,7 +69,10 @@ export class LevelManager {
         this.difficulty = null;
         this.config = null;
 
-        // Timer fixe de 60s
+        // Jour de campagne en cours (null en partie libre)
+        this.day = null;
+
+        // Timer de 60s (durée propre à chaque jour en campagne)
         this.levelDuration = 60;
         this.timeRemaining = 0;
 
@@ -75,6 +103,26 @@ export class LevelManager {
     startLevel(difficulty) {
         this.difficulty = difficulty;
         this.config = DifficultyConfig[difficulty];
+        this.day = null;
+        this.levelDuration = 60;
+        this.begin();
+    }
+
+    /**
+     * Démarre un jour de campagne (durée et réglages propres au jour)
+     */
+    startDay(day) {
+        this.difficulty = null;
+        this.config = day;
+        this.day = day;
+        this.levelDuration = day.duration;
+        this.begin();
+    }
+
+    /**
+     * Lance le chrono et remet les compteurs à zéro
+     */
+    begin() {
         this.timeRemaining = this.levelDuration;
         this.score = 0;
         this.customersLost = 0;
@@ -112,6 +160,32 @@ export class LevelManager {
         }
     }
 
+    /**
+     * Met la partie en cours en pause (update ne fait plus rien); retourne false si elle n'était pas en cours
+     */
+    pause() {
+        if (this.state !== LevelState.PLAYING) return false;
+
+        this.state = LevelState.PAUSED;
+        if (this.onStateChange) {
+            this.onStateChange(this.state);
+        }
+        return true;
+    }
+
+    /**
+     * Reprend la partie en pause; retourne false si elle n'était pas en pause
+     */
+    resume() {
+        if (this.state !== LevelState.PAUSED) return false;
+
+        this.state = LevelState.PLAYING;
+        if (this.onStateChange) {
+            this.onStateChange(this.state);
+        }
+        return true;
+    }
+
     /**
      * Ajoute des points
      */
@@ -133,6 +207,7 @@ export class LevelManager {
         this.state = LevelState.MENU;
         this.difficulty = null;
         this.config = null;
+        this.day = null;
         this.score = 0;
         this.timeRemaining = 0;
         this.customersLost = 0;
@@ -164,4 +239,18 @@ export class LevelManager {
     isPlaying() {
         return this.state === LevelState.PLAYING;
     }
+
+    /**
+     * Retourne si le jeu est en pause
+     */
+    isPaused() {
+        return this.state === LevelState.PAUSED;
+    }
+
+    /**
+     * Retourne si une partie est en cours, en pause comprise
+     */
+    isActive() {
+        return this.state === LevelState.PLAYING || this.state === LevelState.PAUSED;
+    }
 }
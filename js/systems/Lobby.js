@@ -0,0 +1,197 @@
+/**
+ * Lobby - Salon d'avant-partie d'une session réseau
+ * Pseudo, couleur, prêt et votes (difficulté, carte) de chaque joueur, et derniers messages du chat
+ * L'host tient le salon à jour et l'envoie à tous; les clients n'en gardent que la copie reçue
+ */
+import { PlayerColors } from '../entities/Player.js';
+
+// Longueur des pseudos et des messages, messages gardés
+export const MAX_NAME_LENGTH = 12;
+export const MAX_CHAT_LENGTH = 60;
+const MAX_CHAT_MESSAGES = 6;
+
+// Sujets de vote
+export const VoteTopic = {
+    DIFFICULTY: 'difficulty',
+    MAP: 'map'
+};
+
+const COLORS = Object.keys(PlayerColors).map(Number);
+
+export class Lobby {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Vide le salon (nouvelle session)
+     */
+    reset() {
+        // index du joueur -> { name, color, ready, vote: { difficulty, map } }
+        this.players = {};
+        this.messages = [];
+    }
+
+    /**
+     * Ajoute un joueur (HOST) avec le profil qu'il a demandé ({ name, color }), sinon des valeurs par défaut
+     */
+    addPlayer(playerIndex, profile = {}) {
+        this.players[playerIndex] = {
+            name: `Joueur ${playerIndex}`,
+            color: this.getFreeColor(playerIndex),
+            ready: false,
+            vote: {}
+        };
+        this.update(playerIndex, { name: profile.name, color: profile.color });
+    }
+
+    /**
+     * Retire un joueur parti
+     */
+    removePlayer(playerIndex) {
+        delete this.players[playerIndex];
+    }
+
+    /**
+     * Joueur du salon (null si inconnu)
+     */
+    getPlayer(playerIndex) {
+        return this.players[playerIndex] || null;
+    }
+
+    /**
+     * Applique les changements demandés par un joueur (HOST): { name, color, ready, vote }
+     * Les valeurs invalides (ou une couleur déjà prise) sont ignorées; retourne false si le joueur est inconnu
+     */
+    update(playerIndex, { name, color, ready, vote } = {}) {
+        const player = this.players[playerIndex];
+        if (!player) return false;
+
+        const cleanName = typeof name === 'string' ? this.clean(name, MAX_NAME_LENGTH) : '';
+        if (cleanName) {
+            player.name = cleanName;
+        }
+        if (COLORS.includes(color) && this.isColorFree(color, playerIndex)) {
+            player.color = color;
+        }
+        if (typeof ready === 'boolean') {
+            player.ready = ready;
+        }
+        if (vote) {
+            for (const topic of Object.values(VoteTopic)) {
+                if (typeof vote[topic] === 'string') {
+                    player.vote[topic] = vote[topic].slice(0, MAX_NAME_LENGTH * 2);
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Texte sur une ligne, sans espaces autour, coupé à maxLength
+     */
+    clean(text, maxLength) {
+        return text.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, maxLength);
+    }
+
+    /**
+     * Vérifie qu'aucun autre joueur n'a pris cette couleur
+     */
+    isColorFree(color, playerIndex) {
+        return Object.entries(this.players).every(([index, player]) =>
+            Number(index) === playerIndex || player.color !== color
+        );
+    }
+
+    /**
+     * Couleur libre: celle demandée si possible, sinon la première disponible
+     */
+    getFreeColor(preferred) {
+        if (COLORS.includes(preferred) && this.isColorFree(preferred)) return preferred;
+        return COLORS.find(color => this.isColorFree(color)) || COLORS[0];
+    }
+
+    /**
+     * Couleur libre suivante (direction +1 / -1) pour un joueur, la sienne si aucune autre n'est libre
+     */
+    nextFreeColor(playerIndex, direction) {
+        const player = this.players[playerIndex];
+        if (!player) return null;
+
+        const start = COLORS.indexOf(player.color);
+        for (let step = 1; step < COLORS.length; step++) {
+            const color = COLORS[(start + direction * step + COLORS.length) % COLORS.length];
+            if (this.isColorFree(color, playerIndex)) return color;
+        }
+        return player.color;
+    }
+
+    /**
+     * Vérifie que tous les joueurs sont prêts
+     */
+    isEveryoneReady() {
+        return Object.values(this.players).every(player => player.ready);
+    }
+
+    /**
+     * Votes pour un choix
+     */
+    getVoteCount(topic, choice) {
+        return Object.values(this.players).filter(player => player.vote[topic] === choice).length;
+    }
+
+    /**
+     * Choix le plus voté parmi choices (à égalité, celui de l'host, joueur 1); fallback sans vote
+     */
+    getVoteResult(topic, choices, fallback) {
+        let result = fallback;
+        let best = 0;
+
+        // Les joueurs sont parcourus par index croissant: le premier vu l'emporte à égalité
+        for (const player of Object.values(this.players)) {
+            const choice = player.vote[topic];
+            const count = this.getVoteCount(topic, choice);
+            if (choices.includes(choice) && count > best) {
+                result = choice;
+                best = count;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Message d'un joueur (HOST), avec son pseudo et sa couleur (null si vide ou joueur inconnu)
+     */
+    createMessage(playerIndex, text) {
+        const player = this.players[playerIndex];
+        const cleanText = typeof text === 'string' ? this.clean(text, MAX_CHAT_LENGTH) : '';
+        if (!player || !cleanText) return null;
+
+        return { playerIndex, name: player.name, color: player.color, text: cleanText };
+    }
+
+    /**
+     * Ajoute un message au chat (les plus anciens sont oubliés)
+     */
+    addMessage(message) {
+        this.messages.push(message);
+        if (this.messages.length > MAX_CHAT_MESSAGES) {
+            this.messages.shift();
+        }
+    }
+
+    /**
+     * Données envoyées aux clients (HOST)
+     */
+    getData() {
+        return { players: this.players, messages: this.messages };
+    }
+
+    /**
+     * Reprend le salon envoyé par l'host (CLIENT)
+     */
+    setData(data) {
+        this.players = data.players || {};
+        this.messages = data.messages || [];
+    }
+}
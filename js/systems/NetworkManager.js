@@ -1,6 +1,30 @@
 /**
- * NetworkManager - Gestion du multijoueur P2P avec PeerJS
+ * NetworkManager - Gestion du multijoueur P2P (PeerJS par défaut, voir js/network/ pour les autres transports)
+ * L'host accepte jusqu'à 3 autres joueurs, leur attribue un index (2, 3, 4)
+ * et relaie à chacun l'état des autres; un joueur qui part ne termine pas la partie
+ * En partie, une connexion coupée met la partie en pause: le joueur peut revenir à sa place
+ * (même code, jeton reçu à l'accueil) jusqu'à la fin du délai de grâce
+ * Des spectateurs peuvent aussi rejoindre, à tout moment: ils reçoivent tout et n'envoient rien
+ * Avant la partie, le salon (pseudos, couleurs, prêts, votes, chat) est tenu par l'host et envoyé à tous
+ * Les messages suivent js/network/Protocol.js: l'host refuse les pairs d'une autre version et exclut ceux
+ * qui envoient des messages invalides; l'état du jeu part en différences (DeltaCompressor), en JSON
+ * ou en binaire (BinaryCodec) selon l'encodage choisi par chaque client
+ * Des ping/pong mesurent la connexion (NetworkDiagnostics); LagSimulator peut la dégrader pour les tests
+ * La pause est commune: demandée par n'importe quel joueur, décidée par l'host et envoyée à tous
  */
+import { Random } from '../core/Random.js';
+import { SnapshotBuffer } from './SnapshotBuffer.js';
+import { Lobby } from './Lobby.js';
+import { PeerJsTransport } from '../network/PeerJsTransport.js';
+import {
+    PROTOCOL_VERSION, MessageEncoding, MessageDirection, MAX_MESSAGE_BYTES, BINARY_KEYS,
+    validateMessage, validateGameState
+} from '../network/Protocol.js';
+import { DeltaCompressor } from '../network/DeltaCompressor.js';
+import { BinaryCodec } from '../network/BinaryCodec.js';
+import { NetworkDiagnostics, PING_INTERVAL } from '../network/NetworkDiagnostics.js';
+import { LagSimulator } from '../network/LagSimulator.js';
+
 export const NetworkRole = {
     NONE: 'none',
     HOST: 'host',
@@ -12,41 +36,215 @@ export const NetworkState = {
     CONNECTING: 'connecting',
     WAITING: 'waiting',
     CONNECTED: 'connected',
-    IN_GAME: 'inGame'
+    IN_GAME: 'inGame',
+    RECONNECTING: 'reconnecting'
 };
 
+// Caractères des codes de session (sans 0/O ni 1/I, faciles à confondre) et longueur
+export const SESSION_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const SESSION_CODE_LENGTH = 6;
+
+// Joueurs par session (l'host est toujours le joueur 1) et spectateurs en plus
+export const MAX_NETWORK_PLAYERS = 4;
+export const HOST_PLAYER_INDEX = 1;
+export const MAX_SPECTATORS = 8;
+
+// Raisons de refus d'un joueur par l'host
+export const RefusalReason = {
+    FULL: 'full',
+    IN_GAME: 'inGame',
+    SPECTATORS_FULL: 'spectatorsFull',
+    INCOMPATIBLE: 'incompatible',
+    MALFORMED: 'malformed'
+};
+
+// Délai pour revenir après une coupure en partie, et entre deux tentatives du client (ms)
+export const RECONNECT_GRACE_PERIOD = 30000;
+const RECONNECT_RETRY_DELAY = 2000;
+
+// Longueur du jeton qui identifie la place d'un joueur
+const PLAYER_TOKEN_LENGTH = 12;
+
+const REFUSAL_MESSAGES = {
+    [RefusalReason.FULL]: 'Partie complète',
+    [RefusalReason.IN_GAME]: 'Partie déjà commencée',
+    [RefusalReason.SPECTATORS_FULL]: 'Trop de spectateurs',
+    [RefusalReason.INCOMPATIBLE]: 'Version du jeu différente de celle de l\'hôte',
+    [RefusalReason.MALFORMED]: 'Exclu: messages invalides'
+};
+
+const textEncoder = new TextEncoder();
+
+// Jetons tenus par les NetworkManager de cette page (plusieurs joueurs sur une page, ex: LoopbackTransport):
+// jamais présentés par un autre, qui prendrait sa place
+const tokensInUse = new Set();
+
 export class NetworkManager {
-    constructor() {
+    /**
+     * transport: crée les pairs (PeerJsTransport, WebSocketTransport pour le réseau local, LoopbackTransport)
+     */
+    constructor(transport = new PeerJsTransport()) {
+        this.transport = transport;
         this.peer = null;
-        this.connection = null;
         this.role = NetworkRole.NONE;
         this.state = NetworkState.DISCONNECTED;
         this.sessionCode = null;
 
+        // Connexions ouvertes: id du pair -> { connection, playerIndex, spectator }
+        // L'host en a une par joueur et par spectateur (playerIndex null), un client une seule (vers l'host, joueur 1)
+        this.connections = new Map();
+
+        // Index du joueur local (attribué par l'host pour un client) et joueurs de la session
+        this.playerIndex = null;
+        this.playerIndices = [];
+
+        // Le joueur local regarde sans jouer (CLIENT)
+        this.spectator = false;
+
+        // Promesse de joinGame en attente de l'accueil de l'host
+        this.pendingJoin = null;
+
+        // Intentions envoyées à l'host en attente d'accusé de réception (CLIENT): id -> intention
+        this.intentSequence = 0;
+        this.pendingIntents = new Map();
+
+        // Jetons des places de la session (HOST: index -> jeton) et celui du joueur local (CLIENT)
+        this.playerTokens = {};
+        this.playerToken = null;
+
+        // Joueurs coupés en partie, attendus jusqu'à leur échéance: index -> { deadline, timer }
+        // (le client tient la liste d'après les messages de l'host, sans timer)
+        this.disconnectedPlayers = new Map();
+
+        // Reconnexion du client à l'host: échéance et prochaine tentative
+        this.reconnectDeadline = null;
+        this.reconnectTimer = null;
+
+        // Session rejointe, gardée pour revenir après un rechargement de la page
+        // (sessionStorage: propre à l'onglet, un autre onglet rejoint comme nouveau joueur)
+        this.storageKey = 'qualiteCuiteSession';
+
+        // Salon d'avant-partie, et pseudo / couleur préférés du joueur local (gardés d'une session à l'autre)
+        this.lobby = new Lobby();
+        this.profileKey = 'qualiteCuiteProfile';
+        this.profile = this.loadProfile();
+
+        // Encodage des messages reçus de l'host (CLIENT, annoncé à la connexion; l'host suit celui de chaque client)
+        this.encoding = MessageEncoding.JSON;
+        this.codec = new BinaryCodec(BINARY_KEYS);
+
+        // États du jeu en différences: envoyés (HOST) ou reconstruits (CLIENT)
+        this.stateCompressor = new DeltaCompressor();
+
+        // Messages envoyés et reçus par type: { sent, sentBytes, received, receivedBytes } ('invalid': rejetés)
+        this.messageStats = {};
+
+        // Mesures de la connexion (ping toutes les secondes) et mauvaise connexion simulée (développement)
+        this.diagnostics = new NetworkDiagnostics(() => this.now());
+        this.pingTimer = null;
+        this.lagSimulator = new LagSimulator();
+
+        // Générateur propre aux codes de session (indépendant de la graine de la partie)
+        this.random = new Random();
+
         // Callbacks
         this.onStateChange = null;
-        this.onPlayerJoined = null;
-        this.onPlayerLeft = null;
+        this.onPlayerJoined = null; // (playerIndex)
+        this.onPlayerLeft = null; // (playerIndex) la partie continue sans lui
+        this.onHostLeft = null; // () la session est terminée
         this.onGameData = null;
         this.onGameStart = null;
+        this.onIntent = null; // (playerIndex, intent) HOST: intention d'un joueur à valider
+        this.onIntentAck = null; // (ack, intent) CLIENT: { id, accepted, reason }
+        this.onFeedback = null; // (message, color) CLIENT: résultat d'une action du joueur local
+        this.onOrderCompleted = null; // (result) CLIENT: commande complétée par le joueur local
+        this.onPlayerDisconnected = null; // (playerIndex) connexion coupée: partie en pause
+        this.onPlayerReconnected = null; // (playerIndex) revenu à sa place: reprise
+        this.onConnectionLost = null; // () CLIENT: connexion à l'host coupée, reconnexion en cours
+        this.onResume = null; // ({ difficulty, players, state }) CLIENT: état complet au retour
+        this.onSpectatorJoined = null; // (peerId) HOST: nouveau spectateur, à qui envoyer la partie en cours
+        this.onRefused = null; // (message) CLIENT: exclu par l'host après l'accueil
+        this.onPause = null; // (paused, playerIndex) partie mise en pause ou reprise par un joueur
 
-        // Sync data
-        this.lastSentData = null;
-        this.remotePlayerData = null;
+        // États datés reçus de chaque joueur distant (par index) et de l'host (état du jeu, CLIENT)
+        this.playerSnapshots = {};
+        this.stateSnapshots = new SnapshotBuffer(() => this.now());
     }
 
     /**
-     * Génère un code de session aléatoire
+     * Horloge des états envoyés (ms)
      */
-    generateSessionCode() {
-        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    now() {
+        return performance.now();
+    }
+
+    /**
+     * Génère un code de session aléatoire (ou un jeton de la longueur donnée)
+     */
+    generateSessionCode(length = SESSION_CODE_LENGTH) {
         let code = '';
-        for (let i = 0; i < 6; i++) {
-            code += chars.charAt(Math.floor(Math.random() * chars.length));
+        for (let i = 0; i < length; i++) {
+            code += SESSION_CODE_CHARS.charAt(this.random.int(SESSION_CODE_CHARS.length));
         }
         return code;
     }
 
+    /**
+     * Récupère la session rejointe depuis sessionStorage ({ code, token } ou null)
+     */
+    loadSession() {
+        try {
+            const data = sessionStorage.getItem(this.storageKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('Erreur lecture session:', e);
+        }
+        return null;
+    }
+
+    /**
+     * Sauvegarde la session rejointe (null: l'oublie)
+     */
+    saveSession(session) {
+        try {
+            if (session) {
+                sessionStorage.setItem(this.storageKey, JSON.stringify(session));
+            } else {
+                sessionStorage.removeItem(this.storageKey);
+            }
+        } catch (e) {
+            console.error('Erreur sauvegarde session:', e);
+        }
+    }
+
+    /**
+     * Récupère le profil du joueur local ({ name, color })
+     */
+    loadProfile() {
+        try {
+            const data = localStorage.getItem(this.profileKey);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('Erreur lecture profil:', e);
+        }
+        return { name: '', color: null };
+    }
+
+    /**
+     * Sauvegarde le profil du joueur local
+     */
+    saveProfile() {
+        try {
+            localStorage.setItem(this.profileKey, JSON.stringify(this.profile));
+        } catch (e) {
+            console.error('Erreur sauvegarde profil:', e);
+        }
+    }
+
     /**
      * Crée une partie (HOST)
      */
@@ -56,36 +254,26 @@ export class NetworkManager {
         this.notifyStateChange();
 
         this.sessionCode = this.generateSessionCode();
+        this.resetMessageStats();
 
         return new Promise((resolve, reject) => {
-            // Crée le peer avec l'ID = code de session et config ICE
-            this.peer = new Peer(this.sessionCode, {
-                debug: 2,
-                config: {
-                    iceServers: [
-                        { urls: 'stun:stun.l.google.com:19302' },
-                        { urls: 'stun:stun1.l.google.com:19302' }
-                    ]
-                }
-            });
+            // Crée le peer avec l'ID = code de session
+            this.peer = this.transport.createPeer(this.sessionCode);
 
             this.peer.on('open', (id) => {
                 console.log('Host ready, session code:', id);
+                this.playerIndex = HOST_PLAYER_INDEX;
+                this.playerIndices = [HOST_PLAYER_INDEX];
+                this.lobby.reset();
+                this.lobby.addPlayer(HOST_PLAYER_INDEX, this.profile);
+                this.startPinging();
                 this.state = NetworkState.WAITING;
                 this.notifyStateChange();
                 resolve(this.sessionCode);
             });
 
             this.peer.on('connection', (conn) => {
-                console.log('Player connected!');
-                this.connection = conn;
-                this.setupConnectionHandlers();
-                this.state = NetworkState.CONNECTED;
-                this.notifyStateChange();
-
-                if (this.onPlayerJoined) {
-                    this.onPlayerJoined();
-                }
+                conn.on('open', () => this.acceptConnection(conn));
             });
 
             this.peer.on('error', (err) => {
@@ -105,12 +293,167 @@ export class NetworkManager {
     }
 
     /**
-     * Rejoint une partie (CLIENT)
+     * Accueille un joueur (HOST): lui attribue le premier index libre, ou le refuse
+     */
+    acceptConnection(conn) {
+        // Pair d'une autre version: ses messages ne seraient pas compris
+        if (!conn.metadata || conn.metadata.protocol !== PROTOCOL_VERSION) {
+            this.refuseConnection(conn, RefusalReason.INCOMPATIBLE);
+            return;
+        }
+
+        if (conn.metadata.spectator) {
+            this.acceptSpectator(conn);
+            return;
+        }
+
+        // Un joueur qui revient avec son jeton reprend sa place
+        const token = conn.metadata && conn.metadata.token;
+        const rejoinIndex = token ? this.findPlayerByToken(token) : null;
+        if (rejoinIndex !== null) {
+            this.rejoinPlayer(conn, rejoinIndex);
+            return;
+        }
+
+        let refusal = null;
+        if (this.state === NetworkState.IN_GAME) {
+            refusal = RefusalReason.IN_GAME;
+        } else if (this.playerIndices.length >= MAX_NETWORK_PLAYERS) {
+            refusal = RefusalReason.FULL;
+        }
+
+        if (refusal) {
+            this.refuseConnection(conn, refusal);
+            return;
+        }
+
+        let playerIndex = HOST_PLAYER_INDEX + 1;
+        while (this.playerIndices.includes(playerIndex)) playerIndex++;
+
+        console.log(`Player ${playerIndex} connected!`);
+        this.connections.set(conn.peer, { connection: conn, playerIndex });
+        this.playerIndices = [...this.playerIndices, playerIndex].sort((a, b) => a - b);
+        this.playerTokens[playerIndex] = this.generateSessionCode(PLAYER_TOKEN_LENGTH);
+        this.lobby.addPlayer(playerIndex, conn.metadata.profile || {});
+        this.setupConnectionHandlers(conn);
+
+        this.post(conn, 'welcome', {
+            protocol: PROTOCOL_VERSION,
+            playerIndex,
+            players: this.playerIndices,
+            token: this.playerTokens[playerIndex]
+        });
+        this.send('players', { players: this.playerIndices });
+        this.sendLobby();
+
+        this.state = NetworkState.CONNECTED;
+        this.notifyStateChange();
+
+        if (this.onPlayerJoined) {
+            this.onPlayerJoined(playerIndex);
+        }
+    }
+
+    /**
+     * Refuse un pair (HOST): lui donne la raison avant de fermer la connexion
+     */
+    refuseConnection(conn, reason) {
+        this.post(conn, 'refused', { reason });
+        // Fermée après l'envoi du refus, même retardé par LagSimulator
+        this.lagSimulator.schedule(`out:${conn.peer}`, () => setTimeout(() => conn.close(), 500));
+    }
+
+    /**
+     * Accueille un spectateur (HOST), même en cours de partie
+     */
+    acceptSpectator(conn) {
+        if (this.getSpectatorCount() >= MAX_SPECTATORS) {
+            this.refuseConnection(conn, RefusalReason.SPECTATORS_FULL);
+            return;
+        }
+
+        console.log('Spectator connected');
+        this.connections.set(conn.peer, { connection: conn, playerIndex: null, spectator: true });
+        this.setupConnectionHandlers(conn);
+        this.post(conn, 'welcome', {
+            protocol: PROTOCOL_VERSION,
+            playerIndex: null,
+            players: this.playerIndices,
+            spectator: true
+        });
+        this.post(conn, 'lobby', this.lobby.getData());
+        this.stateCompressor.requestKeyframe();
+
+        if (this.state === NetworkState.WAITING) {
+            this.state = NetworkState.CONNECTED;
+            this.notifyStateChange();
+        }
+
+        if (this.onSpectatorJoined) {
+            this.onSpectatorJoined(conn.peer);
+        }
+    }
+
+    /**
+     * Index de la place correspondant à un jeton (null si inconnu)
+     */
+    findPlayerByToken(token) {
+        const entry = Object.entries(this.playerTokens).find(([, playerToken]) => playerToken === token);
+        return entry ? parseInt(entry[0], 10) : null;
+    }
+
+    /**
+     * Rend sa place à un joueur revenu (HOST); la partie reprend quand plus personne n'est attendu
+     */
+    rejoinPlayer(conn, playerIndex) {
+        // Ancienne connexion pas encore vue comme coupée: remplacée sans signaler de départ
+        for (const [peerId, entry] of this.connections) {
+            if (entry.playerIndex === playerIndex) {
+                this.connections.delete(peerId);
+                entry.connection.close();
+            }
+        }
+
+        const suspended = this.disconnectedPlayers.get(playerIndex);
+        if (suspended) {
+            clearTimeout(suspended.timer);
+            this.disconnectedPlayers.delete(playerIndex);
+        }
+
+        console.log(`Player ${playerIndex} reconnected`);
+        this.connections.set(conn.peer, { connection: conn, playerIndex });
+        this.setupConnectionHandlers(conn);
+
+        this.post(conn, 'welcome', {
+            protocol: PROTOCOL_VERSION,
+            playerIndex,
+            players: this.playerIndices,
+            token: this.playerTokens[playerIndex]
+        });
+        this.post(conn, 'lobby', this.lobby.getData());
+        this.send('playerReconnected', { playerIndex }, conn.peer);
+        this.stateCompressor.requestKeyframe();
+
+        if (this.state === NetworkState.WAITING) {
+            this.state = NetworkState.CONNECTED;
+            this.notifyStateChange();
+        }
+
+        if (this.onPlayerReconnected) {
+            this.onPlayerReconnected(playerIndex);
+        }
+    }
+
+    /**
+     * Rejoint une partie (CLIENT), comme joueur ou comme spectateur
+     * Avec le jeton gardé pour ce code (page rechargée), reprend sa place dans la partie en cours
      */
-    async joinGame(code) {
+    async joinGame(code, { spectator = false } = {}) {
         this.role = NetworkRole.CLIENT;
         this.state = NetworkState.CONNECTING;
         this.sessionCode = code.toUpperCase();
+        this.spectator = spectator;
+        this.resetMessageStats();
         this.notifyStateChange();
 
         return new Promise((resolve, reject) => {
@@ -119,6 +462,7 @@ export class NetworkManager {
             const handleError = (err, message) => {
                 if (connectionResolved) return;
                 connectionResolved = true;
+                this.pendingJoin = null;
                 console.error(message, err);
                 this.state = NetworkState.DISCONNECTED;
                 this.notifyStateChange();
@@ -126,50 +470,49 @@ export class NetworkManager {
                 reject(err);
             };
 
-            // Crée un peer avec config ICE explicite pour aider avec NAT
-            this.peer = new Peer({
-                debug: 2,
-                config: {
-                    iceServers: [
-                        { urls: 'stun:stun.l.google.com:19302' },
-                        { urls: 'stun:stun1.l.google.com:19302' }
-                    ]
-                }
-            });
+            const session = spectator ? null : this.loadSession();
+            const token = session && session.code === this.sessionCode && !tokensInUse.has(session.token)
+                ? session.token
+                : null;
+
+            // Crée un peer (ID attribué par le transport)
+            this.peer = this.transport.createPeer();
 
             this.peer.on('open', (id) => {
                 console.log('Client peer ready with ID:', id);
                 console.log('Attempting to connect to host:', this.sessionCode);
 
                 // Se connecte à l'host
-                this.connection = this.peer.connect(this.sessionCode, {
-                    reliable: true,
-                    serialization: 'json'
-                });
+                const connection = this.peer.connect(this.sessionCode, this.getConnectOptions(token));
 
-                if (!this.connection) {
+                if (!connection) {
                     handleError(new Error('Failed to create connection'), 'Connection creation failed');
                     return;
                 }
 
-                this.connection.on('open', () => {
+                connection.on('open', () => {
                     if (connectionResolved) return;
-                    connectionResolved = true;
 
+                    // Connecté: reste à recevoir l'index attribué par l'host (welcome) ou un refus
                     console.log('✓ Connected to host successfully!');
-                    this.setupConnectionHandlers();
-                    this.state = NetworkState.CONNECTED;
-                    this.notifyStateChange();
-                    resolve();
+                    this.connections.set(connection.peer, { connection, playerIndex: HOST_PLAYER_INDEX });
+                    this.setupConnectionHandlers(connection);
+                    this.pendingJoin = {
+                        resolve: () => {
+                            connectionResolved = true;
+                            resolve();
+                        },
+                        reject: (err) => handleError(err, 'Join refused:')
+                    };
                 });
 
-                this.connection.on('error', (err) => {
+                connection.on('error', (err) => {
                     handleError(err, 'Connection error:');
                 });
 
                 // Timeout spécifique pour la connexion au pair
                 setTimeout(() => {
-                    if (!connectionResolved && this.connection && !this.connection.open) {
+                    if (!connectionResolved && !connection.open) {
                         handleError(new Error('Peer connection timeout - host may not exist'), 'Peer timeout:');
                     }
                 }, 10000);
@@ -194,86 +537,794 @@ export class NetworkManager {
     }
 
     /**
-     * Configure les handlers de connexion
+     * Options de connexion à l'host (CLIENT): version du protocole, encodage, jeton et profil
      */
-    setupConnectionHandlers() {
-        this.connection.on('data', (data) => {
-            this.handleReceivedData(data);
+    getConnectOptions(token) {
+        return {
+            reliable: true,
+            serialization: this.encoding === MessageEncoding.BINARY ? 'binary' : 'json',
+            metadata: {
+                protocol: PROTOCOL_VERSION,
+                encoding: this.encoding,
+                token,
+                spectator: this.spectator,
+                profile: this.profile
+            }
+        };
+    }
+
+    /**
+     * Configure les handlers d'une connexion
+     */
+    setupConnectionHandlers(conn) {
+        // Fermeture traitée après les messages reçus avant elle (retardés par LagSimulator)
+        const channel = `in:${conn.peer}`;
+        conn.on('data', (data) => {
+            this.lagSimulator.schedule(channel, () => this.handleReceivedData(data, conn.peer));
+        });
+
+        conn.on('close', () => {
+            this.lagSimulator.schedule(channel, () => this.handleConnectionClosed(conn.peer));
         });
+    }
+
+    /**
+     * Une connexion s'est fermée: un joueur part (HOST) ou la session est perdue (CLIENT)
+     */
+    handleConnectionClosed(peerId) {
+        const entry = this.connections.get(peerId);
+        if (!entry) return;
+        this.connections.delete(peerId);
+        this.diagnostics.removeLink(peerId);
+
+        if (this.role === NetworkRole.HOST) {
+            if (entry.spectator) {
+                console.log('Spectator left');
+                this.updateWaitingState();
+                return;
+            }
+
+            // En partie: place gardée jusqu'à la fin du délai de grâce
+            if (this.state === NetworkState.IN_GAME) {
+                this.suspendPlayer(entry.playerIndex);
+                return;
+            }
+
+            console.log(`Player ${entry.playerIndex} left`);
+            this.dropPlayer(entry.playerIndex);
+            this.updateWaitingState();
+            return;
+        }
+
+        console.log('Connection to host closed');
+        if (this.state === NetworkState.IN_GAME) {
+            this.startReconnecting();
+        } else if (this.state !== NetworkState.RECONNECTING) {
+            this.endSession();
+        } else if (!this.reconnectTimer) {
+            // Coupée à nouveau avant la reprise
+            this.attemptReconnect();
+        }
+    }
+
+    /**
+     * Exclut un pair (HOST): refusé et retiré tout de suite, sans délai de grâce
+     */
+    excludePeer(peerId, reason) {
+        const entry = this.connections.get(peerId);
+        if (!entry) return;
 
-        this.connection.on('close', () => {
-            console.log('Connection closed');
-            this.state = NetworkState.DISCONNECTED;
+        console.warn(`Peer ${peerId} excluded: ${reason}`);
+        this.connections.delete(peerId);
+        this.diagnostics.removeLink(peerId);
+        this.refuseConnection(entry.connection, reason);
+
+        if (!entry.spectator) {
+            this.dropPlayer(entry.playerIndex);
+        }
+        this.updateWaitingState();
+    }
+
+    /**
+     * Retire un joueur de la session et le signale à tous (HOST)
+     */
+    dropPlayer(playerIndex) {
+        this.removePlayer(playerIndex);
+        this.send('playerLeft', { playerIndex });
+        this.send('players', { players: this.playerIndices });
+        this.sendLobby();
+    }
+
+    /**
+     * Plus personne de connecté (HOST): retour à l'attente
+     */
+    updateWaitingState() {
+        if (this.connections.size === 0 && this.state === NetworkState.CONNECTED) {
+            this.state = NetworkState.WAITING;
             this.notifyStateChange();
+        }
+    }
+
+    /**
+     * Met un joueur coupé en attente (HOST): la partie est en pause jusqu'à son retour
+     * ou la fin du délai de grâce, où il quitte la partie
+     */
+    suspendPlayer(playerIndex) {
+        console.log(`Player ${playerIndex} disconnected, waiting for reconnection`);
+        const timer = setTimeout(() => this.expirePlayer(playerIndex), RECONNECT_GRACE_PERIOD);
+        this.disconnectedPlayers.set(playerIndex, { deadline: this.now() + RECONNECT_GRACE_PERIOD, timer });
+        this.send('playerDisconnected', { playerIndex, timeout: RECONNECT_GRACE_PERIOD });
+
+        if (this.onPlayerDisconnected) {
+            this.onPlayerDisconnected(playerIndex);
+        }
+    }
+
+    /**
+     * Fin du délai de grâce d'un joueur coupé (HOST): il quitte la partie
+     */
+    expirePlayer(playerIndex) {
+        if (!this.disconnectedPlayers.has(playerIndex)) return;
+
+        console.log(`Player ${playerIndex} did not come back`);
+        this.dropPlayer(playerIndex);
+    }
+
+    /**
+     * Connexion à l'host coupée en partie (CLIENT): nouvelles tentatives jusqu'à la fin du délai de grâce
+     */
+    startReconnecting() {
+        this.state = NetworkState.RECONNECTING;
+        this.reconnectDeadline = this.now() + RECONNECT_GRACE_PERIOD;
+        this.notifyStateChange();
+
+        if (this.onConnectionLost) {
+            this.onConnectionLost();
+        }
+        this.attemptReconnect();
+    }
+
+    /**
+     * Tente de se reconnecter à l'host avec son jeton, puis réessaie tant que l'host n'a pas répondu
+     */
+    attemptReconnect() {
+        this.reconnectTimer = null;
+        if (this.state !== NetworkState.RECONNECTING) return;
+
+        if (this.now() >= this.reconnectDeadline) {
+            this.endSession();
+            return;
+        }
 
-            if (this.onPlayerLeft) {
-                this.onPlayerLeft();
+        // Perte du serveur de signalisation: le peer se réenregistre avec son ID
+        if (this.peer.disconnected) {
+            this.peer.reconnect();
+        }
+
+        const connection = this.peer.connect(this.sessionCode, this.getConnectOptions(this.playerToken));
+
+        if (connection) {
+            connection.on('open', () => {
+                if (this.state !== NetworkState.RECONNECTING) {
+                    connection.close();
+                    return;
+                }
+                this.connections.set(connection.peer, { connection, playerIndex: HOST_PLAYER_INDEX });
+                this.setupConnectionHandlers(connection);
+            });
+        }
+
+        this.reconnectTimer = setTimeout(() => {
+            if (connection && connection.open) return;
+            if (connection) connection.close();
+            this.attemptReconnect();
+        }, RECONNECT_RETRY_DELAY);
+    }
+
+    /**
+     * Session terminée (CLIENT): host parti ou injoignable après le délai de grâce
+     */
+    endSession() {
+        this.state = NetworkState.DISCONNECTED;
+        this.notifyStateChange();
+
+        if (this.onHostLeft) {
+            this.onHostLeft();
+        }
+    }
+
+    /**
+     * Retire un joueur parti de la session
+     */
+    removePlayer(playerIndex) {
+        this.playerIndices = this.playerIndices.filter(index => index !== playerIndex);
+        delete this.playerSnapshots[playerIndex];
+        delete this.playerTokens[playerIndex];
+        this.disconnectedPlayers.delete(playerIndex);
+        this.lobby.removePlayer(playerIndex);
+
+        if (this.onPlayerLeft) {
+            this.onPlayerLeft(playerIndex);
+        }
+    }
+
+    /**
+     * Décode et vérifie un message reçu (null s'il est invalide ou interdit à son expéditeur)
+     */
+    readMessage(raw) {
+        const size = this.measure(raw);
+        try {
+            if (size > MAX_MESSAGE_BYTES) {
+                throw new Error(`message trop long (${size} octets)`);
             }
-        });
+            const message = raw instanceof ArrayBuffer || ArrayBuffer.isView(raw) ? this.codec.decode(raw) : raw;
+            const direction = this.role === NetworkRole.HOST ? MessageDirection.TO_HOST : MessageDirection.TO_CLIENT;
+            const error = validateMessage(message, direction);
+            if (error) {
+                throw new Error(error);
+            }
+            this.countMessage('received', message.type, size);
+            return message;
+        } catch (e) {
+            console.warn('Message rejeté:', e.message);
+            this.countMessage('received', 'invalid', size);
+            return null;
+        }
     }
 
     /**
-     * Gère les données reçues
+     * Gère les données reçues d'un pair
      */
-    handleReceivedData(data) {
-        if (data.type === 'gameStart') {
+    handleReceivedData(raw, peerId) {
+        const sender = this.connections.get(peerId);
+        if (!sender) return;
+
+        const data = this.readMessage(raw);
+        if (!data) {
+            // Un pair qui envoie des messages invalides ou réservés à l'host est exclu; ceux de l'host sont ignorés
+            if (this.role === NetworkRole.HOST) {
+                this.excludePeer(peerId, RefusalReason.MALFORMED);
+            }
+            return;
+        }
+
+        // Mesure de la connexion, aussi avec les spectateurs
+        if (data.type === 'ping') {
+            this.post(sender.connection, 'pong', { time: data.payload.time });
+            return;
+        }
+        if (data.type === 'pong') {
+            this.diagnostics.recordRtt(peerId, this.now() - data.payload.time);
+            return;
+        }
+
+        // Les spectateurs ne font que regarder
+        if (this.role === NetworkRole.HOST && sender.spectator) return;
+
+        if (data.type === 'welcome') {
+            if (data.payload.protocol !== PROTOCOL_VERSION) {
+                this.handleRefusal(RefusalReason.INCOMPATIBLE);
+                return;
+            }
+
+            // Accueil de l'host: index et jeton du joueur local (en reconnexion, la partie suit avec 'resume')
+            this.playerIndex = data.payload.playerIndex;
+            this.playerIndices = data.payload.players;
+            tokensInUse.delete(this.playerToken);
+            this.playerToken = data.payload.token || null;
+            if (this.playerToken) {
+                tokensInUse.add(this.playerToken);
+                this.saveSession({ code: this.sessionCode, token: this.playerToken });
+            }
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+            if (this.state !== NetworkState.RECONNECTING) {
+                this.state = NetworkState.CONNECTED;
+                this.notifyStateChange();
+            }
+            this.startPinging();
+            if (this.pendingJoin) {
+                this.pendingJoin.resolve();
+                this.pendingJoin = null;
+            }
+        } else if (data.type === 'refused') {
+            this.handleRefusal(data.payload.reason);
+        } else if (data.type === 'players') {
+            this.playerIndices = data.payload.players;
+        } else if (data.type === 'lobby') {
+            this.lobby.setData(data.payload);
+        } else if (data.type === 'lobbyUpdate') {
+            if (this.role === NetworkRole.HOST && this.lobby.update(sender.playerIndex, data.payload)) {
+                this.sendLobby();
+            }
+        } else if (data.type === 'chat') {
+            if (this.role === NetworkRole.HOST) {
+                this.postChatMessage(sender.playerIndex, data.payload.text);
+            }
+        } else if (data.type === 'playerLeft') {
+            this.removePlayer(data.payload.playerIndex);
+        } else if (data.type === 'playerDisconnected') {
+            const { playerIndex, timeout } = data.payload;
+            this.disconnectedPlayers.set(playerIndex, { deadline: this.now() + timeout, timer: null });
+            if (this.onPlayerDisconnected) {
+                this.onPlayerDisconnected(playerIndex);
+            }
+        } else if (data.type === 'playerReconnected') {
+            this.disconnectedPlayers.delete(data.payload.playerIndex);
+            if (this.onPlayerReconnected) {
+                this.onPlayerReconnected(data.payload.playerIndex);
+            }
+        } else if (data.type === 'resume') {
+            // État complet de la partie au retour: les actions en attente sont abandonnées
+            this.pendingIntents.clear();
+            this.disconnectedPlayers.clear();
+            this.state = NetworkState.IN_GAME;
+            this.notifyStateChange();
+            if (this.onResume) {
+                this.onResume(data.payload);
+            }
+        } else if (data.type === 'pause') {
+            // L'host applique la demande d'un joueur et la renvoie à tous; un client suit l'host
+            if (this.role === NetworkRole.HOST) {
+                this.setPaused(data.payload.paused, sender.playerIndex);
+            } else if (this.onPause) {
+                this.onPause(data.payload.paused, data.payload.playerIndex);
+            }
+        } else if (data.type === 'gameStart') {
             this.state = NetworkState.IN_GAME;
             this.notifyStateChange();
             if (this.onGameStart) {
                 this.onGameStart(data.payload);
             }
         } else if (data.type === 'gameState') {
+            // Différence sans sa base (arrivé en cours de route) ou invalide: attend la prochaine image clé
+            let state;
+            try {
+                state = this.stateCompressor.decompress(data.payload);
+            } catch (e) {
+                state = null;
+            }
+            const error = state && validateGameState(state);
+            if (!state || error) {
+                if (error) console.warn('Message rejeté:', error);
+                return;
+            }
+
+            const gameState = { ...state, time: data.payload.time };
+            this.diagnostics.recordSnapshot();
+            this.stateSnapshots.push(gameState.time, gameState);
             if (this.onGameData) {
-                this.onGameData(data.payload);
+                this.onGameData(gameState);
+            }
+        } else if (data.type === 'intent') {
+            if (this.role === NetworkRole.HOST && this.onIntent) {
+                this.onIntent(sender.playerIndex, data.payload);
+            }
+        } else if (data.type === 'intentAck') {
+            const intent = this.pendingIntents.get(data.payload.id);
+            this.pendingIntents.delete(data.payload.id);
+            if (intent && this.onIntentAck) {
+                this.onIntentAck(data.payload, intent);
+            }
+        } else if (data.type === 'feedback') {
+            if (this.onFeedback) {
+                this.onFeedback(data.payload.message, data.payload.color);
+            }
+        } else if (data.type === 'orderCompleted') {
+            if (this.onOrderCompleted) {
+                this.onOrderCompleted(data.payload);
             }
         } else if (data.type === 'playerState') {
-            this.remotePlayerData = data.payload;
+            // L'host fait foi sur l'index de l'expéditeur et relaie aux autres joueurs
+            const playerIndex = this.role === NetworkRole.HOST ? sender.playerIndex : data.payload.playerIndex;
+            const playerData = { ...data.payload, playerIndex };
+            if (!this.playerSnapshots[playerIndex]) {
+                this.playerSnapshots[playerIndex] = new SnapshotBuffer(() => this.now());
+            }
+            this.playerSnapshots[playerIndex].push(playerData.time, playerData);
+
+            if (this.role === NetworkRole.HOST) {
+                this.send('playerState', playerData, peerId);
+            }
+        }
+    }
+
+    /**
+     * Refus de l'host (CLIENT): à l'arrivée (joinGame échoue), en reconnexion (place perdue) ou en cours de session
+     */
+    handleRefusal(reason) {
+        const message = REFUSAL_MESSAGES[reason] || 'Refusé par l\'host';
+
+        // Place perdue pendant la reconnexion
+        if (this.state === NetworkState.RECONNECTING) {
+            this.endSession();
+            return;
+        }
+        if (this.pendingJoin) {
+            const err = new Error(message);
+            err.type = 'refused';
+            this.pendingJoin.reject(err);
+            this.pendingJoin = null;
+            return;
+        }
+
+        this.disconnect();
+        if (this.onRefused) {
+            this.onRefused(message);
+        }
+    }
+
+    /**
+     * Envoie des données: à tous les joueurs (HOST, sauf exceptPeerId) ou à l'host (CLIENT)
+     */
+    send(type, payload, exceptPeerId = null) {
+        for (const [peerId, { connection }] of this.connections) {
+            if (peerId !== exceptPeerId) {
+                this.post(connection, type, payload);
+            }
         }
     }
 
     /**
-     * Envoie des données au peer
+     * Envoie des données à un seul pair (HOST, ex: un spectateur)
      */
-    send(type, payload) {
-        if (this.connection && this.connection.open) {
-            this.connection.send({ type, payload });
+    sendToPeer(peerId, type, payload) {
+        const entry = this.connections.get(peerId);
+        if (entry) {
+            this.post(entry.connection, type, payload);
         }
     }
 
     /**
-     * Envoie l'état du joueur local
+     * Envoie des données à un seul joueur (HOST)
+     */
+    sendTo(playerIndex, type, payload) {
+        for (const { connection, playerIndex: index } of this.connections.values()) {
+            if (index === playerIndex) {
+                this.post(connection, type, payload);
+            }
+        }
+    }
+
+    /**
+     * Envoie un message sur une connexion, dans l'encodage choisi par le client
+     */
+    post(connection, type, payload) {
+        if (!connection.open) return;
+
+        const message = { type, payload };
+        const binary = connection.metadata && connection.metadata.encoding === MessageEncoding.BINARY;
+        const data = binary ? this.codec.encode(message) : message;
+        this.countMessage('sent', type, this.measure(data));
+        this.lagSimulator.schedule(`out:${connection.peer}`, () => {
+            if (connection.open) connection.send(data);
+        });
+    }
+
+    /**
+     * Taille d'un message en octets (binaire, ou JSON tel qu'envoyé)
+     */
+    measure(data) {
+        if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            return data.byteLength;
+        }
+        try {
+            return textEncoder.encode(JSON.stringify(data)).length;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    /**
+     * Compte un message envoyé ou reçu (direction: 'sent' ou 'received')
+     */
+    countMessage(direction, type, bytes) {
+        if (!this.messageStats[type]) {
+            this.messageStats[type] = { sent: 0, sentBytes: 0, received: 0, receivedBytes: 0 };
+        }
+        this.messageStats[type][direction]++;
+        this.messageStats[type][`${direction}Bytes`] += bytes;
+        this.diagnostics.recordTraffic(direction, bytes);
+    }
+
+    /**
+     * Messages et octets échangés par type depuis le début de la session (console: console.table)
+     */
+    getMessageStats() {
+        return this.messageStats;
+    }
+
+    /**
+     * Remet les compteurs de messages à zéro
+     */
+    resetMessageStats() {
+        this.messageStats = {};
+    }
+
+    /**
+     * Lance les pings réguliers vers les pairs (une fois connecté)
+     */
+    startPinging() {
+        if (this.pingTimer) return;
+        this.pingTimer = setInterval(() => this.ping(), PING_INTERVAL);
+    }
+
+    /**
+     * Envoie un ping daté à tous les pairs (la réponse donne l'aller-retour) et met à jour les débits
+     */
+    ping() {
+        this.diagnostics.updateRates();
+        this.send('ping', { time: this.now() });
+    }
+
+    /**
+     * Mesures de la connexion pour l'overlay réseau:
+     * { links: [{ playerIndex, spectator, rtt, jitter }], rates, snapshotAge, simulated }
+     * (rtt et jitter null avant le premier pong, snapshotAge null pour l'host)
+     */
+    getDiagnostics() {
+        const links = [...this.connections].map(([peerId, { playerIndex, spectator }]) => ({
+            playerIndex,
+            spectator: !!spectator,
+            ...(this.diagnostics.getLink(peerId) || { rtt: null, jitter: null })
+        }));
+
+        let snapshotAge = null;
+        if (this.role === NetworkRole.CLIENT) {
+            const hostLink = links[0];
+            snapshotAge = this.diagnostics.getSnapshotAge(hostLink && hostLink.rtt !== null ? hostLink.rtt : 0);
+        }
+
+        return {
+            links,
+            rates: this.diagnostics.getRates(),
+            snapshotAge,
+            simulated: this.lagSimulator.isActive() ? this.lagSimulator.getSettings() : null
+        };
+    }
+
+    /**
+     * Simule une mauvaise connexion (développement): { latency, jitter, dropRate }, en ms et de 0 à 0.5
+     * Appliquée aux messages envoyés et reçus; { latency: 0, jitter: 0, dropRate: 0 } pour l'arrêter
+     */
+    simulateConditions(settings) {
+        this.lagSimulator.configure(settings);
+    }
+
+    /**
+     * Envoie l'état du joueur local, daté pour l'interpolation
      */
     sendPlayerState(playerData) {
-        this.send('playerState', playerData);
+        this.send('playerState', { ...playerData, playerIndex: this.playerIndex, time: this.now() });
     }
 
     /**
-     * Envoie l'état complet du jeu (HOST only)
+     * Envoie une intention du joueur local à l'host (CLIENT): { type, position }
+     * Retourne son id, repris dans l'accusé de réception
+     */
+    sendIntent(intent) {
+        const id = ++this.intentSequence;
+        this.pendingIntents.set(id, intent);
+        this.send('intent', { ...intent, id });
+        return id;
+    }
+
+    /**
+     * Répond à une intention après l'avoir validée ou refusée (HOST)
+     */
+    acknowledgeIntent(playerIndex, id, { accepted, reason }) {
+        this.sendTo(playerIndex, 'intentAck', { id, accepted, reason });
+    }
+
+    /**
+     * Transmet un message de feedback au joueur concerné (HOST)
+     */
+    sendFeedback(playerIndex, message, color) {
+        this.sendTo(playerIndex, 'feedback', { message, color });
+    }
+
+    /**
+     * Signale à un joueur qu'il a complété une commande, pour qu'il encaisse (HOST)
+     */
+    sendOrderCompleted(playerIndex, result) {
+        this.sendTo(playerIndex, 'orderCompleted', result);
+    }
+
+    /**
+     * Envoie l'état du jeu (HOST only), en différence avec le précédent
      */
     sendGameState(gameState) {
         if (this.role === NetworkRole.HOST) {
-            this.send('gameState', gameState);
+            this.send('gameState', { ...this.stateCompressor.compress(gameState), time: this.now() });
+        }
+    }
+
+    /**
+     * Envoie l'état complet de la partie à un joueur revenu (HOST)
+     */
+    sendResume(playerIndex, resumeData) {
+        this.sendTo(playerIndex, 'resume', resumeData);
+    }
+
+    /**
+     * Envoie l'état complet de la partie à un spectateur arrivé en cours de partie (HOST)
+     */
+    sendSpectatorResume(peerId, resumeData) {
+        this.sendToPeer(peerId, 'resume', resumeData);
+    }
+
+    /**
+     * Envoie le salon à tous (HOST)
+     */
+    sendLobby() {
+        this.send('lobby', this.lobby.getData());
+    }
+
+    /**
+     * Change le pseudo, la couleur, le prêt ou le vote du joueur local: { name, color, ready, vote }
+     * L'host l'applique et renvoie le salon; un client le demande à l'host
+     */
+    updateLobby(changes) {
+        if (changes.name !== undefined || changes.color !== undefined) {
+            this.profile = {
+                name: changes.name !== undefined ? changes.name : this.profile.name,
+                color: changes.color !== undefined ? changes.color : this.profile.color
+            };
+            this.saveProfile();
+        }
+
+        if (this.role === NetworkRole.HOST) {
+            if (this.lobby.update(this.playerIndex, changes)) {
+                this.sendLobby();
+            }
+        } else if (this.role === NetworkRole.CLIENT && !this.spectator) {
+            this.send('lobbyUpdate', changes);
+        }
+    }
+
+    /**
+     * Envoie un message au chat du salon
+     */
+    sendChat(text) {
+        if (this.role === NetworkRole.HOST) {
+            this.postChatMessage(this.playerIndex, text);
+        } else if (this.role === NetworkRole.CLIENT && !this.spectator) {
+            this.send('chat', { text });
         }
     }
 
     /**
-     * Lance la partie (HOST only)
+     * Ajoute le message d'un joueur au chat et renvoie le salon (HOST)
      */
-    startGame(difficulty) {
+    postChatMessage(playerIndex, text) {
+        const message = this.lobby.createMessage(playerIndex, text);
+        if (message) {
+            this.lobby.addMessage(message);
+            this.sendLobby();
+        }
+    }
+
+    /**
+     * Lance la partie avec les joueurs connectés (HOST only), sur la carte choisie
+     */
+    startGame(difficulty, map) {
         if (this.role === NetworkRole.HOST && this.state === NetworkState.CONNECTED) {
             this.state = NetworkState.IN_GAME;
             this.notifyStateChange();
-            this.send('gameStart', { difficulty });
+            this.stateCompressor.reset();
+            this.send('gameStart', { difficulty, map, players: this.playerIndices });
             return true;
         }
         return false;
     }
 
     /**
-     * Retourne les données du joueur distant
+     * Relance la partie en cours pour tous (HOST only), ex: depuis le menu pause
      */
-    getRemotePlayerData() {
-        return this.remotePlayerData;
+    restartGame(difficulty, map) {
+        if (this.role === NetworkRole.HOST && this.state === NetworkState.IN_GAME) {
+            this.stateCompressor.reset();
+            this.send('gameStart', { difficulty, map, players: this.playerIndices });
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Demande la pause (ou la reprise) de la partie pour tous: appliquée tout de suite par l'host,
+     * demandée à l'host par un client (les spectateurs ne font que regarder)
+     */
+    requestPause(paused) {
+        if (this.role === NetworkRole.HOST) {
+            this.setPaused(paused, this.playerIndex);
+        } else if (this.role === NetworkRole.CLIENT && !this.spectator) {
+            this.send('pause', { paused });
+        }
+    }
+
+    /**
+     * Met la partie en pause ou la reprend pour tous (HOST), à la demande d'un joueur
+     */
+    setPaused(paused, playerIndex) {
+        if (this.state !== NetworkState.IN_GAME) return;
+
+        this.send('pause', { paused, playerIndex });
+        if (this.onPause) {
+            this.onPause(paused, playerIndex);
+        }
+    }
+
+    /**
+     * Retourne les dernières données reçues d'un joueur distant
+     */
+    getRemotePlayerData(playerIndex) {
+        const buffer = this.playerSnapshots[playerIndex];
+        const latest = buffer ? buffer.getLatest() : null;
+        return latest ? latest.state : null;
+    }
+
+    /**
+     * États d'un joueur distant qui encadrent le moment affiché, delay ms dans le passé
+     * ({ from, to, alpha }, null si rien reçu)
+     */
+    sampleRemotePlayer(playerIndex, delay) {
+        const buffer = this.playerSnapshots[playerIndex];
+        return buffer ? buffer.sample(delay) : null;
+    }
+
+    /**
+     * États du jeu reçus de l'host qui encadrent le moment affiché (CLIENT)
+     */
+    sampleGameState(delay) {
+        return this.stateSnapshots.sample(delay);
+    }
+
+    /**
+     * Oublie les états reçus (début de partie)
+     */
+    clearSnapshots() {
+        this.playerSnapshots = {};
+        this.stateSnapshots.clear();
+    }
+
+    /**
+     * Vérifie si la partie attend un joueur coupé (ou la reconnexion du joueur local)
+     */
+    isWaitingForPlayers() {
+        return this.state === NetworkState.RECONNECTING || this.disconnectedPlayers.size > 0;
+    }
+
+    /**
+     * Joueurs attendus et secondes restantes avant la fin de leur délai de grâce
+     */
+    getDisconnectedPlayers() {
+        return [...this.disconnectedPlayers].map(([playerIndex, { deadline }]) => ({
+            playerIndex,
+            remaining: Math.max(0, Math.ceil((deadline - this.now()) / 1000))
+        }));
+    }
+
+    /**
+     * Secondes restantes pour se reconnecter à l'host (CLIENT)
+     */
+    getReconnectRemaining() {
+        return Math.max(0, Math.ceil((this.reconnectDeadline - this.now()) / 1000));
+    }
+
+    /**
+     * Nombre de spectateurs connectés (HOST)
+     */
+    getSpectatorCount() {
+        return [...this.connections.values()].filter(entry => entry.spectator).length;
+    }
+
+    /**
+     * Nombre de joueurs de la session (host compris)
+     */
+    getPlayerCount() {
+        return this.playerIndices.length;
     }
 
     /**
@@ -294,10 +1345,23 @@ export class NetworkManager {
      * Déconnecte
      */
     disconnect() {
-        if (this.connection) {
-            this.connection.close();
-            this.connection = null;
+        for (const { timer } of this.disconnectedPlayers.values()) {
+            clearTimeout(timer);
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+        }
+        if (this.pingTimer) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
         }
+        this.lagSimulator.reset();
+
+        // Vidé avant de fermer: pas de départ signalé pour une déconnexion volontaire
+        const connections = [...this.connections.values()];
+        this.connections.clear();
+        connections.forEach(({ connection }) => connection.close());
+
         if (this.peer) {
             this.peer.destroy();
             this.peer = null;
@@ -305,7 +1369,24 @@ export class NetworkManager {
         this.role = NetworkRole.NONE;
         this.state = NetworkState.DISCONNECTED;
         this.sessionCode = null;
-        this.remotePlayerData = null;
+        this.playerIndex = null;
+        this.playerIndices = [];
+        this.pendingJoin = null;
+        this.pendingIntents.clear();
+        this.clearSnapshots();
+        this.stateCompressor.reset();
+        this.diagnostics.reset();
+        this.playerTokens = {};
+        tokensInUse.delete(this.playerToken);
+        this.playerToken = null;
+        this.spectator = false;
+        this.lobby.reset();
+        this.disconnectedPlayers.clear();
+        this.reconnectDeadline = null;
+        this.reconnectTimer = null;
+
+        // Départ volontaire (ou session terminée): pas de retour possible
+        this.saveSession(null);
         this.notifyStateChange();
     }
 
@@ -0,0 +1,192 @@
+/**
+ * ReplayPlayer - Rejoue une partie enregistrée (ReplayRecorder) en re-simulant depuis sa graine
+ * Pause, avance rapide et déplacement dans le temps (reculer = re-simuler depuis le début)
+ * Sans affichage: sert aussi à vérifier qu'un high score n'a pas été trafiqué
+ */
+import { GameSimulation } from '../core/GameSimulation.js';
+import { InputManager, Action } from '../core/InputManager.js';
+import { EconomyManager } from './EconomyManager.js';
+import { LevelState } from './LevelManager.js';
+import { REPLAY_VERSION } from './ReplayRecorder.js';
+
+// Vitesses de lecture (pas de simulation par pas affiché)
+export const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+// Les replays sont enregistrés en solo
+const PLAYER_INDEX = 1;
+
+export class ReplayPlayer {
+    constructor(replay, mapData) {
+        this.replay = replay;
+        this.mapData = mapData;
+
+        this.simulation = new GameSimulation();
+        this.economyManager = new EconomyManager();
+
+        // Lecture
+        this.paused = false;
+        this.speedIndex = 0;
+
+        this.restart();
+    }
+
+    /**
+     * Vérifie qu'un replay peut être rejoué par cette version du jeu
+     */
+    static isCompatible(replay) {
+        return !!replay && replay.version === REPLAY_VERSION;
+    }
+
+    /**
+     * Re-simule tout le replay et vérifie qu'il donne bien le score enregistré
+     */
+    static verify(replay, mapData, difficulty, entry) {
+        if (!ReplayPlayer.isCompatible(replay) || replay.difficulty !== difficulty) return false;
+
+        const player = new ReplayPlayer(replay, mapData);
+        while (!player.isFinished() && player.frame < replay.frameCount) {
+            player.stepFrame();
+        }
+
+        const simulation = player.simulation;
+        return player.isFinished() &&
+            simulation.levelManager.score === entry.score &&
+            simulation.customerManager.customersServed === entry.customersServed;
+    }
+
+    /**
+     * Reprend la partie au début (même carte, graine et améliorations)
+     */
+    restart() {
+        const upgrades = this.replay.upgrades || {};
+
+        this.simulation.loadMap(this.mapData, this.economyManager.getOwnedUpgrades(upgrades));
+        this.simulation.start({
+            difficulty: this.replay.difficulty,
+            seed: this.replay.seed,
+            patienceMultiplier: this.economyManager.getPatienceMultiplier(upgrades)
+        });
+        this.economyManager.applyUpgrades(this.getPlayer(), upgrades);
+
+        this.actions = { ...this.replay.initialActions };
+        this.axis = { ...this.replay.initialAxis };
+        this.frame = 0;
+        this.eventIndex = 0;
+    }
+
+    /**
+     * Retourne le joueur rejoué
+     */
+    getPlayer() {
+        return this.simulation.getPlayer(PLAYER_INDEX);
+    }
+
+    /**
+     * Applique un événement enregistré, comme InputManager.processEvents puis Game
+     */
+    applyEvent([, type, ...values]) {
+        if (type === 'axis') {
+            this.axis = { x: values[0], y: values[1] };
+            return;
+        }
+
+        const action = values[0];
+        this.actions[action] = type === 'down';
+
+        if (type === 'down' && action === Action.INTERACT) {
+            this.simulation.interact(PLAYER_INDEX);
+        } else if (type === 'down' && action === Action.DROP) {
+            this.simulation.dropItem(PLAYER_INDEX);
+        }
+    }
+
+    /**
+     * Rejoue un pas de simulation
+     */
+    stepFrame() {
+        const events = this.replay.events;
+        while (this.eventIndex < events.length && events[this.eventIndex][0] <= this.frame) {
+            this.applyEvent(events[this.eventIndex]);
+            this.eventIndex++;
+        }
+
+        this.simulation.step(this.replay.timestep, {
+            [PLAYER_INDEX]: InputManager.getMovementIntent(this.actions, this.axis)
+        });
+        this.frame++;
+    }
+
+    /**
+     * Avance la lecture (appelé à chaque pas affiché)
+     */
+    update() {
+        if (this.paused) return;
+
+        for (let i = 0; i < this.getSpeed() && !this.isFinished(); i++) {
+            this.stepFrame();
+        }
+    }
+
+    /**
+     * Va directement à un pas donné
+     */
+    seek(frame) {
+        const target = Math.max(0, Math.min(frame, this.replay.frameCount));
+        if (target < this.frame) {
+            this.restart();
+        }
+
+        while (this.frame < target && !this.isFinished()) {
+            this.stepFrame();
+        }
+    }
+
+    /**
+     * Avance ou recule de quelques secondes
+     */
+    skip(seconds) {
+        this.seek(this.frame + Math.round(seconds / this.replay.timestep));
+    }
+
+    /**
+     * Met en pause ou reprend la lecture
+     */
+    togglePause() {
+        this.paused = !this.paused;
+    }
+
+    /**
+     * Change la vitesse de lecture (+1 plus rapide, -1 plus lent)
+     */
+    changeSpeed(direction) {
+        this.speedIndex = Math.max(0, Math.min(this.speedIndex + direction, REPLAY_SPEEDS.length - 1));
+    }
+
+    /**
+     * Retourne la vitesse de lecture
+     */
+    getSpeed() {
+        return REPLAY_SPEEDS[this.speedIndex];
+    }
+
+    /**
+     * Vérifie si la partie rejouée est terminée
+     */
+    isFinished() {
+        return this.simulation.levelManager.state !== LevelState.PLAYING;
+    }
+
+    /**
+     * Temps écoulé depuis le début du replay (secondes)
+     */
+    getTime() {
+        return this.frame * this.replay.timestep;
+    }
+
+    /**
+     * Durée totale du replay (secondes)
+     */
+    getDuration() {
+        return this.replay.frameCount * this.replay.timestep;
+    }
+}
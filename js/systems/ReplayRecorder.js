@@ -0,0 +1,55 @@
+/**
+ * ReplayRecorder - Enregistre une partie solo: graine, réglages et chaque changement d'action
+ * ou du stick (InputManager) avec le numéro du pas de simulation avant lequel il est appliqué
+ * ReplayPlayer rejoue ensuite la partie à l'identique
+ */
+
+// À incrémenter si les règles changent: les anciens replays ne donneraient plus le même score
+export const REPLAY_VERSION = 2;
+
+export class ReplayRecorder {
+    /**
+     * setup: { seed, difficulty, mapId, upgrades, timestep }
+     * actions, axis: actions déjà actives et position du stick au lancement de la partie
+     */
+    constructor(setup, actions = {}, axis = { x: 0, y: 0 }) {
+        // Pas de simulation en cours
+        this.frame = 0;
+
+        this.replay = {
+            version: REPLAY_VERSION,
+            ...setup,
+            initialActions: Object.fromEntries(Object.entries(actions).filter(([, pressed]) => pressed)),
+            initialAxis: { ...axis },
+            // [pas, 'down' | 'up', action] ou [pas, 'axis', x, y]
+            events: [],
+            frameCount: 0
+        };
+    }
+
+    /**
+     * Enregistre un événement de l'InputManager
+     */
+    recordEvent(event) {
+        if (event.type === 'axis') {
+            this.replay.events.push([this.frame, event.type, event.x, event.y]);
+        } else {
+            this.replay.events.push([this.frame, event.type, event.action]);
+        }
+    }
+
+    /**
+     * Passe au pas de simulation suivant
+     */
+    nextFrame() {
+        this.frame++;
+    }
+
+    /**
+     * Termine l'enregistrement (appelé pendant le dernier pas) et retourne le replay
+     */
+    finish() {
+        this.replay.frameCount = this.frame + 1;
+        return this.replay;
+    }
+}
@@ -1,10 +1,16 @@
 /**
  * ScoreManager - Gestion des scores et high scores
+ * Les replays, bien plus lourds que les scores, sont sauvegardés à part (une clé par replay)
+ * et seulement pour les meilleurs scores: un replay qui ne tient plus n'empêche pas de garder le score
  */
 export class ScoreManager {
     constructor() {
         this.storageKey = 'qualiteCuiteHighScores';
+        this.replayKeyPrefix = 'qualiteCuiteReplay:';
         this.maxHighScores = 5;
+
+        // Replays gardés par difficulté (les N meilleurs scores)
+        this.maxReplays = 3;
     }
 
     /**
@@ -30,15 +36,18 @@ export class ScoreManager {
 
     /**
      * Sauvegarde un nouveau score
+     * replay: partie enregistrée (ReplayRecorder), pour la revoir et vérifier le score
      */
-    saveScore(difficulty, score, customersServed, timeRemaining) {
+    saveScore(difficulty, score, customersServed, timeRemaining, replay = null) {
         const highScores = this.getHighScores();
+        const previousReplays = (highScores[difficulty] || []).map(old => old.replayId).filter(Boolean);
 
         const entry = {
             score,
             customersServed,
             timeRemaining,
-            date: new Date().toISOString()
+            date: new Date().toISOString(),
+            replayId: replay ? `${difficulty}-${Date.now().toString(36)}` : null
         };
 
         // Ajoute le score
@@ -50,16 +59,84 @@ export class ScoreManager {
         // Trie par score décroissant
         highScores[difficulty].sort((a, b) => b.score - a.score);
 
-        // Garde seulement les top scores
+        // Garde seulement les top scores, et leurs replays pour les meilleurs
         highScores[difficulty] = highScores[difficulty].slice(0, this.maxHighScores);
+        highScores[difficulty].forEach((kept, index) => {
+            if (index >= this.maxReplays) kept.replayId = null;
+        });
+
+        // Replays des scores sortis du classement ou des meilleurs (libère la place d'abord)
+        const keptReplays = new Set(highScores[difficulty].map(kept => kept.replayId));
+        previousReplays
+            .filter(replayId => !keptReplays.has(replayId))
+            .forEach(replayId => this.removeReplay(replayId));
+
+        // Replay du nouveau score s'il est parmi les meilleurs; s'il ne tient pas (quota atteint), le score est gardé sans
+        if (entry.replayId && (!keptReplays.has(entry.replayId) || !this.saveReplay(entry.replayId, replay))) {
+            entry.replayId = null;
+        }
+
+        if (!this.storeHighScores(highScores) && entry.replayId) {
+            this.removeReplay(entry.replayId);
+            entry.replayId = null;
+            this.storeHighScores(highScores);
+        }
+
+        return this.getRank(difficulty, score);
+    }
 
+    /**
+     * Écrit les high scores; retourne false s'ils n'ont pas pu l'être
+     */
+    storeHighScores(highScores) {
         try {
             localStorage.setItem(this.storageKey, JSON.stringify(highScores));
+            return true;
         } catch (e) {
             console.error('Erreur sauvegarde high scores:', e);
+            return false;
         }
+    }
 
-        return this.getRank(difficulty, score);
+    /**
+     * Récupère le replay d'un score (null s'il n'y en a pas)
+     */
+    getReplay(entry) {
+        if (!entry.replayId) return null;
+
+        try {
+            const data = localStorage.getItem(this.replayKeyPrefix + entry.replayId);
+            if (data) {
+                return JSON.parse(data);
+            }
+        } catch (e) {
+            console.error('Erreur lecture replay:', e);
+        }
+        return null;
+    }
+
+    /**
+     * Sauvegarde un replay; retourne false s'il n'a pas pu l'être
+     */
+    saveReplay(replayId, replay) {
+        try {
+            localStorage.setItem(this.replayKeyPrefix + replayId, JSON.stringify(replay));
+            return true;
+        } catch (e) {
+            console.error('Erreur sauvegarde replay:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Supprime un replay
+     */
+    removeReplay(replayId) {
+        try {
+            localStorage.removeItem(this.replayKeyPrefix + replayId);
+        } catch (e) {
+            console.error('Erreur suppression replay:', e);
+        }
     }
 
     /**
@@ -106,6 +183,10 @@ export class ScoreManager {
      * Efface tous les scores
      */
     clearScores() {
+        for (const scores of Object.values(this.getHighScores())) {
+            scores.filter(entry => entry.replayId).forEach(entry => this.removeReplay(entry.replayId));
+        }
+
         try {
             localStorage.removeItem(this.storageKey);
         } catch (e) {
@@ -0,0 +1,86 @@
+/**
+ * SnapshotBuffer - Derniers états reçus d'un pair, datés par son horloge
+ * Permet d'afficher un joueur ou un client distant avec un léger retard, en interpolant
+ * entre les deux états qui encadrent ce moment plutôt qu'en sautant d'un état à l'autre
+ */
+
+// États gardés (à 15 envois/seconde: environ 2 secondes)
+const MAX_SNAPSHOTS = 32;
+
+export class SnapshotBuffer {
+    /**
+     * clock: horloge locale en millisecondes
+     */
+    constructor(clock = () => performance.now()) {
+        this.clock = clock;
+        this.snapshots = [];
+
+        // Écart entre l'horloge locale et celle de l'expéditeur: le plus petit observé
+        // (celui du paquet arrivé le plus vite), pour ne pas dépendre de la gigue
+        this.clockOffset = null;
+    }
+
+    /**
+     * Ajoute un état daté par l'horloge de l'expéditeur (ms)
+     */
+    push(time, state) {
+        const offset = this.clock() - time;
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        }
+
+        // Un état plus ancien que le dernier (arrivé en retard) est ignoré
+        const latest = this.getLatest();
+        if (latest && time <= latest.time) return;
+
+        this.snapshots.push({ time, state });
+        if (this.snapshots.length > MAX_SNAPSHOTS) {
+            this.snapshots.shift();
+        }
+    }
+
+    /**
+     * Dernier état reçu ({ time, state }, null si aucun)
+     */
+    getLatest() {
+        return this.snapshots.length > 0 ? this.snapshots[this.snapshots.length - 1] : null;
+    }
+
+    /**
+     * Temps de l'expéditeur affiché maintenant (delay ms dans le passé)
+     */
+    getRenderTime(delay) {
+        return this.clock() - this.clockOffset - delay;
+    }
+
+    /**
+     * États qui encadrent le moment affiché: { from, to, alpha } (alpha entre 0 et 1)
+     * Sans état plus récent, reste sur le dernier (pas d'extrapolation); null si vide
+     */
+    sample(delay) {
+        const count = this.snapshots.length;
+        if (count === 0) return null;
+
+        const renderTime = this.getRenderTime(delay);
+        const first = this.snapshots[0];
+        const last = this.snapshots[count - 1];
+
+        if (renderTime <= first.time) return { from: first.state, to: first.state, alpha: 0 };
+        if (renderTime >= last.time) return { from: last.state, to: last.state, alpha: 1 };
+
+        let index = count - 1;
+        while (index > 0 && this.snapshots[index - 1].time > renderTime) index--;
+
+        const from = this.snapshots[index - 1];
+        const to = this.snapshots[index];
+        return { from: from.state, to: to.state, alpha: (renderTime - from.time) / (to.time - from.time) };
+    }
+
+    /**
+     * Oublie les états reçus (nouvelle partie)
+     */
+    clear() {
+        this.snapshots = [];
+        this.clockOffset = null;
+    }
+}
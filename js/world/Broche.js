@@ -0,0 +1,129 @@
+/**
+ * Broche - Station viande: la couche extérieure de la broche cuit avec le temps
+ * (crue → cuite → brûlée) et repart crue une fois tranchée
+ */
+import { Zone, ZoneType } from './Zone.js';
+import { Item, ItemType, CookState, CookStateConfig } from '../entities/Item.js';
+
+export class Broche extends Zone {
+    constructor(x, y, width, height, options = {}) {
+        super(x, y, width, height, ZoneType.MEAT_STATION, { ...options, itemType: ItemType.MEAT });
+
+        // Durées de cuisson (secondes)
+        this.cookDuration = options.cookDuration || 4;
+        this.burnDuration = options.burnDuration || 12;
+
+        // Temps de cuisson de la couche extérieure
+        this.cookTime = 0;
+        this.rotation = 0;
+
+        // La broche se dessine elle-même (pas d'icône générique)
+        this.showIcon = false;
+    }
+
+    /**
+     * Fait tourner et cuire la broche
+     */
+    update(deltaTime) {
+        this.cookTime += deltaTime;
+        this.rotation += deltaTime * 3;
+    }
+
+    /**
+     * Retourne l'état de cuisson actuel de la couche extérieure
+     */
+    getCookState() {
+        if (this.cookTime < this.cookDuration) return CookState.RAW;
+        if (this.cookTime < this.burnDuration) return CookState.COOKED;
+        return CookState.BURNT;
+    }
+
+    /**
+     * Tranche la couche extérieure (la couche suivante repart crue)
+     */
+    createItem() {
+        const meat = Item.createMeat(this.getCookState());
+        this.cookTime = 0;
+        return meat;
+    }
+
+    /**
+     * Cuisson en cours, pour la synchronisation réseau
+     */
+    getNetworkData() {
+        return { cookTime: this.cookTime };
+    }
+
+    /**
+     * Reprend la cuisson de la broche de l'host
+     */
+    updateFromNetwork(data) {
+        this.cookTime = data.cookTime;
+    }
+
+    /**
+     * Remet la broche à zéro
+     */
+    reset() {
+        this.cookTime = 0;
+        this.rotation = 0;
+    }
+
+    /**
+     * Dessine la station avec la broche et sa jauge de cuisson
+     */
+    render(ctx) {
+        super.render(ctx);
+
+        const cx = this.x + this.width / 2;
+        const top = this.y + 28;
+        const bottom = this.y + this.height - 16;
+        const cook = CookStateConfig[this.getCookState()];
+
+        // Axe
+        ctx.strokeStyle = '#9e9e9e';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(cx, top - 4);
+        ctx.lineTo(cx, bottom + 6);
+        ctx.stroke();
+
+        // Cône de viande
+        ctx.fillStyle = cook.color;
+        ctx.beginPath();
+        ctx.moveTo(cx - 16, top);
+        ctx.lineTo(cx + 16, top);
+        ctx.lineTo(cx + 9, bottom);
+        ctx.lineTo(cx - 9, bottom);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = cook.stroke;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Stries qui tournent
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.lineWidth = 1;
+        for (let i = 0; i < 3; i++) {
+            const offset = Math.sin(this.rotation + i * 2.1) * 8;
+            ctx.beginPath();
+            ctx.moveTo(cx + offset, top + 2);
+            ctx.lineTo(cx + offset * 0.6, bottom - 2);
+            ctx.stroke();
+        }
+
+        // Jauge de cuisson (vert = cuit, rouge = brûle bientôt)
+        const barWidth = this.width - 20;
+        const barX = this.x + 10;
+        const barY = this.y + this.height - 9;
+        const progress = Math.min(1, this.cookTime / this.burnDuration);
+        const cookedStart = this.cookDuration / this.burnDuration;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.fillRect(barX, barY, barWidth, 5);
+        ctx.fillStyle = 'rgba(76, 175, 80, 0.4)';
+        ctx.fillRect(barX + barWidth * cookedStart, barY, barWidth * (1 - cookedStart), 5);
+        ctx.fillStyle = this.getCookState() === CookState.BURNT ? '#f44336' : '#fff';
+        ctx.fillRect(barX + barWidth * progress - 1, barY - 1, 3, 7);
+    }
+}
@@ -1,109 +1,234 @@
 /**
- * GameMap - Définition de la carte du jeu
+ * GameMap - Carte du jeu, chargée depuis une définition JSON (dossier maps/)
  */
 import { Zone, ZoneType } from './Zone.js';
-import { Item, ItemType } from '../entities/Item.js';
+import { PrepCounter } from './PrepCounter.js';
+import { Broche } from './Broche.js';
+import { Item } from '../entities/Item.js';
+
+// Distance (pixels) à laquelle on peut utiliser une station
+const INTERACTION_REACH = 16;
+
+/**
+ * Vérifie si deux rectangles se chevauchent
+ */
+function rectsOverlap(a, b) {
+    return (
+        a.x < b.x + b.width &&
+        a.x + a.width > b.x &&
+        a.y < b.y + b.height &&
+        a.y + a.height > b.y
+    );
+}
+
+// Classe à instancier selon le type de zone
+const ZoneClasses = {
+    [ZoneType.MEAT_STATION]: Broche,
+    [ZoneType.PREP_COUNTER]: PrepCounter
+};
 
 export class GameMap {
     constructor(width, height) {
         this.width = width;
         this.height = height;
+        this.name = '';
         this.zones = [];
+        this.stations = [];
         this.walls = [];
+        this.customerSlots = [];
+        this.door = { x: width, y: height };
+        this.queueSpots = [];
+        this.spawnPoints = [];
+        this.decorations = [];
+    }
+
+    /**
+     * Charge une carte depuis sa définition JSON (voir maps/*.json)
+     * Les zones avec "requires" n'apparaissent que si l'amélioration est possédée
+     */
+    load(data, options = {}) {
+        const upgrades = options.upgrades || [];
+
+        this.name = data.name || '';
+        this.width = data.width || this.width;
+        this.height = data.height || this.height;
+        this.background = data.background || '#1a1a2e';
+        this.floor = data.floor || { tileSize: 40, colors: ['#2d2d2d', '#353535'] };
 
-        this.setupZones();
+        this.zones = data.zones
+            .filter(def => !def.requires || upgrades.includes(def.requires))
+            .map(def => this.createZone(def));
+        this.stations = this.zones.filter(zone =>
+            zone.interactive && (zone.isDispenser() || zone.type === ZoneType.PREP_COUNTER)
+        );
+
+        // Zones de référence
+        this.kitchenZone = this.zones.find(zone => zone.type === ZoneType.KITCHEN);
+        this.counterZone = this.zones.find(zone => zone.type === ZoneType.COUNTER);
+        this.customerSpot = this.zones.find(zone => zone.type === ZoneType.CUSTOMER_SPOT);
+        if (!this.kitchenZone || !this.counterZone) {
+            throw new Error(`Map "${this.name}" needs a kitchen and a counter zone`);
+        }
+
+        this.walls = (data.walls || []).map(wall => ({ ...wall }));
+        this.customerSlots = data.customerSlots.map(slot => ({ x: slot.x, y: slot.y }));
+
+        // Porte d'entrée des clients et emplacements de la file d'attente (le premier est le plus proche du comptoir)
+        this.door = { x: data.door.x, y: data.door.y };
+        this.queueSpots = (data.queueSpots || []).map(spot => ({ x: spot.x, y: spot.y }));
+        this.spawnPoints = data.spawnPoints.map(point => ({ x: point.x, y: point.y }));
+        this.decorations = data.decorations || [];
+
+        // Limites de déplacement (coin haut-gauche du joueur)
+        this.playerBounds = { ...data.playerBounds };
     }
 
     /**
-     * Configure les zones du jeu
+     * Instancie une zone depuis sa définition
      */
-    setupZones() {
-        const counterHeight = 80;
-        const counterY = this.height - counterHeight - 20;
-        const kitchenHeight = counterY - 20;
-
-        // Zone cuisine (où le joueur peut se déplacer)
-        this.kitchenZone = new Zone(20, 20, this.width - 40, kitchenHeight - 20, ZoneType.KITCHEN, {
-            color: '#2d2d2d',
-            borderColor: '#444',
-            interactive: false
-        });
-        this.zones.push(this.kitchenZone);
-
-        // Station Kebabs
-        this.kebabStation = new Zone(40, 60, 120, 100, ZoneType.KEBAB_STATION, {
-            label: 'KEBABS',
-            color: '#8d4a2c',
-            borderColor: '#6d3a1c',
-            interactive: true
-        });
-        this.zones.push(this.kebabStation);
-
-        // Station Boissons
-        this.drinkStation = new Zone(this.width - 160, 60, 120, 100, ZoneType.DRINK_STATION, {
-            label: 'BOISSONS',
-            color: '#1565c0',
-            borderColor: '#0d47a1',
-            interactive: true
-        });
-        this.zones.push(this.drinkStation);
+    createZone(def) {
+        const { type, x, y, width, height, requires, ...options } = def;
+        const ZoneClass = ZoneClasses[type];
 
-        // Comptoir
-        this.counterZone = new Zone(20, counterY, this.width - 40, 20, ZoneType.COUNTER, {
-            color: '#5d4037',
-            borderColor: '#3e2723',
-            interactive: false
+        if (ZoneClass) {
+            return new ZoneClass(x, y, width, height, options);
+        }
+        return new Zone(x, y, width, height, type, options);
+    }
+
+    /**
+     * Retourne le point d'apparition d'un joueur
+     */
+    getSpawnPoint(playerIndex) {
+        return this.spawnPoints[(playerIndex - 1) % this.spawnPoints.length];
+    }
+
+    /**
+     * Met à jour les stations (cuisson de la broche, refroidissement)
+     */
+    update(deltaTime) {
+        for (const zone of this.zones) {
+            zone.update(deltaTime);
+        }
+    }
+
+    /**
+     * État des stations pour la synchronisation réseau (HOST), dans l'ordre des zones
+     */
+    getStationsData() {
+        return this.zones.map(zone => zone.getNetworkData());
+    }
+
+    /**
+     * Applique l'état des stations reçu de l'host (CLIENT)
+     */
+    updateStationsFromNetwork(stationsData) {
+        if (!stationsData) return;
+
+        this.zones.forEach((zone, index) => {
+            if (stationsData[index]) zone.updateFromNetwork(stationsData[index]);
         });
-        this.zones.push(this.counterZone);
-
-        // Zone client
-        this.customerSpot = new Zone(
-            this.width / 2 - 40,
-            counterY + 30,
-            80,
-            70,
-            ZoneType.CUSTOMER_SPOT,
-            {
-                color: '#1a1a2e',
-                borderColor: '#0f0f1e',
-                interactive: true
+    }
+
+    /**
+     * Remet les stations à zéro pour une nouvelle partie
+     */
+    reset() {
+        for (const zone of this.zones) {
+            zone.reset();
+        }
+    }
+
+    /**
+     * Retourne les rectangles bloquants: murs, zones solides et entités (autres joueurs)
+     */
+    getObstacles(blockers = []) {
+        const obstacles = [...this.walls];
+
+        for (const zone of this.zones) {
+            if (zone.solid) {
+                obstacles.push({ x: zone.x, y: zone.y, width: zone.width, height: zone.height });
             }
-        );
-        this.zones.push(this.customerSpot);
-
-        // Murs (limites de déplacement)
-        this.playerBounds = {
-            minX: 25,
-            maxX: this.width - 65,
-            minY: 25,
-            maxY: counterY - 45
-        };
+        }
+        for (const entity of blockers) {
+            obstacles.push(entity.getCollisionBox());
+        }
+
+        return obstacles;
     }
 
     /**
-     * Vérifie si le joueur peut se déplacer à une position
+     * Vérifie si un rectangle peut occuper une position (limites et obstacles)
      */
-    canMoveTo(x, y, width, height) {
-        return (
+    canMoveTo(x, y, width, height, blockers = []) {
+        const inBounds = (
             x >= this.playerBounds.minX &&
-            x + width <= this.playerBounds.maxX + width &&
+            x <= this.playerBounds.maxX &&
             y >= this.playerBounds.minY &&
-            y + height <= this.playerBounds.maxY + height
+            y <= this.playerBounds.maxY
         );
+        if (!inBounds) return false;
+
+        const rect = { x, y, width, height };
+        return !this.getObstacles(blockers).some(obstacle => rectsOverlap(rect, obstacle));
+    }
+
+    /**
+     * Calcule la position d'une entité après un déplacement (dx, dy)
+     * Chaque axe est résolu séparément: l'axe bloqué s'arrête au contact de l'obstacle
+     * et l'autre continue, ce qui fait glisser l'entité le long des bords
+     */
+    resolveMove(entity, dx, dy, blockers = []) {
+        const box = entity.getCollisionBox();
+        const offsetX = box.x - entity.x;
+        const offsetY = box.y - entity.y;
+
+        // Ignore les obstacles déjà chevauchés pour pouvoir s'en dégager
+        const obstacles = this.getObstacles(blockers).filter(rect => !rectsOverlap(box, rect));
+
+        // Axe horizontal
+        let boxX = box.x + dx;
+        for (const rect of obstacles) {
+            if (!rectsOverlap({ ...box, x: boxX }, rect)) continue;
+            boxX = dx > 0 ? rect.x - box.width : rect.x + rect.width;
+        }
+
+        // Axe vertical
+        let boxY = box.y + dy;
+        for (const rect of obstacles) {
+            if (!rectsOverlap({ ...box, x: boxX, y: boxY }, rect)) continue;
+            boxY = dy > 0 ? rect.y - box.height : rect.y + rect.height;
+        }
+
+        // Limites de la carte (coin haut-gauche de l'entité)
+        const bounds = this.playerBounds;
+        return {
+            x: Math.max(bounds.minX, Math.min(bounds.maxX, boxX - offsetX)),
+            y: Math.max(bounds.minY, Math.min(bounds.maxY, boxY - offsetY))
+        };
     }
 
     /**
-     * Récupère la zone où se trouve le joueur
+     * Récupère la station à portée du joueur (la plus proche s'il y en a plusieurs)
      */
     getPlayerZone(player) {
-        const interactiveZones = [this.kebabStation, this.drinkStation];
+        let nearest = null;
+        let minDist = Infinity;
 
-        for (const zone of interactiveZones) {
-            if (zone.containsEntity(player)) {
-                return zone;
+        for (const zone of this.stations) {
+            if (!zone.isEntityInReach(player, INTERACTION_REACH)) continue;
+
+            const dist = zone.distanceToEntity(player);
+            if (dist < minDist) {
+                minDist = dist;
+                nearest = zone;
             }
         }
 
+        if (nearest) {
+            return nearest;
+        }
+
         // Vérifie si proche du comptoir
         const playerCenter = player.getCenter();
         if (Math.abs(playerCenter.y - this.counterZone.y) < 50) {
@@ -118,7 +243,7 @@ export class GameMap {
      */
     render(ctx) {
         // Fond
-        ctx.fillStyle = '#1a1a2e';
+        ctx.fillStyle = this.background;
         ctx.fillRect(0, 0, this.width, this.height);
 
         // Sol de la cuisine (damier)
@@ -129,6 +254,15 @@ export class GameMap {
             zone.render(ctx);
         }
 
+        // Murs et obstacles
+        for (const wall of this.walls) {
+            ctx.fillStyle = wall.color || '#424242';
+            ctx.fillRect(wall.x, wall.y, wall.width, wall.height);
+            ctx.strokeStyle = '#212121';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(wall.x, wall.y, wall.width, wall.height);
+        }
+
         // Décorations
         this.renderDecorations(ctx);
     }
@@ -137,7 +271,7 @@ export class GameMap {
      * Dessine le sol en damier
      */
     renderKitchenFloor(ctx) {
-        const tileSize = 40;
+        const tileSize = this.floor.tileSize;
         const startX = this.kitchenZone.x;
         const startY = this.kitchenZone.y;
         const endX = startX + this.kitchenZone.width;
@@ -146,7 +280,7 @@ export class GameMap {
         for (let x = startX; x < endX; x += tileSize) {
             for (let y = startY; y < endY; y += tileSize) {
                 const isEven = ((x - startX) / tileSize + (y - startY) / tileSize) % 2 === 0;
-                ctx.fillStyle = isEven ? '#2d2d2d' : '#353535';
+                ctx.fillStyle = isEven ? this.floor.colors[0] : this.floor.colors[1];
                 ctx.fillRect(x, y, tileSize, tileSize);
             }
         }
@@ -156,39 +290,41 @@ export class GameMap {
      * Dessine les décorations
      */
     renderDecorations(ctx) {
-        // Icône kebab sur la station
-        Item.renderIcon(ctx, ItemType.KEBAB,
-            this.kebabStation.x + this.kebabStation.width / 2,
-            this.kebabStation.y + this.kebabStation.height - 25,
-            40
-        );
+        // Icône de l'ingrédient sur chaque station
+        for (const zone of this.stations) {
+            if (!zone.isDispenser() || !zone.showIcon) continue;
 
-        // Icône boisson sur la station
-        Item.renderIcon(ctx, ItemType.DRINK,
-            this.drinkStation.x + this.drinkStation.width / 2,
-            this.drinkStation.y + this.drinkStation.height - 25,
-            40
-        );
+            const iconSize = Math.min(40, zone.height - 26);
+            Item.renderIcon(ctx, zone.itemType,
+                zone.x + zone.width / 2,
+                zone.y + 26 + (zone.height - 26) / 2,
+                iconSize,
+                { sauce: zone.sauce }
+            );
+        }
 
-        // Indicateur client
-        ctx.fillStyle = '#fff';
-        ctx.font = '10px "Press Start 2P", monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText('CLIENT', this.customerSpot.x + this.customerSpot.width / 2, this.customerSpot.y + 12);
+        // Décorations définies par la carte
+        for (const deco of this.decorations) {
+            if (deco.type === 'text') {
+                ctx.fillStyle = deco.color || '#fff';
+                ctx.font = `${deco.size || 10}px "Press Start 2P", monospace`;
+                ctx.textAlign = 'center';
+                ctx.fillText(deco.text, deco.x, deco.y);
+            } else if (deco.type === 'rect') {
+                ctx.fillStyle = deco.color || '#333';
+                ctx.fillRect(deco.x, deco.y, deco.width, deco.height);
+            } else if (deco.type === 'icon') {
+                Item.renderIcon(ctx, deco.itemType, deco.x, deco.y, deco.size || 24);
+            }
+        }
     }
 
     /**
      * Dessine les indicateurs d'interaction
      */
     renderInteractionHints(ctx, playerZone) {
-        // Station kebabs
-        if (this.kebabStation === playerZone) {
-            this.kebabStation.renderInteractionHint(ctx, true);
-        }
-
-        // Station boissons  
-        if (this.drinkStation === playerZone) {
-            this.drinkStation.renderInteractionHint(ctx, true);
+        if (playerZone && this.stations.includes(playerZone)) {
+            playerZone.renderInteractionHint(ctx, true);
         }
     }
 }
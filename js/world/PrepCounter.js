@@ -0,0 +1,122 @@
+/**
+ * PrepCounter - Plan de travail où l'on assemble les kebabs ingrédient par ingrédient
+ */
+import { Zone, ZoneType } from './Zone.js';
+import { Item, ItemType } from '../entities/Item.js';
+import { Recipe } from '../entities/Recipe.js';
+
+export class PrepCounter extends Zone {
+    constructor(x, y, width, height, options = {}) {
+        super(x, y, width, height, ZoneType.PREP_COUNTER, options);
+
+        // Ingrédients posés (dans l'ordre)
+        this.ingredients = [];
+    }
+
+    /**
+     * Vérifie si un ingrédient du type donné est déjà posé
+     */
+    hasIngredient(itemType) {
+        return this.ingredients.some(item => item.type === itemType);
+    }
+
+    /**
+     * Pose un ingrédient sur le plan
+     * Retourne { success, reason }
+     */
+    addIngredient(item) {
+        if (!item.isIngredient()) {
+            return { success: false, reason: 'notIngredient' };
+        }
+        if (item.type !== ItemType.BREAD && !this.hasIngredient(ItemType.BREAD)) {
+            return { success: false, reason: 'needBread' };
+        }
+        if (this.hasIngredient(item.type)) {
+            return { success: false, reason: 'duplicate' };
+        }
+
+        this.ingredients.push(item);
+        return { success: true };
+    }
+
+    /**
+     * Vérifie si un kebab peut être emporté (pain + viande au minimum)
+     */
+    canAssemble() {
+        return this.hasIngredient(ItemType.BREAD) && this.hasIngredient(ItemType.MEAT);
+    }
+
+    /**
+     * Retourne la recette correspondant aux ingrédients posés
+     */
+    getRecipe() {
+        const sauceItem = this.ingredients.find(item => item.type === ItemType.SAUCE);
+        return Recipe.create(
+            this.hasIngredient(ItemType.SALAD),
+            this.hasIngredient(ItemType.ONION),
+            sauceItem ? sauceItem.sauce : null
+        );
+    }
+
+    /**
+     * Les ingrédients cuits continuent de refroidir sur le plan
+     */
+    update(deltaTime) {
+        this.ingredients.forEach(item => item.update(deltaTime));
+    }
+
+    /**
+     * Assemble et retire le kebab du plan (il prend la qualité de la viande)
+     */
+    takeKebab() {
+        if (!this.canAssemble()) return null;
+
+        const meat = this.ingredients.find(item => item.type === ItemType.MEAT);
+        const kebab = Item.createKebab(this.getRecipe(), meat);
+        this.clear();
+        return kebab;
+    }
+
+    /**
+     * Remet le plan à zéro pour une nouvelle partie
+     */
+    reset() {
+        this.clear();
+    }
+
+    /**
+     * Ingrédients posés, pour la synchronisation réseau
+     */
+    getNetworkData() {
+        return { ingredients: this.ingredients.map(item => item.getNetworkData()) };
+    }
+
+    /**
+     * Reprend les ingrédients posés chez l'host
+     */
+    updateFromNetwork(data) {
+        this.ingredients = data.ingredients.map(itemData => Item.fromNetworkData(itemData));
+    }
+
+    /**
+     * Vide le plan de travail
+     */
+    clear() {
+        this.ingredients = [];
+    }
+
+    /**
+     * Dessine le plan et les ingrédients posés
+     */
+    render(ctx) {
+        super.render(ctx);
+
+        const spacing = 26;
+        const startX = this.x + this.width / 2 - ((this.ingredients.length - 1) * spacing) / 2;
+        const y = this.y + this.height / 2 + 8;
+
+        this.ingredients.forEach((item, index) => {
+            item.renderAsIcon(ctx, startX + index * spacing, y, 22);
+        });
+    }
+}
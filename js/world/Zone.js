@@ -1,14 +1,33 @@
 /**
  * Zone - Une zone interactive sur la map
  */
+import { Item, ItemType } from '../entities/Item.js';
+
 export const ZoneType = {
     KITCHEN: 'kitchen',
     COUNTER: 'counter',
-    KEBAB_STATION: 'kebab_station',
+    BREAD_STATION: 'bread_station',
+    MEAT_STATION: 'meat_station',
+    SALAD_STATION: 'salad_station',
+    ONION_STATION: 'onion_station',
+    SAUCE_STATION: 'sauce_station',
     DRINK_STATION: 'drink_station',
+    PREP_COUNTER: 'prep_counter',
     CUSTOMER_SPOT: 'customer_spot'
 };
 
+// Zones qui bloquent le déplacement par défaut (stations et comptoirs)
+const SolidZoneTypes = [
+    ZoneType.COUNTER,
+    ZoneType.BREAD_STATION,
+    ZoneType.MEAT_STATION,
+    ZoneType.SALAD_STATION,
+    ZoneType.ONION_STATION,
+    ZoneType.SAUCE_STATION,
+    ZoneType.DRINK_STATION,
+    ZoneType.PREP_COUNTER
+];
+
 export class Zone {
     constructor(x, y, width, height, type, options = {}) {
         this.x = x;
@@ -20,6 +39,51 @@ export class Zone {
         this.color = options.color || '#333';
         this.borderColor = options.borderColor || '#000';
         this.interactive = options.interactive !== false;
+        this.solid = options.solid !== undefined ? options.solid : SolidZoneTypes.includes(type);
+
+        // Station de distribution: type d'item fourni (et sauce éventuelle)
+        this.itemType = options.itemType || null;
+        this.sauce = options.sauce || null;
+        this.showIcon = options.showIcon !== false;
+    }
+
+    /**
+     * Met à jour la zone (à surcharger pour les stations animées)
+     */
+    update(deltaTime) { }
+
+    /**
+     * Remet la zone à zéro pour une nouvelle partie (à surcharger)
+     */
+    reset() { }
+
+    /**
+     * État à synchroniser en réseau (à surcharger pour les stations qui en ont un)
+     */
+    getNetworkData() {
+        return null;
+    }
+
+    /**
+     * Applique l'état reçu de l'host (à surcharger)
+     */
+    updateFromNetwork(data) { }
+
+    /**
+     * Vérifie si la zone distribue des items
+     */
+    isDispenser() {
+        return this.itemType !== null;
+    }
+
+    /**
+     * Crée un nouvel item distribué par la station
+     */
+    createItem() {
+        if (this.itemType === ItemType.SAUCE) {
+            return Item.createSauce(this.sauce);
+        }
+        return new Item(this.itemType);
     }
 
     /**
@@ -54,6 +118,26 @@ export class Zone {
         );
     }
 
+    /**
+     * Vérifie si une entité est à portée d'interaction (zone élargie de reach pixels)
+     */
+    isEntityInReach(entity, reach) {
+        return (
+            entity.x < this.x + this.width + reach &&
+            entity.x + entity.width > this.x - reach &&
+            entity.y < this.y + this.height + reach &&
+            entity.y + entity.height > this.y - reach
+        );
+    }
+
+    /**
+     * Distance entre le centre de la zone et celui d'une entité
+     */
+    distanceToEntity(entity) {
+        const center = entity.getCenter();
+        return Math.hypot(center.x - (this.x + this.width / 2), center.y - (this.y + this.height / 2));
+    }
+
     /**
      * Dessine la zone
      */
@@ -69,8 +153,11 @@ export class Zone {
 
         // Label
         if (this.label) {
+            // Taille adaptée à la largeur de la station
+            const fontSize = Math.min(14, Math.floor((this.width - 10) / this.label.length));
+
             ctx.fillStyle = '#fff';
-            ctx.font = 'bold 14px "Press Start 2P", monospace';
+            ctx.font = `bold ${fontSize}px "Press Start 2P", monospace`;
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
 
@@ -80,7 +167,7 @@ export class Zone {
             ctx.shadowOffsetX = 2;
             ctx.shadowOffsetY = 2;
 
-            ctx.fillText(this.label, this.x + this.width / 2, this.y + this.height / 2);
+            ctx.fillText(this.label, this.x + this.width / 2, this.y + 16);
 
             ctx.shadowColor = 'transparent';
         }
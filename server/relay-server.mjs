@@ -0,0 +1,475 @@
+/**
+ * Relay server - Serveur relais et lobby pour jouer en réseau local, sans internet (Node, sans dépendance)
+ * - Sert les fichiers du jeu: http://<ip-du-pc>:8787/?relay
+ * - WebSocket sur le même port: attribue les ids des pairs (le code de session pour l'host)
+ *   et relaie les connexions et les messages entre eux (voir js/network/WebSocketTransport.js)
+ * - GET /sessions: codes des parties ouvertes
+ *
+ * Usage: node server/relay-server.mjs [--port 8787]
+ * Importable aussi (RelayServer) pour lancer des tests multijoueur sur une seule machine
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const DEFAULT_PORT = 8787;
+
+// Racine du jeu (dossier parent de server/)
+const GAME_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Clé de la poignée de main WebSocket (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const Opcode = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    BINARY: 0x2,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xa
+};
+
+// Taille maximale d'un message reçu et intervalle des pings (détecte les connexions mortes)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+const HEARTBEAT_INTERVAL = 15000;
+
+// Fichiers servis en HTTP: le jeu seulement (ni server/, ni fichiers cachés comme .git)
+const PUBLIC_FILES = ['index.html', 'styles.css'];
+const PUBLIC_DIRECTORIES = ['js', 'maps'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.ttf': 'font/ttf',
+    '.woff2': 'font/woff2'
+};
+
+export class RelayServer {
+    /**
+     * root: dossier servi en HTTP (le jeu par défaut)
+     */
+    constructor({ root = GAME_ROOT } = {}) {
+        this.root = root;
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+        this.server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+
+        // Pairs enregistrés: id -> client ({ socket, id, chosenId, buffer, fragments, fragmentsSize, alive })
+        this.peers = new Map();
+
+        // Connexions relayées: id de connexion -> { from, to }
+        this.connections = new Map();
+
+        this.heartbeat = null;
+    }
+
+    /**
+     * Démarre le serveur (port 0: port libre choisi par le système); retourne le port
+     */
+    start(port = DEFAULT_PORT, host = '0.0.0.0') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.heartbeat = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL);
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Arrête le serveur et ferme tous les WebSockets
+     */
+    stop() {
+        clearInterval(this.heartbeat);
+        for (const client of this.peers.values()) {
+            client.socket.destroy();
+        }
+        this.peers.clear();
+        this.connections.clear();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Requête HTTP: liste des parties ou fichier du jeu
+     */
+    handleRequest(request, response) {
+        // Adresse invalide (ex: %E0%A4%A, %00): refusée, sans arrêter le serveur
+        let url, pathname;
+        try {
+            url = new URL(request.url, 'http://localhost');
+            pathname = decodeURIComponent(url.pathname);
+        } catch {
+            pathname = null;
+        }
+        if (pathname === null || pathname.includes('\0')) {
+            response.writeHead(400);
+            response.end('Bad request');
+            return;
+        }
+
+        if (url.pathname === '/sessions') {
+            const sessions = [...this.peers.values()].filter(client => client.chosenId).map(client => client.id);
+            response.writeHead(200, { 'Content-Type': CONTENT_TYPES['.json'], 'Cache-Control': 'no-store' });
+            response.end(JSON.stringify({ sessions }));
+            return;
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            response.writeHead(405);
+            response.end();
+            return;
+        }
+
+        // Fichiers du jeu seulement, jamais en dehors de la racine
+        const relativePath = pathname === '/' ? 'index.html' : pathname.slice(1);
+        if (!RelayServer.isPublicPath(relativePath)) {
+            response.writeHead(404);
+            response.end('Not found');
+            return;
+        }
+        const filePath = path.resolve(this.root, relativePath);
+        if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+            response.writeHead(403);
+            response.end();
+            return;
+        }
+
+        try {
+            fs.readFile(filePath, (err, content) => {
+                if (err) {
+                    response.writeHead(404);
+                    response.end('Not found');
+                    return;
+                }
+                const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+                response.writeHead(200, { 'Content-Type': contentType });
+                response.end(request.method === 'HEAD' ? undefined : content);
+            });
+        } catch {
+            response.writeHead(400);
+            response.end('Bad request');
+        }
+    }
+
+    /**
+     * Vérifie qu'un chemin (relatif à la racine) désigne un fichier du jeu: pas de fichier caché ni de ..
+     */
+    static isPublicPath(relativePath) {
+        const segments = relativePath.split(/[\\/]/).filter(segment => segment !== '');
+        if (segments.length === 0 || segments.some(segment => segment.startsWith('.'))) {
+            return false;
+        }
+        return segments.length === 1
+            ? PUBLIC_FILES.includes(segments[0])
+            : PUBLIC_DIRECTORIES.includes(segments[0]);
+    }
+
+    /**
+     * Poignée de main WebSocket (head: premières données du client, reçues avec la requête)
+     */
+    handleUpgrade(request, socket, head) {
+        const key = request.headers['sec-websocket-key'];
+        if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+        socket.setNoDelay(true);
+
+        const client = {
+            socket, id: null, chosenId: false, buffer: Buffer.alloc(0), fragments: [], fragmentsSize: 0, alive: true
+        };
+        socket.on('data', (chunk) => this.handleSocketData(client, chunk));
+        socket.on('close', () => this.handleSocketClosed(client));
+        socket.on('error', () => socket.destroy());
+
+        if (head && head.length > 0) {
+            this.handleSocketData(client, head);
+        }
+    }
+
+    /**
+     * Données reçues sur un WebSocket: découpe en trames
+     */
+    handleSocketData(client, chunk) {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+
+        let frame;
+        try {
+            while ((frame = RelayServer.decodeFrame(client.buffer))) {
+                client.buffer = client.buffer.subarray(frame.length);
+                this.handleFrame(client, frame);
+            }
+        } catch (err) {
+            console.error('Trame invalide:', err.message);
+            this.sendFrame(client, Opcode.CLOSE, Buffer.from([0x03, 0xf1])); // 1009: message trop grand
+            client.socket.end();
+        }
+    }
+
+    /**
+     * Trame reçue: message (éventuellement en plusieurs morceaux), ping ou fermeture
+     */
+    handleFrame(client, frame) {
+        client.alive = true;
+
+        switch (frame.opcode) {
+            case Opcode.PING:
+                this.sendFrame(client, Opcode.PONG, frame.payload);
+                return;
+            case Opcode.PONG:
+                return;
+            case Opcode.CLOSE:
+                this.sendFrame(client, Opcode.CLOSE, frame.payload.subarray(0, 2));
+                client.socket.end();
+                return;
+        }
+
+        // Taille vérifiée à chaque morceau: pas de message sans fin
+        client.fragmentsSize += frame.payload.length;
+        if (client.fragmentsSize > MAX_MESSAGE_SIZE) {
+            throw new Error('message too large');
+        }
+        client.fragments.push(frame.payload);
+        if (!frame.fin) return;
+
+        const payload = Buffer.concat(client.fragments);
+        client.fragments = [];
+        client.fragmentsSize = 0;
+
+        let message;
+        try {
+            message = JSON.parse(payload.toString('utf8'));
+        } catch (err) {
+            return;
+        }
+
+        // Seulement des messages { type, ... } (null, nombre ou tableau ignorés)
+        if (typeof message !== 'object' || message === null || typeof message.type !== 'string') return;
+        this.handleMessage(client, message);
+    }
+
+    /**
+     * Message d'un pair (voir WebSocketTransport)
+     */
+    handleMessage(client, message) {
+        if (message.type === 'register') {
+            this.registerPeer(client, message.id);
+            return;
+        }
+        if (!client.id) return;
+
+        if (message.type === 'connect') {
+            const target = this.peers.get(message.to);
+            if (!target || this.connections.has(message.connectionId)) {
+                this.sendMessage(client, {
+                    type: 'error',
+                    errorType: 'peer-unavailable',
+                    message: `Could not connect to peer ${message.to}`
+                });
+                return;
+            }
+
+            this.connections.set(message.connectionId, { from: client.id, to: target.id });
+            this.sendMessage(target, {
+                type: 'connection',
+                from: client.id,
+                connectionId: message.connectionId,
+                metadata: message.metadata || null
+            });
+            this.sendMessage(client, { type: 'accepted', connectionId: message.connectionId });
+        } else if (message.type === 'data' || message.type === 'close') {
+            // Seulement entre les deux pairs de la connexion
+            const connection = this.connections.get(message.connectionId);
+            if (!connection || (connection.from !== client.id && connection.to !== client.id)) return;
+            const remoteId = connection.from === client.id ? connection.to : connection.from;
+
+            if (message.type === 'close') {
+                this.connections.delete(message.connectionId);
+            }
+
+            const target = this.peers.get(remoteId);
+            if (target) {
+                this.sendMessage(target, {
+                    type: message.type,
+                    from: client.id,
+                    connectionId: message.connectionId,
+                    data: message.data
+                });
+            }
+        }
+    }
+
+    /**
+     * Enregistre un pair sous l'id voulu (code de session) ou un id généré
+     */
+    registerPeer(client, requestedId) {
+        if (client.id) return;
+
+        if (requestedId && this.peers.has(requestedId)) {
+            this.sendMessage(client, { type: 'error', errorType: 'unavailable-id', message: `ID "${requestedId}" is taken` });
+            return;
+        }
+
+        let id = requestedId ? String(requestedId) : null;
+        while (!id || this.peers.has(id)) {
+            id = `relay-${crypto.randomBytes(6).toString('hex')}`;
+        }
+
+        client.id = id;
+        client.chosenId = !!requestedId;
+        this.peers.set(id, client);
+        this.sendMessage(client, { type: 'open', id });
+    }
+
+    /**
+     * WebSocket fermé: ses connexions sont fermées chez les autres pairs et son id est libéré
+     */
+    handleSocketClosed(client) {
+        if (!client.id || this.peers.get(client.id) !== client) return;
+        this.peers.delete(client.id);
+
+        for (const [connectionId, connection] of this.connections) {
+            if (connection.from !== client.id && connection.to !== client.id) continue;
+
+            this.connections.delete(connectionId);
+            const remote = this.peers.get(connection.from === client.id ? connection.to : connection.from);
+            if (remote) {
+                this.sendMessage(remote, { type: 'close', from: client.id, connectionId });
+            }
+        }
+    }
+
+    /**
+     * Ping de chaque WebSocket; celui qui n'a rien envoyé depuis le dernier est coupé
+     */
+    checkHeartbeats() {
+        for (const client of this.peers.values()) {
+            if (!client.alive) {
+                client.socket.destroy();
+                continue;
+            }
+            client.alive = false;
+            this.sendFrame(client, Opcode.PING, Buffer.alloc(0));
+        }
+    }
+
+    /**
+     * Envoie un message JSON à un pair
+     */
+    sendMessage(client, message) {
+        this.sendFrame(client, Opcode.TEXT, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    /**
+     * Envoie une trame (non masquée, comme tout serveur)
+     */
+    sendFrame(client, opcode, payload) {
+        if (client.socket.writable) {
+            client.socket.write(RelayServer.encodeFrame(opcode, payload));
+        }
+    }
+
+    /**
+     * Encode une trame WebSocket complète
+     */
+    static encodeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+        return Buffer.concat([header, payload]);
+    }
+
+    /**
+     * Décode la première trame d'un buffer ({ fin, opcode, payload, length }, null si incomplète)
+     */
+    static decodeFrame(buffer) {
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let payloadLength = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (payloadLength === 126) {
+            if (buffer.length < 4) return null;
+            payloadLength = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (payloadLength === 127) {
+            if (buffer.length < 10) return null;
+            payloadLength = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (payloadLength > MAX_MESSAGE_SIZE) {
+            throw new Error('message too large');
+        }
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buffer.length < offset + payloadLength) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= buffer[maskOffset + (i % 4)];
+            }
+        }
+
+        return { fin, opcode, payload, length: offset + payloadLength };
+    }
+}
+
+/**
+ * Adresses IPv4 du réseau local (à donner aux autres joueurs)
+ */
+function getLanAddresses() {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => address.address);
+}
+
+// Lancé directement: node server/relay-server.mjs [--port 8787]
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex !== -1 ? parseInt(process.argv[portIndex + 1], 10) : (parseInt(process.env.PORT, 10) || DEFAULT_PORT);
+
+    const relay = new RelayServer();
+    relay.start(port).then((listeningPort) => {
+        console.log(`🥙 Serveur relais prêt sur le port ${listeningPort}`);
+        for (const address of ['localhost', ...getLanAddresses()]) {
+            console.log(`   http://${address}:${listeningPort}/?relay`);
+        }
+    }).catch((err) => {
+        console.error('Impossible de démarrer le serveur relais:', err.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * Scénario de GameSimulation sous Node: trois clients servis, score vérifié
+ * Usage: node tests/simulation.mjs (sort en erreur si une vérification échoue)
+ */
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { GameSimulation } from '../js/core/GameSimulation.js';
+import { Difficulty } from '../js/systems/LevelManager.js';
+import { Item, ItemType, CookState } from '../js/entities/Item.js';
+
+// Pas fixe du jeu et graine: même graine + mêmes actions = même partie
+const STEP = 1 / 60;
+const SEED = 42;
+
+// Score de la partie avec cette graine: change si les règles de score changent
+const EXPECTED_SCORE = 11;
+
+const map = JSON.parse(fs.readFileSync(new URL('../maps/classique.json', import.meta.url), 'utf8'));
+
+const simulation = new GameSimulation();
+simulation.loadMap(map);
+simulation.start({ difficulty: Difficulty.EASY, seed: SEED });
+
+const completed = [];
+simulation.onOrderCompleted = (result) => completed.push(result);
+
+const player = simulation.getPlayer(1);
+
+/**
+ * Avance jusqu'à ce qu'un client attende au comptoir (null si la partie se termine avant)
+ */
+function waitForCustomer() {
+    for (let frame = 0; frame < 60 * 60; frame++) {
+        const customer = simulation.customerManager.customers.find(
+            candidate => candidate.isAtCounter() && !candidate.satisfied
+        );
+        if (customer) return customer;
+        simulation.step(STEP);
+    }
+    return null;
+}
+
+// Trois commandes servies complètes: kebabs bien cuits et boissons, devant le client
+for (let served = 0; served < 3; served++) {
+    const customer = waitForCustomer();
+    assert.ok(customer, `client ${served + 1} jamais arrivé au comptoir`);
+
+    player.inventory = customer.order.kebabs.map(recipe => Item.createKebab(recipe, Item.createMeat(CookState.COOKED)));
+    for (let i = 0; i < customer.order.drink; i++) {
+        player.inventory.push(new Item(ItemType.DRINK));
+    }
+    player.x = customer.x;
+    player.y = 360;
+
+    simulation.interact(1);
+    assert.equal(customer.satisfied, true, `commande ${served + 1} non servie`);
+    assert.equal(player.inventory.length, 0, 'des items de la commande sont restés en main');
+}
+
+assert.equal(completed.length, 3);
+assert.equal(simulation.customerManager.customersServed, 3);
+assert.equal(simulation.levelManager.customersLost, 0);
+assert.equal(simulation.levelManager.score, EXPECTED_SCORE);
+
+console.log(`OK: 3 commandes servies, ${simulation.levelManager.score} points`);